@@ -1,29 +1,81 @@
 // Main configuration file for the Token Launch Tool
 
-export const CONFIG = {
-  // Network settings
-  NETWORK: {
-    DEVNET: "https://api.devnet.solana.com",
-    MAINNET: "https://api.mainnet-beta.solana.com",
-    TESTNET: "https://api.testnet.solana.com"
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+// Built-in defaults. User settings are layered over these, see SETTINGS_FILES
+export const DEFAULT_CONFIG = {
+  // Cluster registry: every network the tool can use, by key. Explorer URLs
+  // are templates filled in with {type} (address or tx), {address} and {rpcUrl}.
+  // Custom clusters without EXPLORERS use the explorer's custom RPC mode
+  CLUSTERS: {
+    DEVNET: {
+      LABEL: "Devnet (Recommended for testing)",
+      RPC_URL: "https://api.devnet.solana.com",
+      EXPLORERS: {
+        SOLANA: "https://explorer.solana.com/{type}/{address}?cluster=devnet",
+        SOLSCAN: "https://solscan.io/{type}/{address}?cluster=devnet"
+      }
+    },
+    MAINNET: {
+      LABEL: "Mainnet (Production - costs real SOL)",
+      RPC_URL: "https://api.mainnet-beta.solana.com",
+      EXPLORERS: {
+        SOLANA: "https://explorer.solana.com/{type}/{address}",
+        SOLSCAN: "https://solscan.io/{type}/{address}"
+      }
+    },
+    TESTNET: {
+      LABEL: "Testnet",
+      RPC_URL: "https://api.testnet.solana.com",
+      EXPLORERS: {
+        SOLANA: "https://explorer.solana.com/{type}/{address}?cluster=testnet",
+        SOLSCAN: "https://solscan.io/{type}/{address}?cluster=testnet"
+      }
+    },
+    LOCALNET: {
+      LABEL: "Localnet (solana-test-validator)",
+      RPC_URL: "http://127.0.0.1:8899"
+    }
   },
 
-  // Default network (change to MAINNET for production)
-  DEFAULT_NETWORK: "DEVNET",
+  // Profiles bundle a network, RPC, default wallet, Pinata account, storage
+  // and safety settings (see PROFILE_DEFAULTS). The active profile decides the
+  // default network and wallet of every flow
+  ACTIVE_PROFILE: "default",
+  PROFILES: {
+    default: {
+      NETWORK: "DEVNET"
+    }
+  },
 
   // Pinata IPFS settings
   PINATA: {
     JWT: "your-pinata-jwt-token-here",
     API_URL: "https://api.pinata.cloud/pinning/pinJSONToIPFS",
+    FILE_API_URL: "https://api.pinata.cloud/pinning/pinFileToIPFS",
     GATEWAY: "https://gateway.pinata.cloud/ipfs/"
   },
 
+  // Where metadata JSON and images are stored: "pinata", "ipfs" (a Kubo
+  // node's HTTP API), "arweave" (through Irys, paid from the wallet) or
+  // "local" (files written to LOCAL_DIR, for devnet and offline tests)
+  STORAGE: {
+    PROVIDER: "pinata",
+    IPFS_API_URL: "http://127.0.0.1:5001",
+    IPFS_GATEWAY: "http://127.0.0.1:8080/ipfs/",
+    IRYS_URL: null, // defaults to Irys devnet on devnet, its mainnet node otherwise
+    LOCAL_DIR: "./storage",
+    LOCAL_BASE_URL: null // URL LOCAL_DIR is served from; file:// URLs when not set
+  },
+
   // Default token settings
   DEFAULTS: {
     DECIMALS: 9,
     SELLER_FEE_BASIS_POINTS: 0,
     IS_MUTABLE: true,
-    INITIAL_SUPPLY: 1000000
+    INITIAL_SUPPLY: 0
   },
 
   // File paths
@@ -31,33 +83,264 @@ export const CONFIG = {
     WALLETS: "./wallets",
     TOKENS: "./tokens",
     CONFIG: "./config"
-  },
+  }
+}
 
-  // Explorer URLs
-  EXPLORERS: {
-    DEVNET: {
-      SOLANA: "https://explorer.solana.com",
-      SOLSCAN: "https://solscan.io"
-    },
-    MAINNET: {
-      SOLANA: "https://explorer.solana.com",
-      SOLSCAN: "https://solscan.io"
+// Explorers of clusters that do not list their own
+export const CUSTOM_CLUSTER_EXPLORERS = {
+  SOLANA: "https://explorer.solana.com/{type}/{address}?cluster=custom&customUrl={rpcUrl}"
+}
+
+// Other names accepted for cluster keys
+const CLUSTER_ALIASES = {
+  'MAINNET-BETA': 'MAINNET',
+  LOCALHOST: 'LOCALNET'
+}
+
+// Settings every profile has; profiles only list what they change
+export const PROFILE_DEFAULTS = {
+  NETWORK: "DEVNET",
+  RPC_URL: null, // overrides the cluster's RPC URL for the profile's network
+  WALLET: null, // default wallet file
+  PINATA: {}, // overrides CONFIG.PINATA, e.g. a JWT for another Pinata account
+  STORAGE: {}, // overrides CONFIG.STORAGE, e.g. { PROVIDER: "local" } for tests
+  SAFETY: {
+    ALLOW_MAINNET: true, // refuse mainnet transactions when false
+    SIMULATE: true // simulate transactions before asking for confirmation
+  }
+}
+
+// Settings files, later ones win: per-user settings, then project-local
+// overrides. Both mirror the shape of CONFIG (e.g. { "ACTIVE_PROFILE": "prod" })
+export const SETTINGS_FILES = {
+  USER: path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'launch-tool', 'settings.json'),
+  PROJECT: path.resolve('config', 'settings.local.json')
+}
+
+// Settings that may be changed, and the CONFIG section each one lives in
+export const EDITABLE_SETTINGS = {
+  ACTIVE_PROFILE: null,
+  PROFILES: '*',
+  CLUSTERS: '*',
+  PINATA: ['JWT', 'API_URL', 'FILE_API_URL', 'GATEWAY'],
+  STORAGE: ['PROVIDER', 'IPFS_API_URL', 'IPFS_GATEWAY', 'IRYS_URL', 'LOCAL_DIR', 'LOCAL_BASE_URL'],
+  DEFAULTS: ['DECIMALS', 'INITIAL_SUPPLY', 'SELLER_FEE_BASIS_POINTS', 'IS_MUTABLE']
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+// Merge `source` into `target` section by section, ignoring unknown keys.
+// Profiles and clusters are merged by name; null removes one
+function mergeSettings(target, source) {
+  // Settings saved before the cluster registry held RPC URLs by network
+  if (isObject(source.NETWORK)) {
+    Object.entries(source.NETWORK).forEach(([key, url]) => {
+      target.CLUSTERS[key] = { ...target.CLUSTERS[key], RPC_URL: url }
+    })
+  }
+
+  // Settings saved before profiles existed set the default profile's network
+  if (source.DEFAULT_NETWORK) {
+    target.PROFILES.default = { ...target.PROFILES.default, NETWORK: source.DEFAULT_NETWORK }
+  }
+
+  Object.entries(EDITABLE_SETTINGS).forEach(([section, keys]) => {
+    if (source[section] === undefined) return
+
+    if (keys === '*' && isObject(source[section])) {
+      Object.entries(source[section]).forEach(([name, value]) => {
+        if (value === null) {
+          delete target[section][name]
+        } else if (isObject(value)) {
+          target[section][name] = { ...target[section][name], ...value }
+        }
+      })
+    } else if (!keys) {
+      target[section] = source[section]
+    } else if (isObject(source[section])) {
+      keys.filter(key => source[section][key] !== undefined)
+        .forEach(key => { target[section][key] = source[section][key] })
+    }
+  })
+  return target
+}
+
+// Read one settings file, or {} when it does not exist
+export function readSettingsFile(file) {
+  if (!fs.existsSync(file)) {
+    return {}
+  }
+
+  try {
+    const settings = JSON.parse(fs.readFileSync(file, 'utf8'))
+    if (!isObject(settings)) {
+      throw new Error('expected a JSON object')
     }
+    return settings
+  } catch (error) {
+    throw new Error(`Invalid settings file ${file}: ${error.message}`)
   }
 }
 
-// Helper function to get network URL
-export function getNetworkUrl(network = CONFIG.DEFAULT_NETWORK) {
-  return CONFIG.NETWORK[network.toUpperCase()]
+// Settings file that changes are saved to: the project-local file when it
+// exists, otherwise the per-user file
+export function getSettingsFile() {
+  return fs.existsSync(SETTINGS_FILES.PROJECT) ? SETTINGS_FILES.PROJECT : SETTINGS_FILES.USER
 }
 
-// Helper function to get explorer URL
-export function getExplorerUrl(type = "SOLANA", network = CONFIG.DEFAULT_NETWORK) {
-  const cluster = network.toLowerCase() === "mainnet" ? "" : `?cluster=${network.toLowerCase()}`
-  return CONFIG.EXPLORERS[network.toUpperCase()][type.toUpperCase()] + cluster
+// Defaults with every settings file applied
+function loadConfig() {
+  return [SETTINGS_FILES.USER, SETTINGS_FILES.PROJECT].reduce(
+    (config, file) => mergeSettings(config, readSettingsFile(file)),
+    structuredClone(DEFAULT_CONFIG)
+  )
 }
 
-// Helper function to get network cluster parameter
-export function getNetworkCluster(network = CONFIG.DEFAULT_NETWORK) {
-  return network.toLowerCase() === "mainnet" ? "" : `?cluster=${network.toLowerCase()}`
+// Effective configuration
+export const CONFIG = loadConfig()
+
+// Save changed settings (same shape as CONFIG) and apply them to CONFIG
+export function saveSettings(changes) {
+  const file = getSettingsFile()
+  const settings = mergeSettings(
+    mergeSettings({ CLUSTERS: {}, PINATA: {}, STORAGE: {}, DEFAULTS: {}, PROFILES: {} }, readSettingsFile(file)),
+    changes
+  )
+
+  // Drop empty sections so the file only holds what was changed
+  Object.keys(settings).forEach(section => {
+    if (isObject(settings[section]) && Object.keys(settings[section]).length === 0) {
+      delete settings[section]
+    }
+  })
+
+  // The file may hold the Pinata JWT, so keep it private
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  fs.writeFileSync(file, JSON.stringify(settings, null, 2), { mode: 0o600 })
+
+  mergeSettings(CONFIG, changes)
+  return file
+}
+
+// Remove the saved settings. Settings from the other file still apply
+export function resetSettings() {
+  const file = getSettingsFile()
+  if (fs.existsSync(file)) {
+    fs.unlinkSync(file)
+  }
+
+  Object.assign(CONFIG, loadConfig())
+  return file
+}
+
+// Profile chosen for this run (--profile or LAUNCH_TOOL_PROFILE), which
+// takes precedence over the saved ACTIVE_PROFILE
+let profileOverride = process.env.LAUNCH_TOOL_PROFILE || null
+
+// Name of the active profile
+export function getProfileName() {
+  return profileOverride || CONFIG.ACTIVE_PROFILE
+}
+
+// Settings of a profile (the active one by default) with defaults filled in
+export function getProfile(name = getProfileName()) {
+  const profile = CONFIG.PROFILES[name]
+  if (!profile) {
+    throw new Error(`Unknown profile "${name}". Available profiles: ${Object.keys(CONFIG.PROFILES).join(', ')}`)
+  }
+
+  return {
+    ...PROFILE_DEFAULTS,
+    ...profile,
+    NAME: name,
+    SAFETY: { ...PROFILE_DEFAULTS.SAFETY, ...profile.SAFETY }
+  }
+}
+
+// Use a profile for the rest of this run without saving it
+export function useProfile(name) {
+  getProfile(name)
+  profileOverride = name
+}
+
+// Throw when the active profile's safety settings rule out a network
+export function checkNetworkAllowed(network) {
+  const profile = getProfile()
+  if (resolveNetwork(network) === 'MAINNET' && !profile.SAFETY.ALLOW_MAINNET) {
+    throw new Error(`Profile "${profile.NAME}" does not allow mainnet transactions`)
+  }
+}
+
+// Pinata settings, with the active profile's overrides applied
+export function getPinataConfig() {
+  return { ...CONFIG.PINATA, ...getProfile().PINATA }
+}
+
+// Storage settings, with the active profile's overrides applied
+export function getStorageConfig() {
+  return { ...CONFIG.STORAGE, ...getProfile().STORAGE }
+}
+
+// Whether a Pinata JWT has been set (the default is a placeholder)
+export function isPinataConfigured() {
+  const { JWT } = getPinataConfig()
+  return Boolean(JWT) && JWT !== DEFAULT_CONFIG.PINATA.JWT
+}
+
+// Resolve a network name (e.g. "mainnet-beta", "localhost") to its cluster key
+export function resolveNetwork(network = getProfile().NETWORK) {
+  const name = String(network).toUpperCase()
+  const key = CLUSTER_ALIASES[name] || name
+
+  if (!CONFIG.CLUSTERS[key]) {
+    const known = Object.keys(CONFIG.CLUSTERS).map(cluster => cluster.toLowerCase()).join(', ')
+    throw new Error(`Unknown network: ${network}. Known networks: ${known}`)
+  }
+  return key
+}
+
+// Registry entry of a network, with the active profile's RPC applied
+export function getCluster(network = getProfile().NETWORK) {
+  const key = resolveNetwork(network)
+  const cluster = CONFIG.CLUSTERS[key]
+  const profile = getProfile()
+
+  return {
+    KEY: key,
+    LABEL: cluster.LABEL || key,
+    RPC_URL: profile.RPC_URL && resolveNetwork(profile.NETWORK) === key ? profile.RPC_URL : cluster.RPC_URL,
+    EXPLORERS: cluster.EXPLORERS || CUSTOM_CLUSTER_EXPLORERS
+  }
+}
+
+// Network prompt choices, one per registered cluster
+export function getClusterChoices() {
+  return Object.keys(CONFIG.CLUSTERS).map(key => ({
+    name: CONFIG.CLUSTERS[key].LABEL || key,
+    value: key
+  }))
+}
+
+// Helper function to get network URL
+export function getNetworkUrl(network = getProfile().NETWORK) {
+  return getCluster(network).RPC_URL
+}
+
+// Explorer links for an address or transaction, by explorer (solana, solscan, ...)
+export function getExplorerUrls(address, type = 'address', network = getProfile().NETWORK) {
+  const cluster = getCluster(network)
+
+  return Object.fromEntries(
+    Object.entries(cluster.EXPLORERS)
+      .filter(([, template]) => template)
+      .map(([explorer, template]) => [
+        explorer.toLowerCase(),
+        template
+          .replace('{type}', type)
+          .replace('{address}', address)
+          .replace('{rpcUrl}', encodeURIComponent(cluster.RPC_URL))
+      ])
+  )
 }
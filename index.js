@@ -4,14 +4,25 @@ import inquirer from 'inquirer'
 import chalk from 'chalk'
 import figlet from 'figlet'
 import { log, fileUtils } from './src/utils.js'
-import { CONFIG } from './config/config.js'
+import { CONFIG, getClusterChoices, getProfile, resolveNetwork } from './config/config.js'
 
 // Import our modules
 import { createToken } from './src/create-token.js'
+import { applyManifest } from './src/apply-manifest.js'
 import { mintTokens } from './src/mint-tokens.js'
+import { distributeTokens } from './src/distribute-tokens.js'
 import { updateMetadata } from './src/update-metadata.js'
+import { lockMetadata } from './src/lock-metadata.js'
+import { freezeAccounts } from './src/freeze-accounts.js'
+import { metadataHistory } from './src/metadata-history.js'
 import { checkToken } from './src/check-token.js'
+import { analyzeHolders } from './src/holders.js'
+import { riskReport } from './src/risk-report.js'
+import { listCreatedTokens } from './src/list-tokens.js'
 import { revokeAuthorities } from './src/revoke-authorities.js'
+import { transferAuthority } from './src/transfer-authority.js'
+import { displaySettings } from './src/settings.js'
+import { runCli } from './src/cli.js'
 
 // Display welcome banner
 function displayBanner() {
@@ -45,22 +56,54 @@ const MENU_OPTIONS = [
     name: '🆕 Create New Token',
     value: 'create'
   },
+  {
+    name: '📜 Apply Launch Manifest',
+    value: 'apply'
+  },
   {
     name: '🪙 Mint Tokens',
     value: 'mint'
   },
+  {
+    name: '📦 Distribute Tokens',
+    value: 'distribute'
+  },
   {
     name: '🔒 Revoke Authorities',
     value: 'revoke'
   },
+  {
+    name: '🔑 Transfer Authorities',
+    value: 'authority'
+  },
+  {
+    name: '❄️  Freeze / Thaw Accounts',
+    value: 'freeze'
+  },
   {
     name: '📝 Update Token Metadata',
     value: 'update'
   },
+  {
+    name: '🕘 Metadata History / Rollback',
+    value: 'history'
+  },
+  {
+    name: '🔏 Lock Metadata',
+    value: 'lock'
+  },
   {
     name: '🔍 Check Token Info',
     value: 'check'
   },
+  {
+    name: '👥 Holders Report',
+    value: 'holders'
+  },
+  {
+    name: '🛡️  Risk Report',
+    value: 'risk'
+  },
   {
     name: '⚙️  Settings',
     value: 'settings'
@@ -87,24 +130,49 @@ function displayHelp() {
   console.log('   Create a new SPL token with metadata on Solana')
   console.log('   Includes automatic IPFS upload via Pinata')
   
+  console.log(chalk.cyan('\n📜 Apply Launch Manifest:'))
+  console.log('   Create a token from a reviewed JSON/YAML manifest file')
+  console.log('   Optionally revokes authorities right after launch')
+  
   console.log(chalk.cyan('\n🪙 Mint Tokens:'))
   console.log('   Mint tokens to your wallet or specified address')
-  console.log('   Supports both CLI and programmatic minting')
+  console.log('   Creates the recipient\'s token account when needed')
+
+  console.log(chalk.cyan('\n📦 Distribute Tokens:'))
+  console.log('   Send tokens to every address in a CSV or JSON file')
+  console.log('   Resumable: re-run with the same file after a failure')
   
   console.log(chalk.cyan('\n🔒 Revoke Authorities:'))
   console.log('   Permanently revoke mint or freeze authorities')
   console.log('   Makes your token more decentralized (IRREVERSIBLE!)')
+
+  console.log(chalk.cyan('\n🔑 Transfer Authorities:'))
+  console.log('   Hand mint, freeze or update authority to another address')
+  console.log('   e.g. a multisig or treasury wallet; verified on-chain')
+
+  console.log(chalk.cyan('\n❄️  Freeze / Thaw Accounts:'))
+  console.log('   Freeze or thaw a holder\'s token account, list frozen accounts')
+  console.log('   Needs a token created with a freeze authority')
   
   console.log(chalk.cyan('\n📝 Update Token Metadata:'))
   console.log('   Update existing token metadata')
   console.log('   Requires update authority')
+
+  console.log(chalk.cyan('\n🕘 Metadata History / Rollback:'))
+  console.log('   List and compare the metadata versions of your tokens')
+  console.log('   Roll the on-chain metadata back to a previous version')
+
+  console.log(chalk.cyan('\n🔏 Lock Metadata:'))
+  console.log('   Make metadata immutable and/or drop the update authority')
+  console.log('   Shows investors the metadata can never change (IRREVERSIBLE!)')
   
   console.log(chalk.cyan('\n🔍 Check Token Info:'))
   console.log('   View detailed information about any token')
   console.log('   Shows metadata, supply, authorities, etc.')
   
   console.log(chalk.cyan('\n⚙️  Settings:'))
-  console.log('   Configure network, Pinata settings, defaults')
+  console.log('   Configure profiles, RPC URLs, Pinata settings, defaults')
+  console.log('   Saved to ~/.config/launch-tool/settings.json')
   
   console.log(chalk.cyan('\n📁 File Structure:'))
   console.log('   ./wallets/     - Store your wallet files here')
@@ -112,9 +180,10 @@ function displayHelp() {
   console.log('   ./config/      - Configuration files')
   
   console.log(chalk.cyan('\n🔗 Networks Supported:'))
-  console.log('   • Devnet (default)')
-  console.log('   • Mainnet-beta')
-  console.log('   • Testnet')
+  const defaultNetwork = resolveNetwork()
+  getClusterChoices().forEach(cluster => {
+    console.log(`   • ${cluster.name}${cluster.value === defaultNetwork ? ' (default)' : ''}`)
+  })
   
   console.log(chalk.yellow('\n💡 Tips:'))
   console.log('   • Always test on devnet first')
@@ -123,71 +192,6 @@ function displayHelp() {
   console.log('   • Check explorer links after transactions')
 }
 
-// Display settings menu
-async function displaySettings() {
-  log.title('⚙️  CURRENT SETTINGS')
-  
-  console.log(chalk.cyan('Network:'), chalk.white(CONFIG.DEFAULT_NETWORK))
-  console.log(chalk.cyan('RPC URL:'), chalk.white(CONFIG.NETWORK[CONFIG.DEFAULT_NETWORK]))
-  console.log(chalk.cyan('Default Decimals:'), chalk.white(CONFIG.DEFAULTS.DECIMALS))
-  console.log(chalk.cyan('Default Supply:'), chalk.white(CONFIG.DEFAULTS.INITIAL_SUPPLY.toLocaleString()))
-  console.log(chalk.cyan('Pinata Configured:'), chalk.white(CONFIG.PINATA.JWT ? 'Yes' : 'No'))
-  
-  const { action } = await inquirer.prompt([
-    {
-      type: 'list',
-      name: 'action',
-      message: 'What would you like to do?',
-      choices: [
-        { name: '🔙 Back to Main Menu', value: 'back' },
-        { name: '🌐 Change Network', value: 'network' },
-        { name: '📝 Edit Config File', value: 'edit' }
-      ]
-    }
-  ])
-  
-  if (action === 'network') {
-    const { network } = await inquirer.prompt([
-      {
-        type: 'list',
-        name: 'network',
-        message: 'Select network:',
-        choices: [
-          { name: 'Devnet (Recommended for testing)', value: 'DEVNET' },
-          { name: 'Mainnet (Production)', value: 'MAINNET' },
-          { name: 'Testnet', value: 'TESTNET' }
-        ]
-      }
-    ])
-    
-    log.warning(`Network change requires editing config/config.js manually`)
-    log.info(`Change DEFAULT_NETWORK to "${network}"`)
-  }
-}
-
-// List created tokens
-function listCreatedTokens() {
-  log.title('📋 CREATED TOKENS')
-  
-  const tokenFiles = fileUtils.listFiles(CONFIG.PATHS.TOKENS, '.json')
-  
-  if (tokenFiles.length === 0) {
-    log.warning('No tokens created yet')
-    return
-  }
-  
-  tokenFiles.forEach((file, index) => {
-    try {
-      const tokenData = fileUtils.loadJson(file)
-      console.log(chalk.cyan(`${index + 1}.`), chalk.white(tokenData.name), 
-                  chalk.gray(`(${tokenData.symbol})`), 
-                  chalk.yellow(tokenData.mintAddress))
-    } catch (error) {
-      log.error(`Error reading ${file}: ${error.message}`)
-    }
-  })
-}
-
 // Initialize required directories
 function initializeDirectories() {
   fileUtils.ensureDir(CONFIG.PATHS.WALLETS)
@@ -205,7 +209,7 @@ async function mainMenu() {
           name: 'action',
           message: 'What would you like to do?',
           choices: MENU_OPTIONS,
-          pageSize: 10
+          pageSize: 15
         }
       ])
       
@@ -214,22 +218,54 @@ async function mainMenu() {
           await createToken()
           break
           
+        case 'apply':
+          await applyManifest()
+          break
+          
         case 'mint':
           await mintTokens()
           break
           
+        case 'distribute':
+          await distributeTokens()
+          break
+          
         case 'revoke':
           await revokeAuthorities()
           break
           
+        case 'authority':
+          await transferAuthority()
+          break
+          
+        case 'freeze':
+          await freezeAccounts()
+          break
+          
         case 'update':
           await updateMetadata()
           break
           
+        case 'history':
+          await metadataHistory()
+          break
+          
+        case 'lock':
+          await lockMetadata()
+          break
+          
         case 'check':
           await checkToken()
           break
           
+        case 'holders':
+          await analyzeHolders()
+          break
+          
+        case 'risk':
+          await riskReport()
+          break
+          
         case 'settings':
           await displaySettings()
           break
@@ -287,7 +323,8 @@ async function main() {
     initializeDirectories()
     
     log.success('Solana Token Launcher initialized!')
-    log.info(`Network: ${CONFIG.DEFAULT_NETWORK}`)
+    const profile = getProfile()
+    log.info(`Profile: ${profile.NAME} (${profile.NETWORK})`)
     log.info(`Wallets directory: ${CONFIG.PATHS.WALLETS}`)
     log.info(`Tokens directory: ${CONFIG.PATHS.TOKENS}`)
     
@@ -299,5 +336,9 @@ async function main() {
   }
 }
 
-// Run the application
-main()
\ No newline at end of file
+// Run a subcommand when arguments are given, otherwise the interactive menu
+if (process.argv.length > 2) {
+  runCli(process.argv.slice(2)).then(code => process.exit(code))
+} else {
+  main()
+}
\ No newline at end of file
@@ -0,0 +1,201 @@
+import ora from 'ora'
+
+import { checkNetworkAllowed, getProfile, getStorageConfig, resolveNetwork } from '../config/config.js'
+import * as api from './lib/index.js'
+import { displayAmount } from './lib/amount.js'
+import {
+  log,
+  promptUtils,
+  walletUtils,
+  displayUtils
+} from './utils.js'
+
+export async function applyManifest(options = {}) {
+  const { interactive = true } = options
+
+  try {
+    log.title('📜 APPLY LAUNCH MANIFEST')
+
+    const { manifestFile } = await promptUtils.ask([
+      {
+        type: 'input',
+        name: 'manifestFile',
+        message: 'Path to manifest file (JSON or YAML):',
+        validate: (input) => input.length > 0 ? true : 'Manifest path is required'
+      }
+    ], options)
+
+    const manifest = api.parseManifest(api.loadManifest(manifestFile))
+    const { tokenConfig } = manifest
+    log.success(`Manifest is valid: ${manifestFile}`)
+
+    // Wallet and network come from the manifest unless given explicitly
+    let walletFile = options.walletFile || manifest.walletFile
+
+    if (!walletFile) {
+      const walletFiles = walletUtils.listWallets()
+      if (interactive && walletFiles.length === 0 && !getProfile().WALLET) {
+        log.error('No wallet files found!')
+        log.info('Set "wallet" in the manifest or add a wallet file to the ./wallets directory')
+        return
+      }
+
+      const answers = await promptUtils.ask([
+        walletUtils.walletQuestion('Select wallet to use:')
+      ], options)
+      walletFile = answers.walletFile
+    }
+
+    const network = resolveNetwork(options.network || manifest.network)
+    checkNetworkAllowed(network)
+    const storage = options.storage || manifest.storage || getStorageConfig().PROVIDER
+
+    // Show summary
+    log.separator()
+    log.title('📋 MANIFEST SUMMARY')
+    console.log('Manifest:', manifestFile)
+    console.log('Name:', tokenConfig.name)
+    console.log('Symbol:', tokenConfig.symbol)
+    console.log('Description:', tokenConfig.description.substring(0, 50) + '...')
+    console.log('Image:', tokenConfig.imageUrl)
+    if (tokenConfig.externalUrl) {
+      console.log('Website:', tokenConfig.externalUrl)
+    }
+    console.log('Decimals:', tokenConfig.decimals)
+    console.log('Initial Supply:', displayAmount(tokenConfig.initialSupply, tokenConfig.decimals))
+    if (tokenConfig.attributes) {
+      console.log('Attributes:', tokenConfig.attributes.map(attr => `${attr.trait_type}=${attr.value}`).join(', '))
+    }
+    if (tokenConfig.creators) {
+      console.log('Creators:', tokenConfig.creators.map(creator => `${creator.address} (${creator.share}%)`).join(', '))
+    }
+    console.log('Revoke After Launch:', manifest.revokeAuthorities.length > 0
+      ? manifest.revokeAuthorities.map(auth => `${auth} authority`).join(', ')
+      : 'None')
+    console.log('Network:', network)
+    console.log('Storage:', storage)
+    console.log('Wallet:', walletFile.split('/').pop())
+    log.separator()
+
+    // Simulate before anything is sent
+    const preview = await displayUtils.previewSimulation(() => api.launchFromManifest({
+      manifest: manifestFile,
+      wallet: walletFile,
+      network,
+      storage,
+      dryRun: true
+    }), options)
+
+    if (manifest.revokeAuthorities.length > 0) {
+      log.info('Authority revocation is not simulated: it needs the token to exist first')
+    }
+
+    if (options.dryRun) {
+      log.info('Dry run: the launch was not sent')
+      return preview
+    }
+
+    if (network === 'MAINNET') {
+      const { confirm } = await promptUtils.ask([
+        {
+          type: 'confirm',
+          name: 'confirm',
+          message: '⚠️  You selected MAINNET. This will cost real SOL. Continue?',
+          default: false
+        }
+      ], options)
+
+      if (!confirm) {
+        log.info('Manifest launch cancelled')
+        return
+      }
+    }
+
+    const { confirmApply } = await promptUtils.ask([
+      {
+        type: 'confirm',
+        name: 'confirmApply',
+        message: '🚀 Launch this token?',
+        default: true
+      }
+    ], options)
+
+    if (!confirmApply) {
+      log.info('Manifest launch cancelled')
+      return
+    }
+
+    // Revocations are irreversible, so confirm them before anything is sent
+    if (manifest.revokeAuthorities.length > 0) {
+      log.warning('⚠️  This manifest PERMANENTLY revokes authorities after launch!')
+
+      await promptUtils.ask([
+        {
+          type: 'input',
+          name: 'doubleConfirm',
+          message: 'Type "REVOKE" in capital letters to confirm:',
+          validate: (input) => input === 'REVOKE' ? true : 'Please type "REVOKE" exactly as shown'
+        }
+      ], options)
+    }
+
+    // Start creation process
+    const spinner = ora()
+    let launch
+
+    try {
+      launch = await api.launchFromManifest({
+        manifest: manifestFile,
+        wallet: walletFile,
+        network,
+        storage,
+        onProgress: displayUtils.spinnerProgress(spinner)
+      })
+      spinner.succeed('Manifest applied')
+    } catch (error) {
+      spinner.fail('Manifest launch failed')
+      throw error
+    }
+
+    const { tokenData, tokenInfoFile, revocation } = launch
+
+    log.success('🎉 TOKEN CREATED SUCCESSFULLY!')
+    displayUtils.displayTokenInfo(tokenData)
+    displayUtils.displayExplorerLinks(tokenData.mintAddress, 'address', network)
+
+    // Report authorities revoked by the manifest
+    if (revocation) {
+      log.title('🔒 AUTHORITY REVOCATION')
+      manifest.revokeAuthorities.forEach(authority => {
+        if (revocation[`${authority}Revoked`]) {
+          log.success(`${authority} authority revoked (${revocation[`${authority}RevokeSignature`] || 'no signature'})`)
+        } else {
+          log.error(`${authority} authority revocation failed: ${revocation[`${authority}Error`]}`)
+        }
+      })
+    }
+
+    log.success(`Token information saved to: ${tokenInfoFile}`)
+
+    return launch
+
+  } catch (error) {
+    log.error(`Manifest launch failed: ${error.message}`)
+
+    // Provide helpful error messages
+    if (error.message.includes('insufficient funds')) {
+      log.info('💡 Solution: Add SOL to your wallet for transaction fees')
+    } else if (error.message.includes('Pinata')) {
+      log.info('💡 Solution: Set your Pinata JWT in Settings → Pinata Credentials')
+      log.info('   or use another storage provider (Settings → Metadata Storage, or --storage)')
+    } else if (error.message.includes('IPFS node')) {
+      log.info('💡 Solution: Start your IPFS node, or set its API URL in Settings → Metadata Storage')
+    } else if (error.message.includes('Irys')) {
+      log.info('💡 Solution: Install the Irys uploader, or use another storage provider')
+    } else if (error.message.includes('manifest') || error.message.includes('Manifest')) {
+      log.info('💡 Solution: Fix the manifest file and run it again')
+    }
+
+    throw error
+  }
+}
@@ -1,171 +1,192 @@
-import {
-  mplTokenMetadata,
-  findMetadataPda,
-  fetchMetadataFromSeeds,
-} from '@metaplex-foundation/mpl-token-metadata'
-import {
-  publicKey,
-} from '@metaplex-foundation/umi'
-import { createUmi } from '@metaplex-foundation/umi-bundle-defaults'
-import inquirer from 'inquirer'
 import ora from 'ora'
 import chalk from 'chalk'
-import fetch from 'node-fetch'
 
-import { CONFIG, getNetworkUrl } from '../config/config.js'
+import { getClusterChoices, getProfile, resolveNetwork } from '../config/config.js'
+import * as api from './lib/index.js'
+import { displayAmount, formatAmount } from './lib/amount.js'
 import { 
+  EXTENSIONS,
   log, 
-  tokenUtils, 
-  validators, 
-  displayUtils,
-  fileUtils 
+  promptUtils, 
+  walletUtils,
+  displayUtils
 } from './utils.js'
 
-export async function checkToken() {
-  try {
-    log.title('🔍 CHECK TOKEN INFORMATION')
+// Display name of each authority role in the check report
+const AUTHORITY_LABELS = {
+  mint: 'Mint Authority',
+  freeze: 'Freeze Authority',
+  update: 'Update Authority',
+  close: 'Close Authority',
+  permanentDelegate: 'Permanent Delegate',
+  transferFeeConfig: 'Transfer Fee Authority',
+  withdrawWithheld: 'Withheld Fee Authority',
+  interestRate: 'Interest Rate Authority',
+  transferHook: 'Transfer Hook Authority',
+  metadataPointer: 'Metadata Pointer Authority',
+  pause: 'Pause Authority'
+}
 
-    // Option to use existing token or enter new address
-    const { tokenSource } = await inquirer.prompt([
-      {
-        type: 'list',
-        name: 'tokenSource',
-        message: 'How would you like to specify the token?',
-        choices: [
-          { name: '📋 Select from created tokens', value: 'created' },
-          { name: '✏️  Enter token address manually', value: 'manual' }
-        ]
-      }
-    ])
+// Local wallet file names by address: the given wallet, or else the
+// profile's wallet and every wallet in ./wallets
+function localWallets(walletFile) {
+  const files = walletFile ? [walletFile] : [getProfile().WALLET, ...walletUtils.listWallets()].filter(Boolean)
 
-    let tokenAddress, tokenInfo = null
+  return Object.fromEntries(files.flatMap(file => {
+    try {
+      return [[api.getWalletAddress(file), file.split('/').pop()]]
+    } catch {
+      return []
+    }
+  }))
+}
 
-    if (tokenSource === 'created') {
-      // Select from created tokens
-      const tokenFiles = tokenUtils.listTokens()
-      
-      if (tokenFiles.length === 0) {
-        log.error('No tokens found!')
-        log.info('Create a token first or use manual address entry')
-        return
+// Settings worth showing for a Token-2022 extension
+function describeExtension(extension) {
+  switch (extension.name) {
+    case 'TransferFeeConfig':
+      return `${extension.transferFee.basisPoints / 100}% fee, max ${extension.transferFee.maximumFee} base units`
+    case 'DefaultAccountState':
+      return `new accounts start ${extension.state}`
+    case 'TransferHook':
+      return extension.programId ? `program ${extension.programId}` : 'no program'
+    case 'MetadataPointer':
+      return extension.metadataAddress ? `metadata at ${extension.metadataAddress}` : ''
+    case 'TokenMetadata':
+      return [extension.symbol, extension.uri].filter(Boolean).join(' - ')
+    case 'Pausable':
+      return extension.paused ? 'PAUSED' : 'not paused'
+    default:
+      return ''
+  }
+}
+
+// A changed value in a watch event
+function formatValue(value) {
+  if (value === null || value === undefined) return 'none'
+  return typeof value === 'string' ? value : JSON.stringify(value)
+}
+
+// Print a timestamped line for a watch event
+function printEvent(event, decimals) {
+  const time = chalk.gray(`[${new Date(event.date).toLocaleString()}]`)
+
+  if (event.type === 'supply') {
+    console.log(time, chalk.yellow(`🪙 Supply ${event.minted ? 'increased (minted)' : 'decreased (burned)'}:`), `${displayAmount(event.before, decimals)} → ${displayAmount(event.after, decimals)}`)
+  } else if (event.type === 'authority') {
+    console.log(time, chalk.red(`🔑 ${AUTHORITY_LABELS[event.field] || event.field}:`), `${formatValue(event.before)} → ${event.after === null ? 'revoked' : event.after}`)
+  } else {
+    console.log(time, chalk.cyan(`📝 Metadata ${event.field}:`), `${formatValue(event.before)} → ${formatValue(event.after)}`)
+  }
+}
+
+// Watch a mint until Ctrl+C, printing every change of supply, authorities
+// and metadata (one JSON line per event with --json)
+async function watchMint(tokenAddress, network, options) {
+  const { json = false, webhookUrl } = options
+  const spinner = ora()
+  const events = []
+  let decimals = 0
+
+  const watcher = await api.watchToken({
+    network,
+    mint: tokenAddress,
+    webhookUrl,
+    onEvent: (event) => {
+      events.push(event)
+      if (json) {
+        console.log(JSON.stringify(event))
+      } else {
+        printEvent(event, decimals)
       }
+    },
+    // stderr with --json, so the event stream on stdout stays JSON lines
+    onError: (error) => json
+      ? console.error(chalk.yellow('⚠️ ', `Webhook delivery failed: ${error.message}`))
+      : log.warning(`Webhook delivery failed: ${error.message}`),
+    onProgress: json ? undefined : displayUtils.spinnerProgress(spinner)
+  })
 
-      const tokenChoices = tokenFiles.map(file => {
-        try {
-          const data = fileUtils.loadJson(file)
-          return {
-            name: `${data.name} (${data.symbol}) - ${data.mintAddress}`,
-            value: { address: data.mintAddress, info: data }
-          }
-        } catch (error) {
-          return {
-            name: `Error loading ${file}`,
-            value: null
-          }
-        }
-      }).filter(choice => choice.value !== null)
+  decimals = watcher.initial.decimals
 
-      const { selectedToken } = await inquirer.prompt([
-        {
-          type: 'list',
-          name: 'selectedToken',
-          message: 'Select token to check:',
-          choices: tokenChoices
-        }
-      ])
+  if (!json) {
+    spinner.succeed('Watching for changes (Ctrl+C to stop)')
+    log.separator()
+    console.log(chalk.cyan('Token Address:'), chalk.yellow(tokenAddress))
+    console.log(chalk.cyan('Network:'), chalk.white(network))
+    console.log(chalk.cyan('Supply:'), chalk.white(displayAmount(watcher.initial.uiSupply, watcher.initial.decimals)))
+    Object.entries(watcher.initial.authorities).forEach(([role, holder]) => {
+      console.log(chalk.cyan(`${AUTHORITY_LABELS[role] || role}:`), holder ? chalk.yellow(holder) : chalk.green('Revoked (none)'))
+    })
+    if (watcher.initial.metadata.uri) {
+      console.log(chalk.cyan('Metadata URI:'), chalk.blue(watcher.initial.metadata.uri))
+    }
+    if (webhookUrl) {
+      console.log(chalk.cyan('Webhook:'), chalk.white(webhookUrl))
+    }
+    log.separator()
+  }
 
-      tokenAddress = selectedToken.address
-      tokenInfo = selectedToken.info
+  await new Promise(resolve => process.once('SIGINT', resolve))
+  await watcher.stop()
 
-    } else {
-      // Manual address entry
-      const { address } = await inquirer.prompt([
-        {
-          type: 'input',
-          name: 'address',
-          message: 'Enter token mint address:',
-          validate: (input) => {
-            if (!validators.validateAddress(input)) {
-              return 'Please enter a valid Solana address'
-            }
-            return true
-          }
-        }
-      ])
-      
-      tokenAddress = address
+  if (!json) {
+    log.info(`Stopped watching after ${events.length} event${events.length === 1 ? '' : 's'}`)
+  }
+
+  return { mintAddress: tokenAddress, network, events }
+}
+
+export async function checkToken(options = {}) {
+  const { interactive = true, json = false } = options
+
+  try {
+    if (!json) {
+      log.title('🔍 CHECK TOKEN INFORMATION')
     }
 
+    const token = await promptUtils.selectToken(options, { message: 'Select token to check:' })
+    if (!token) {
+      return
+    }
+    const { tokenAddress, tokenInfo } = token
+
     // Select network
-    const { network } = await inquirer.prompt([
+    const { network } = await promptUtils.ask([
       {
         type: 'list',
         name: 'network',
         message: 'Select network:',
-        choices: [
-          { name: 'Devnet', value: 'DEVNET' },
-          { name: 'Mainnet', value: 'MAINNET' },
-          { name: 'Testnet', value: 'TESTNET' }
-        ],
-        default: tokenInfo?.network?.toUpperCase() || 'DEVNET'
+        choices: getClusterChoices(),
+        default: tokenInfo?.network?.toUpperCase() || resolveNetwork()
       }
-    ])
+    ], options)
+
+    if (options.watch) {
+      return await watchMint(tokenAddress, network, options)
+    }
 
     // Fetch token information
-    const spinner = ora('Fetching token information...').start()
+    const spinner = ora()
 
     try {
-      const umi = createUmi(getNetworkUrl(network))
-        .use(mplTokenMetadata())
+      const report = await api.checkToken({
+        network,
+        mint: tokenAddress,
+        onProgress: json ? undefined : displayUtils.spinnerProgress(spinner)
+      })
+      const { mint: mintInfo, metadata, offChainMetadata: offChainData } = report
 
-      const mintAddress = publicKey(tokenAddress)
-      
-      // Check if mint account exists
-      spinner.text = 'Checking mint account...'
-      const mintAccount = await umi.rpc.getAccount(mintAddress)
-      
-      if (!mintAccount.exists) {
-        spinner.fail('Token mint account not found')
-        log.error('The specified token address does not exist on this network')
-        return
-      }
-
-      spinner.text = 'Fetching mint account data...'
-      
-      // Parse mint account data (basic info)
-      const mintData = mintAccount.data
-      let mintInfo = null
-      
-      try {
-        // Basic mint account parsing (simplified)
-        if (mintData.length >= 82) {
-          const supply = new DataView(mintData.buffer, mintData.byteOffset + 36, 8)
-          const decimals = mintData[44]
-          const isInitialized = mintData[45] === 1
-          
-          mintInfo = {
-            supply: supply.getBigUint64(0, true),
-            decimals: decimals,
-            isInitialized: isInitialized
-          }
-        }
-      } catch (error) {
-        log.warning('Could not parse mint account data details')
+      // Everything in the report, for dashboards and alerting scripts
+      if (json) {
+        displayUtils.printJson({ ...report, metadata: api.plainMetadata(metadata) })
+        return report
       }
 
-      spinner.text = 'Fetching metadata...'
-      
-      // Try to fetch metadata
-      let metadata = null
-      let metadataExists = false
-      
-      try {
-        metadata = await fetchMetadataFromSeeds(umi, { mint: mintAddress })
-        metadataExists = true
+      if (metadata) {
         spinner.succeed('Token information fetched successfully')
-      } catch (error) {
+      } else {
         spinner.warn('Token exists but has no metadata')
-        metadataExists = false
       }
 
       // Display results
@@ -176,13 +197,36 @@ export async function checkToken() {
       console.log(chalk.cyan('Network:'), chalk.white(network))
       console.log(chalk.cyan('Mint Account:'), chalk.green('✅ Exists'))
       
-      if (mintInfo) {
-        console.log(chalk.cyan('Supply:'), chalk.white(mintInfo.supply.toString()))
-        console.log(chalk.cyan('Decimals:'), chalk.white(mintInfo.decimals))
-        console.log(chalk.cyan('Initialized:'), mintInfo.isInitialized ? chalk.green('✅ Yes') : chalk.red('❌ No'))
+      console.log(chalk.cyan('Token Program:'), chalk.white(mintInfo.program === 'token-2022' ? 'Token-2022' : 'SPL Token'))
+      console.log(chalk.cyan('Supply:'), chalk.white(formatAmount(mintInfo.supply, mintInfo.decimals)))
+      console.log(chalk.cyan('Decimals:'), chalk.white(mintInfo.decimals))
+      console.log(chalk.cyan('Initialized:'), mintInfo.isInitialized ? chalk.green('✅ Yes') : chalk.red('❌ No'))
+
+      if (mintInfo.extensions.length > 0) {
+        console.log(chalk.cyan('Extensions:'))
+        mintInfo.extensions.forEach(extension => {
+          const details = describeExtension(extension)
+          console.log(chalk.gray(`  ${extension.name}${details ? `: ${details}` : ''}`))
+        })
       }
 
-      if (metadataExists && metadata) {
+      // Who holds each authority, flagging the local wallets
+      const wallets = localWallets(options.walletFile)
+      log.separator()
+      log.title('🔑 AUTHORITIES')
+      Object.entries(report.authorities).forEach(([role, holder]) => {
+        const label = chalk.cyan(`${AUTHORITY_LABELS[role] || role}:`)
+        if (!holder) {
+          console.log(label, chalk.green('✅ Revoked (none)'))
+        } else if (wallets[holder]) {
+          console.log(label, chalk.yellow(holder), chalk.magenta(`👛 your wallet (${wallets[holder]})`))
+        } else {
+          console.log(label, chalk.yellow(holder))
+        }
+      })
+
+      if (metadata) {
+        const { tokenStandard, creators } = api.plainMetadata(metadata)
         log.separator()
         log.title('📋 METADATA INFORMATION')
         
@@ -190,52 +234,49 @@ export async function checkToken() {
         console.log(chalk.cyan('Symbol:'), chalk.white(metadata.symbol))
         console.log(chalk.cyan('URI:'), chalk.blue(metadata.uri))
         console.log(chalk.cyan('Update Authority:'), chalk.yellow(metadata.updateAuthority.toString()))
-        console.log(chalk.cyan('Mint Authority:'), chalk.yellow('Check via CLI'))
         console.log(chalk.cyan('Is Mutable:'), metadata.isMutable ? chalk.green('✅ Yes') : chalk.red('❌ No'))
+        console.log(chalk.cyan('Metadata:'), report.metadataLocked
+          ? chalk.green('🔒 LOCKED (can never be changed)')
+          : chalk.yellow('✏️  Not locked (the update authority can change it)'))
         console.log(chalk.cyan('Primary Sale:'), metadata.primarySaleHappened ? chalk.green('✅ Yes') : chalk.yellow('❌ No'))
         console.log(chalk.cyan('Seller Fee:'), chalk.white(`${metadata.sellerFeeBasisPoints / 100}%`))
-        console.log(chalk.cyan('Token Standard:'), chalk.white(metadata.tokenStandard || 'Unknown'))
+        console.log(chalk.cyan('Token Standard:'), chalk.white(tokenStandard || 'Unknown'))
         
-        if (metadata.creators && metadata.creators.length > 0) {
+        if (creators.length > 0) {
           console.log(chalk.cyan('Creators:'))
-          metadata.creators.forEach((creator, index) => {
+          creators.forEach((creator, index) => {
             console.log(chalk.gray(`  ${index + 1}. ${creator.address} (${creator.share}%) ${creator.verified ? '✅' : '❌'}`))
           })
         }
 
-        // Try to fetch off-chain metadata
-        if (metadata.uri) {
-          spinner.start('Fetching off-chain metadata...')
-          try {
-            const response = await fetch(metadata.uri)
-            if (response.ok) {
-              const offChainData = await response.json()
-              spinner.succeed('Off-chain metadata fetched')
-              
-              log.separator()
-              log.title('🌐 OFF-CHAIN METADATA')
-              
-              if (offChainData.description) {
-                console.log(chalk.cyan('Description:'), chalk.white(offChainData.description.substring(0, 100) + '...'))
-              }
-              if (offChainData.image) {
-                console.log(chalk.cyan('Image:'), chalk.blue(offChainData.image))
-              }
-              if (offChainData.external_url) {
-                console.log(chalk.cyan('External URL:'), chalk.blue(offChainData.external_url))
-              }
-              if (offChainData.attributes && offChainData.attributes.length > 0) {
-                console.log(chalk.cyan('Attributes:'))
-                offChainData.attributes.forEach(attr => {
-                  console.log(chalk.gray(`  ${attr.trait_type}: ${attr.value}`))
-                })
-              }
-            } else {
-              spinner.warn('Could not fetch off-chain metadata')
-            }
-          } catch (error) {
-            spinner.warn('Could not fetch off-chain metadata')
+        // Show off-chain metadata
+        if (offChainData) {
+          log.separator()
+          log.title('🌐 OFF-CHAIN METADATA')
+          
+          if (offChainData.description) {
+            console.log(chalk.cyan('Description:'), chalk.white(offChainData.description.substring(0, 100) + '...'))
+          }
+          if (offChainData.image) {
+            console.log(chalk.cyan('Image:'), chalk.blue(offChainData.image))
+          }
+          if (offChainData.external_url) {
+            console.log(chalk.cyan('External URL:'), chalk.blue(offChainData.external_url))
           }
+          if (offChainData.attributes && offChainData.attributes.length > 0) {
+            console.log(chalk.cyan('Attributes:'))
+            offChainData.attributes.forEach(attr => {
+              console.log(chalk.gray(`  ${attr.trait_type}: ${attr.value}`))
+            })
+          }
+          if (offChainData.extensions && Object.keys(offChainData.extensions).length > 0) {
+            console.log(chalk.cyan('Social Links:'))
+            Object.entries(offChainData.extensions).forEach(([key, value]) => {
+              console.log(chalk.gray(`  ${EXTENSIONS[key]?.label || key}: ${value}`))
+            })
+          }
+        } else if (metadata.uri) {
+          log.warning('Could not fetch off-chain metadata')
         }
       } else {
         log.separator()
@@ -261,8 +302,12 @@ export async function checkToken() {
           console.log(chalk.cyan('Last Updated:'), chalk.white(new Date(tokenInfo.lastUpdateDate).toLocaleString()))
         }
         
+        if (tokenInfo.metadataLockDate) {
+          console.log(chalk.cyan('Metadata Locked:'), chalk.white(new Date(tokenInfo.metadataLockDate).toLocaleString()))
+        }
+        
         if (tokenInfo.totalMinted) {
-          console.log(chalk.cyan('Total Minted:'), chalk.white(tokenInfo.totalMinted.toLocaleString()))
+          console.log(chalk.cyan('Total Minted:'), chalk.white(displayAmount(tokenInfo.totalMinted, tokenInfo.decimals)))
         }
       }
 
@@ -270,8 +315,12 @@ export async function checkToken() {
       log.separator()
       displayUtils.displayExplorerLinks(tokenAddress, 'address', network)
 
+      if (!interactive) {
+        return report
+      }
+
       // Show additional actions
-      const { action } = await inquirer.prompt([
+      const { action } = await promptUtils.ask([
         {
           type: 'list',
           name: 'action',
@@ -280,11 +329,24 @@ export async function checkToken() {
             { name: '🔙 Back to main menu', value: 'back' },
             { name: '🪙 Mint tokens', value: 'mint' },
             { name: '📝 Update metadata', value: 'update' },
+            { name: '👀 Watch for changes', value: 'watch' },
             { name: '🔗 Open in browser', value: 'browser' }
           ]
         }
       ])
 
+      if (action === 'watch') {
+        const { webhookUrl } = await promptUtils.ask([
+          {
+            type: 'input',
+            name: 'webhookUrl',
+            message: 'Webhook URL to POST events to (leave empty for none):',
+            validate: (input) => input === '' || /^https?:\/\//.test(input) || 'Please enter an http(s) URL'
+          }
+        ])
+        return await watchMint(tokenAddress, network, { webhookUrl: webhookUrl || undefined })
+      }
+
       if (action === 'mint') {
         log.info('Redirecting to mint tokens...')
         // This would call the mint function
@@ -292,29 +354,36 @@ export async function checkToken() {
         log.info('Redirecting to update metadata...')
         // This would call the update function
       } else if (action === 'browser') {
-        const urls = tokenUtils.getExplorerUrls(tokenAddress, 'address', network)
-        log.info('Explorer URLs:')
-        console.log('Solana Explorer:', urls.solana)
-        console.log('SolScan:', urls.solscan)
+        displayUtils.displayExplorerLinks(tokenAddress, 'address', network)
       }
 
+      return report
+
     } catch (error) {
       spinner.fail('Failed to fetch token information')
       throw error
     }
 
   } catch (error) {
-    log.error(`Token check failed: ${error.message}`)
+    // With --json stdout only gets the error as JSON; the explanation goes
+    // to stderr
+    if (json) {
+      displayUtils.printJson({ error: error.message })
+    }
+    const fail = json ? (message) => console.error(chalk.red('❌', message)) : log.error
+    const hint = json ? (message) => console.error(chalk.blue('ℹ️ ', message)) : log.info
+
+    fail(`Token check failed: ${error.message}`)
     
     // Provide helpful error messages
     if (error.message.includes('account not found')) {
-      log.info('💡 The token address does not exist on the selected network')
-      log.info('   - Check the address is correct')
-      log.info('   - Make sure you\'re on the right network')
+      hint('💡 The token address does not exist on the selected network')
+      hint('   - Check the address is correct')
+      hint('   - Make sure you\'re on the right network')
     } else if (error.message.includes('Invalid address')) {
-      log.info('💡 Please enter a valid Solana address (32-44 characters)')
+      hint('💡 Please enter a valid Solana address (32-44 characters)')
     } else if (error.message.includes('network')) {
-      log.info('💡 Network connection issue - try again in a moment')
+      hint('💡 Network connection issue - try again in a moment')
     }
     
     throw error
@@ -0,0 +1,680 @@
+import { parseArgs } from 'util'
+import chalk from 'chalk'
+
+import { resolveNetwork, useProfile } from '../config/config.js'
+import { createToken } from './create-token.js'
+import { applyManifest } from './apply-manifest.js'
+import { mintTokens } from './mint-tokens.js'
+import { distributeTokens } from './distribute-tokens.js'
+import { revokeAuthorities } from './revoke-authorities.js'
+import { transferAuthority } from './transfer-authority.js'
+import { updateMetadata } from './update-metadata.js'
+import { lockMetadata } from './lock-metadata.js'
+import { freezeAccounts } from './freeze-accounts.js'
+import { metadataHistory } from './metadata-history.js'
+import { checkToken } from './check-token.js'
+import { analyzeHolders } from './holders.js'
+import { riskReport } from './risk-report.js'
+import { listCreatedTokens } from './list-tokens.js'
+import { STORAGE_PROVIDERS } from './lib/storage.js'
+import { log, PromptError, validators } from './utils.js'
+
+// Process exit codes for non-interactive runs
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  FAILURE: 1,
+  USAGE: 2,
+  NOT_CONFIRMED: 3
+}
+
+// Raised for bad command lines
+class UsageError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'UsageError'
+  }
+}
+
+// Flags shared by every command
+const GLOBAL_OPTIONS = {
+  wallet: { type: 'string', short: 'w' },
+  network: { type: 'string', short: 'n' },
+  profile: { type: 'string', short: 'p' },
+  yes: { type: 'boolean', short: 'y' },
+  'dry-run': { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+}
+
+// Command line flag for each prompt answer, used in error messages
+const FLAG_NAMES = {
+  walletFile: '--wallet',
+  network: '--network',
+  address: '--token',
+  manifestFile: '<manifest>',
+  name: '--name',
+  symbol: '--symbol',
+  description: '--description',
+  imageUrl: '--image',
+  image: '--image',
+  externalUrl: '--external-url',
+  attributes: '--attribute',
+  extensions: '--extension',
+  decimals: '--decimals',
+  initialSupply: '--supply',
+  amount: '--amount',
+  recipientAddress: '--recipient',
+  recipientsFile: '--file',
+  method: '--method',
+  supplyRecipient: '--recipient',
+  authoritiesToRevoke: '--mint-authority / --freeze-authority',
+  authoritiesToTransfer: '--mint-authority / --freeze-authority / --update-authority',
+  newAuthority: '--to',
+  holder: '--holder',
+  from: '--from',
+  to: '--to',
+  version: '--version',
+  top: '--top',
+  csvFile: '--csv',
+  locksToApply: '--immutable / --drop-update-authority',
+  fieldsToUpdate: '--name / --symbol / --description / --image / --external-url / --attribute / --extension'
+}
+
+// Resolve a --network value through the cluster registry
+function parseNetwork(value) {
+  if (value === undefined) return undefined
+
+  try {
+    return resolveNetwork(value)
+  } catch (error) {
+    throw new UsageError(error.message)
+  }
+}
+
+// Check a --storage value against the storage providers
+function parseStorage(value) {
+  if (value === undefined) return undefined
+
+  const provider = value.toLowerCase()
+  if (!STORAGE_PROVIDERS.includes(provider)) {
+    throw new UsageError(`Unknown storage provider: ${value}. Available providers: ${STORAGE_PROVIDERS.join(', ')}`)
+  }
+  return provider
+}
+
+// Parse repeated --attribute "Trait=Value" flags into a list of attributes
+function parseAttributes(entries) {
+  if (entries === undefined) return undefined
+
+  const attributes = entries.map(entry => {
+    const index = entry.indexOf('=')
+    if (index < 1) {
+      throw new UsageError(`--attribute must look like "Trait=Value", got "${entry}"`)
+    }
+    return { trait_type: entry.slice(0, index).trim(), value: entry.slice(index + 1).trim() }
+  })
+
+  try {
+    validators.validateAttributes(attributes)
+  } catch (error) {
+    throw new UsageError(error.message)
+  }
+  return attributes
+}
+
+// Parse repeated --extension key=value flags (e.g. twitter=@handle) into
+// extensions; an empty value removes the key on update
+function parseExtensions(entries) {
+  if (entries === undefined) return undefined
+
+  const extensions = Object.fromEntries(entries.map(entry => {
+    const index = entry.indexOf('=')
+    if (index < 1) {
+      throw new UsageError(`--extension must look like "twitter=@handle", got "${entry}"`)
+    }
+    return [entry.slice(0, index).trim(), entry.slice(index + 1).trim()]
+  }))
+
+  try {
+    validators.normalizeExtensions(extensions)
+  } catch (error) {
+    throw new UsageError(error.message)
+  }
+  return extensions
+}
+
+// Parse a numeric flag, leaving it unset when not given
+function parseNumber(value, flag) {
+  if (value === undefined) return undefined
+
+  const number = Number(value)
+  if (value.trim() === '' || Number.isNaN(number)) {
+    throw new UsageError(`${flag} must be a number, got "${value}"`)
+  }
+  return number
+}
+
+// Answers that confirm a command's prompts when --yes is given
+function confirmations(yes, names) {
+  return Object.fromEntries(names.map(name => [name, yes ? true : undefined]))
+}
+
+// Answers for the freeze, thaw and frozen commands, which share one flow
+function freezeAnswers(action, values) {
+  return {
+    action,
+    walletFile: values.wallet,
+    network: parseNetwork(values.network),
+    tokenSource: 'manual',
+    address: values.token,
+    holder: values.holder,
+    ...confirmations(values.yes, ['confirmFreeze'])
+  }
+}
+
+// Answers for the history, diff and rollback commands, which share one flow
+function historyAnswers(action, values) {
+  return {
+    action,
+    walletFile: values.wallet,
+    network: parseNetwork(values.network),
+    tokenSource: 'manual',
+    address: values.token,
+    from: parseNumber(values.from, '--from'),
+    to: parseNumber(values.to, '--to'),
+    version: parseNumber(values.version, '--version'),
+    ...confirmations(values.yes, ['confirmRollback'])
+  }
+}
+
+// Subcommand definitions
+const COMMANDS = {
+  create: {
+    description: 'Create a new token with metadata',
+    usage: '--name <name> --symbol <symbol> --description <text> [--image <url|file>] [--external-url <url>] [--attribute <trait=value>]... [--extension <key=value>]... [--decimals <n>] [--supply <n>] [--recipient <address>] [--freeze-authority] [--storage <provider>]',
+    options: {
+      name: { type: 'string' },
+      symbol: { type: 'string' },
+      description: { type: 'string' },
+      image: { type: 'string' },
+      'external-url': { type: 'string' },
+      attribute: { type: 'string', multiple: true },
+      extension: { type: 'string', multiple: true },
+      decimals: { type: 'string' },
+      supply: { type: 'string' },
+      recipient: { type: 'string' },
+      'freeze-authority': { type: 'boolean' },
+      storage: { type: 'string' }
+    },
+    run: createToken,
+    answers: (values) => ({
+      walletFile: values.wallet,
+      network: parseNetwork(values.network),
+      name: values.name,
+      symbol: values.symbol,
+      description: values.description,
+      imageUrl: values.image,
+      externalUrl: values['external-url'],
+      attributes: parseAttributes(values.attribute),
+      extensions: parseExtensions(values.extension),
+      decimals: parseNumber(values.decimals, '--decimals'),
+      initialSupply: values.supply,
+      supplyRecipient: values.recipient,
+      freezeAuthority: Boolean(values['freeze-authority']),
+      storage: parseStorage(values.storage),
+      ...confirmations(values.yes, ['confirm', 'confirmCreate'])
+    })
+  },
+
+  apply: {
+    description: 'Launch a token from a JSON or YAML manifest',
+    usage: '<manifest> [--storage <provider>]',
+    positional: 'manifest',
+    options: {
+      storage: { type: 'string' }
+    },
+    run: applyManifest,
+    answers: (values) => ({
+      manifestFile: values.manifest,
+      walletFile: values.wallet,
+      network: parseNetwork(values.network),
+      storage: parseStorage(values.storage),
+      doubleConfirm: values.yes ? 'REVOKE' : undefined,
+      ...confirmations(values.yes, ['confirm', 'confirmApply'])
+    }),
+    succeeded: (result) => !result.revocation || COMMANDS.revoke.succeeded(result.revocation)
+  },
+
+  mint: {
+    description: 'Mint tokens to your wallet or another address',
+    usage: '--token <mint> --amount <n> [--recipient <address>]',
+    options: {
+      token: { type: 'string', short: 't' },
+      amount: { type: 'string' },
+      recipient: { type: 'string' }
+    },
+    run: mintTokens,
+    answers: (values) => ({
+      walletFile: values.wallet,
+      network: parseNetwork(values.network),
+      tokenSource: 'manual',
+      address: values.token,
+      amount: values.amount,
+      useRecipient: Boolean(values.recipient),
+      recipientAddress: values.recipient,
+      ...confirmations(values.yes, ['confirmMint'])
+    })
+  },
+
+  distribute: {
+    description: 'Send tokens to every address in a CSV or JSON file',
+    usage: '--token <mint> --file <recipients> [--method mint|transfer] [--batch-size <n>]',
+    options: {
+      token: { type: 'string', short: 't' },
+      file: { type: 'string', short: 'f' },
+      method: { type: 'string' },
+      'batch-size': { type: 'string' }
+    },
+    run: distributeTokens,
+    answers: (values) => ({
+      walletFile: values.wallet,
+      network: parseNetwork(values.network),
+      recipientsFile: values.file,
+      tokenSource: 'manual',
+      address: values.token,
+      method: values.method,
+      batchSize: parseNumber(values['batch-size'], '--batch-size'),
+      ...confirmations(values.yes, ['confirmDistribute'])
+    }),
+    // Rows that failed or are still unconfirmed need another run
+    succeeded: (result) => result.confirmed === result.recipients
+  },
+
+  revoke: {
+    description: 'Permanently revoke mint and/or freeze authority',
+    usage: '--token <mint> [--mint-authority] [--freeze-authority]',
+    options: {
+      token: { type: 'string', short: 't' },
+      'mint-authority': { type: 'boolean' },
+      'freeze-authority': { type: 'boolean' }
+    },
+    run: revokeAuthorities,
+    answers: (values) => {
+      const authorities = [
+        values['mint-authority'] && 'mint',
+        values['freeze-authority'] && 'freeze'
+      ].filter(Boolean)
+
+      return {
+        walletFile: values.wallet,
+        network: parseNetwork(values.network),
+        tokenSource: 'manual',
+        address: values.token,
+        authoritiesToRevoke: authorities.length > 0 ? authorities : undefined,
+        doubleConfirm: values.yes ? 'REVOKE' : undefined,
+        ...confirmations(values.yes, ['confirmRevoke'])
+      }
+    },
+    // A partial revocation is still a failed run
+    succeeded: (results) => results.mintRevoked !== false && results.freezeRevoked !== false
+  },
+
+  authority: {
+    description: 'Transfer mint, freeze and/or update authority to another address',
+    usage: '--token <mint> --to <address> [--mint-authority] [--freeze-authority] [--update-authority]',
+    options: {
+      token: { type: 'string', short: 't' },
+      to: { type: 'string' },
+      'mint-authority': { type: 'boolean' },
+      'freeze-authority': { type: 'boolean' },
+      'update-authority': { type: 'boolean' }
+    },
+    run: transferAuthority,
+    answers: (values) => {
+      const authorities = [
+        values['mint-authority'] && 'mint',
+        values['freeze-authority'] && 'freeze',
+        values['update-authority'] && 'update'
+      ].filter(Boolean)
+
+      return {
+        walletFile: values.wallet,
+        network: parseNetwork(values.network),
+        tokenSource: 'manual',
+        address: values.token,
+        authoritiesToTransfer: authorities.length > 0 ? authorities : undefined,
+        newAuthority: values.to,
+        doubleConfirm: values.yes ? 'TRANSFER' : undefined,
+        ...confirmations(values.yes, ['confirmTransfer'])
+      }
+    },
+    // Every selected authority must be held by the new address
+    succeeded: (results) => ['mint', 'freeze', 'update'].every(auth => results[`${auth}Transferred`] !== false)
+  },
+
+  update: {
+    description: 'Update token metadata',
+    usage: '--token <mint> [--name <name>] [--symbol <symbol>] [--description <text>] [--image <url|file>] [--external-url <url>] [--attribute <trait=value>]... [--extension <key=value>]... [--storage <provider>] [--rebuild]',
+    options: {
+      token: { type: 'string', short: 't' },
+      name: { type: 'string' },
+      symbol: { type: 'string' },
+      description: { type: 'string' },
+      image: { type: 'string' },
+      'external-url': { type: 'string' },
+      attribute: { type: 'string', multiple: true },
+      extension: { type: 'string', multiple: true },
+      storage: { type: 'string' },
+      rebuild: { type: 'boolean' }
+    },
+    run: updateMetadata,
+    answers: (values) => {
+      const updates = {
+        name: values.name,
+        symbol: values.symbol,
+        description: values.description,
+        image: values.image,
+        externalUrl: values['external-url'],
+        attributes: parseAttributes(values.attribute),
+        extensions: parseExtensions(values.extension)
+      }
+      const fieldsToUpdate = Object.keys(updates).filter(field => updates[field] !== undefined)
+
+      return {
+        walletFile: values.wallet,
+        network: parseNetwork(values.network),
+        tokenSource: 'manual',
+        address: values.token,
+        fieldsToUpdate: fieldsToUpdate.length > 0 ? fieldsToUpdate : undefined,
+        ...updates,
+        storage: parseStorage(values.storage),
+        rebuild: Boolean(values.rebuild),
+        ...confirmations(values.yes, ['confirmUpdate'])
+      }
+    }
+  },
+
+  lock: {
+    description: 'Permanently lock token metadata',
+    usage: '--token <mint> [--immutable] [--drop-update-authority]',
+    options: {
+      token: { type: 'string', short: 't' },
+      immutable: { type: 'boolean' },
+      'drop-update-authority': { type: 'boolean' }
+    },
+    run: lockMetadata,
+    answers: (values) => {
+      const locks = [
+        values.immutable && 'immutable',
+        values['drop-update-authority'] && 'updateAuthority'
+      ].filter(Boolean)
+
+      return {
+        walletFile: values.wallet,
+        network: parseNetwork(values.network),
+        tokenSource: 'manual',
+        address: values.token,
+        locksToApply: locks.length > 0 ? locks : undefined,
+        doubleConfirm: values.yes ? 'LOCK' : undefined,
+        ...confirmations(values.yes, ['confirmLock'])
+      }
+    },
+    // A lock that the chain does not show is a failed run
+    succeeded: (results) => results.immutableLocked !== false && results.updateAuthorityLocked !== false
+  },
+
+  freeze: {
+    description: 'Freeze a holder\'s token account (freeze authority only)',
+    usage: '--token <mint> --holder <address>',
+    options: {
+      token: { type: 'string', short: 't' },
+      holder: { type: 'string' }
+    },
+    run: freezeAccounts,
+    answers: (values) => freezeAnswers('freeze', values),
+    succeeded: (result) => result.frozen === true
+  },
+
+  thaw: {
+    description: 'Thaw a frozen token account (freeze authority only)',
+    usage: '--token <mint> --holder <address>',
+    options: {
+      token: { type: 'string', short: 't' },
+      holder: { type: 'string' }
+    },
+    run: freezeAccounts,
+    answers: (values) => freezeAnswers('thaw', values),
+    succeeded: (result) => result.frozen === false
+  },
+
+  frozen: {
+    description: 'List the frozen token accounts of a mint',
+    usage: '--token <mint>',
+    options: {
+      token: { type: 'string', short: 't' }
+    },
+    run: freezeAccounts,
+    answers: (values) => freezeAnswers('list', values)
+  },
+
+  history: {
+    description: 'List the recorded metadata versions of a token',
+    usage: '--token <mint>',
+    options: {
+      token: { type: 'string', short: 't' }
+    },
+    run: metadataHistory,
+    answers: (values) => historyAnswers('list', values)
+  },
+
+  diff: {
+    description: 'Compare two recorded metadata versions',
+    usage: '--token <mint> [--from <version>] [--to <version>]',
+    options: {
+      token: { type: 'string', short: 't' },
+      from: { type: 'string' },
+      to: { type: 'string' }
+    },
+    run: metadataHistory,
+    answers: (values) => historyAnswers('diff', values)
+  },
+
+  rollback: {
+    description: 'Point the on-chain metadata back to a recorded version',
+    usage: '--token <mint> --version <version>',
+    options: {
+      token: { type: 'string', short: 't' },
+      version: { type: 'string' }
+    },
+    run: metadataHistory,
+    answers: (values) => historyAnswers('rollback', values)
+  },
+
+  check: {
+    description: 'Show on-chain and metadata information for a token',
+    usage: '--token <mint> [--json] | --watch <mint> [--webhook <url>] [--json]',
+    options: {
+      token: { type: 'string', short: 't' },
+      json: { type: 'boolean' },
+      watch: { type: 'string' },
+      webhook: { type: 'string' }
+    },
+    run: checkToken,
+    answers: (values) => ({
+      walletFile: values.wallet,
+      network: parseNetwork(values.network),
+      tokenSource: 'manual',
+      address: values.watch || values.token,
+      json: Boolean(values.json),
+      watch: Boolean(values.watch),
+      webhookUrl: values.webhook
+    })
+  },
+
+  list: {
+    description: 'List the tokens created with this tool',
+    usage: '[--json]',
+    options: {
+      json: { type: 'boolean' }
+    },
+    run: listCreatedTokens,
+    answers: (values) => ({
+      network: parseNetwork(values.network),
+      json: Boolean(values.json)
+    })
+  },
+
+  holders: {
+    description: 'Report the top holders and holder concentration of a token',
+    usage: '--token <mint> [--top <n>] [--csv <file>]',
+    options: {
+      token: { type: 'string', short: 't' },
+      top: { type: 'string' },
+      csv: { type: 'string' }
+    },
+    run: analyzeHolders,
+    answers: (values) => ({
+      network: parseNetwork(values.network),
+      tokenSource: 'manual',
+      address: values.token,
+      top: parseNumber(values.top, '--top'),
+      exportCsv: Boolean(values.csv),
+      csvFile: values.csv
+    })
+  },
+
+  risk: {
+    description: 'Score the risks of any token for its holders',
+    usage: '--token <mint> [--scan] [--json]',
+    options: {
+      token: { type: 'string', short: 't' },
+      scan: { type: 'boolean' },
+      json: { type: 'boolean' }
+    },
+    run: riskReport,
+    answers: (values) => ({
+      network: parseNetwork(values.network),
+      tokenSource: 'manual',
+      address: values.token,
+      scan: Boolean(values.scan),
+      json: Boolean(values.json)
+    })
+  }
+}
+
+// Print top-level or per-command usage
+function printUsage(commandName) {
+  const command = COMMANDS[commandName]
+
+  if (command) {
+    console.log(`\nUsage: launcher ${commandName} ${command.usage} [global options]\n`)
+    console.log(`  ${command.description}\n`)
+  } else {
+    console.log('\nUsage: launcher <command> [options]\n')
+    console.log('Commands:')
+    Object.entries(COMMANDS).forEach(([name, { description }]) => {
+      console.log(`  ${name.padEnd(11)} ${description}`)
+    })
+    console.log('')
+  }
+
+  console.log('Global options:')
+  console.log('  -w, --wallet <path>     Wallet keypair file (default: from the profile)')
+  console.log('  -n, --network <name>    devnet, mainnet, testnet, localnet or a custom cluster (default: from the profile)')
+  console.log('  -p, --profile <name>    Settings profile to use (default: the active profile)')
+  console.log('  -y, --yes               Confirm transactions without prompting')
+  console.log('      --dry-run           Simulate the transaction and report costs without sending it')
+  console.log('  -h, --help              Show help\n')
+  console.log('Exit codes: 0 success, 1 failure, 2 usage error, 3 confirmation required (--yes)\n')
+}
+
+// Run a subcommand without prompting and return its exit code
+export async function runCli(argv) {
+  const [commandName, ...args] = argv
+
+  if (!commandName || commandName === 'help' || commandName === '--help' || commandName === '-h') {
+    printUsage()
+    return EXIT_CODES.SUCCESS
+  }
+
+  const command = COMMANDS[commandName]
+  if (!command) {
+    log.error(`Unknown command: ${commandName}`)
+    printUsage()
+    return EXIT_CODES.USAGE
+  }
+
+  try {
+    const { values, positionals } = parseArgs({
+      args,
+      options: { ...GLOBAL_OPTIONS, ...command.options },
+      allowPositionals: Boolean(command.positional),
+      strict: true
+    })
+
+    if (command.positional) {
+      if (positionals.length > 1) {
+        throw new UsageError(`Expected a single ${command.positional}, got ${positionals.length}`)
+      }
+      values[command.positional] = positionals[0]
+    }
+
+    if (values.help) {
+      printUsage(commandName)
+      return EXIT_CODES.SUCCESS
+    }
+
+    if (values.profile) {
+      try {
+        useProfile(values.profile)
+      } catch (error) {
+        throw new UsageError(error.message)
+      }
+    }
+
+    const answers = command.answers(values)
+    const result = await command.run({ ...answers, dryRun: values['dry-run'], interactive: false })
+
+    // Flows return nothing when they stop early (cancelled, not authorized, ...)
+    if (!result) {
+      return EXIT_CODES.FAILURE
+    }
+
+    // A dry run succeeds when its simulation does
+    if (result.dryRun) {
+      return result.simulation.success ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE
+    }
+
+    if (command.succeeded && !command.succeeded(result)) {
+      return EXIT_CODES.FAILURE
+    }
+
+    return EXIT_CODES.SUCCESS
+
+  } catch (error) {
+    // With --json stdout is kept for JSON, so messages go to stderr
+    const print = args.includes('--json') ? console.error : console.log
+
+    if (error instanceof PromptError) {
+      const flag = FLAG_NAMES[error.field] || error.field
+
+      if (error.reason === 'unconfirmed') {
+        print(chalk.red('❌', error.message))
+        print(chalk.blue('ℹ️ ', 'Re-run with --yes to confirm'))
+        return EXIT_CODES.NOT_CONFIRMED
+      }
+
+      print(chalk.red('❌', error.reason === 'missing' ? `Missing required option: ${flag}` : `${flag}: ${error.message}`))
+      print(chalk.gray(`Usage: launcher ${commandName} ${command.usage}`))
+      return EXIT_CODES.USAGE
+    }
+
+    if (error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS')) {
+      print(chalk.red('❌', error.message))
+      print(chalk.gray(`Usage: launcher ${commandName} ${command.usage}`))
+      return EXIT_CODES.USAGE
+    }
+
+    // The flow has already reported the failure
+    return EXIT_CODES.FAILURE
+  }
+}
@@ -1,36 +1,25 @@
-import {
-  createV1,
-  mplTokenMetadata,
-  TokenStandard,
-} from '@metaplex-foundation/mpl-token-metadata'
-import {
-  generateSigner,
-  percentAmount,
-  some,
-} from '@metaplex-foundation/umi'
-import { createUmi } from '@metaplex-foundation/umi-bundle-defaults'
-import { keypairIdentity } from '@metaplex-foundation/umi'
-import inquirer from 'inquirer'
 import ora from 'ora'
 
-import { CONFIG, getNetworkUrl } from '../config/config.js'
+import { CONFIG, checkNetworkAllowed, getClusterChoices, getProfile, getStorageConfig, resolveNetwork } from '../config/config.js'
+import * as api from './lib/index.js'
+import { displayAmount, validateAmount } from './lib/amount.js'
 import { 
   log, 
-  pinataUtils, 
+  promptUtils, 
   walletUtils, 
-  tokenUtils, 
   validators, 
-  displayUtils,
-  fileUtils 
+  displayUtils
 } from './utils.js'
 
-export async function createToken() {
+export async function createToken(options = {}) {
+  const { interactive = true } = options
+
   try {
     log.title('🆕 CREATE NEW TOKEN')
     
     // Check if wallets exist
     const walletFiles = walletUtils.listWallets()
-    if (walletFiles.length === 0) {
+    if (interactive && walletFiles.length === 0 && !options.walletFile && !getProfile().WALLET) {
       log.error('No wallet files found!')
       log.info('Please add your wallet.json file to the ./wallets directory')
       log.info('Your wallet file should contain an array of 64 numbers (your private key)')
@@ -38,42 +27,33 @@ export async function createToken() {
     }
 
     // Select wallet
-    const { walletFile } = await inquirer.prompt([
-      {
-        type: 'list',
-        name: 'walletFile',
-        message: 'Select wallet to use:',
-        choices: walletFiles.map(file => ({
-          name: file.split('/').pop(),
-          value: file
-        }))
-      }
-    ])
+    const { walletFile } = await promptUtils.ask([
+      walletUtils.walletQuestion('Select wallet to use:')
+    ], options)
 
     // Select network
-    const { network } = await inquirer.prompt([
+    const { network } = await promptUtils.ask([
       {
         type: 'list',
         name: 'network',
         message: 'Select network:',
-        choices: [
-          { name: 'Devnet (Recommended for testing)', value: 'DEVNET' },
-          { name: 'Mainnet (Production - costs real SOL)', value: 'MAINNET' },
-          { name: 'Testnet', value: 'TESTNET' }
-        ],
-        default: 'DEVNET'
+        choices: getClusterChoices(),
+        default: resolveNetwork()
       }
-    ])
+    ], options)
 
-    if (network === 'MAINNET') {
-      const { confirm } = await inquirer.prompt([
+    // The active profile may rule out some networks
+    checkNetworkAllowed(network)
+
+    if (network === 'MAINNET' && !options.dryRun) {
+      const { confirm } = await promptUtils.ask([
         {
           type: 'confirm',
           name: 'confirm',
           message: '⚠️  You selected MAINNET. This will cost real SOL. Continue?',
           default: false
         }
-      ])
+      ], options)
       
       if (!confirm) {
         log.info('Token creation cancelled')
@@ -84,7 +64,7 @@ export async function createToken() {
     // Get token configuration
     log.step('Please provide token details:')
     
-    const tokenConfig = await inquirer.prompt([
+    const tokenConfig = await promptUtils.ask([
       {
         type: 'input',
         name: 'name',
@@ -111,8 +91,9 @@ export async function createToken() {
       {
         type: 'input',
         name: 'imageUrl',
-        message: 'Image URL (IPFS or HTTPS):',
-        default: 'https://ipfs.io/ipfs/bafkreia4mu5q7xpmajldouuuvv6kgiac6bxisy4ekg5hdijbscki5oloo4'
+        message: 'Image URL or local file (PNG, JPG, SVG, GIF):',
+        default: 'https://ipfs.io/ipfs/bafkreia4mu5q7xpmajldouuuvv6kgiac6bxisy4ekg5hdijbscki5oloo4',
+        validate: (input) => validators.validateImage(input)
       },
       {
         type: 'input',
@@ -131,16 +112,52 @@ export async function createToken() {
         }
       },
       {
-        type: 'number',
+        type: 'input',
         name: 'initialSupply',
-        message: 'Initial supply (0 for no initial minting):',
-        default: 0,
-        validate: (input) => input >= 0 ? true : 'Supply must be 0 or greater'
+        message: 'Initial supply to mint now (0 for none):',
+        default: String(CONFIG.DEFAULTS.INITIAL_SUPPLY),
+        validate: (input, answers) => validateAmount(input, answers.decimals, { allowZero: true })
+      },
+      {
+        type: 'input',
+        name: 'supplyRecipient',
+        message: 'Send the initial supply to (leave empty for your wallet):',
+        default: '',
+        when: (answers) => validateAmount(answers.initialSupply, answers.decimals) === true,
+        validate: (input) => {
+          if (input && !validators.validateAddress(input)) {
+            return 'Please enter a valid Solana address'
+          }
+          return true
+        }
+      },
+      {
+        type: 'confirm',
+        name: 'freezeAuthority',
+        message: 'Keep a freeze authority (lets your wallet freeze holder accounts)?',
+        default: false
+      }
+    ], options)
+
+    // Attributes and social links, which wallets and aggregators show
+    const { editExtras } = await promptUtils.ask([
+      {
+        type: 'confirm',
+        name: 'editExtras',
+        message: 'Edit attributes and social links (website, Twitter, Telegram, ...)?',
+        default: false,
+        when: () => interactive
       }
-    ])
+    ], options)
+
+    if (editExtras) {
+      tokenConfig.attributes = await promptUtils.editAttributes(tokenConfig.attributes || api.defaultAttributes(tokenConfig))
+      tokenConfig.extensions = await promptUtils.editExtensions(tokenConfig.extensions)
+    }
 
     // Validate configuration
     validators.validateTokenConfig(tokenConfig)
+    const storage = options.storage || getStorageConfig().PROVIDER
 
     // Show summary
     log.separator()
@@ -149,19 +166,44 @@ export async function createToken() {
     console.log('Symbol:', tokenConfig.symbol)
     console.log('Description:', tokenConfig.description.substring(0, 50) + '...')
     console.log('Decimals:', tokenConfig.decimals)
-    console.log('Initial Supply:', tokenConfig.initialSupply.toLocaleString())
+    console.log('Initial Supply:', displayAmount(tokenConfig.initialSupply, tokenConfig.decimals))
+    if (tokenConfig.supplyRecipient !== undefined) {
+      console.log('Supply Recipient:', tokenConfig.supplyRecipient || 'Your wallet')
+    }
+    console.log('Freeze Authority:', tokenConfig.freezeAuthority ? 'Your wallet' : 'None')
+    console.log('Attributes:', (tokenConfig.attributes || api.defaultAttributes(tokenConfig))
+      .map(attribute => `${attribute.trait_type}: ${attribute.value}`).join(', ') || 'None')
+    const links = Object.keys(tokenConfig.extensions || {}).filter(key => tokenConfig.extensions[key])
+    if (links.length > 0) {
+      console.log('Social Links:', links.join(', '))
+    }
     console.log('Network:', network)
+    console.log('Storage:', storage)
     console.log('Wallet:', walletFile.split('/').pop())
     log.separator()
 
-    const { confirmCreate } = await inquirer.prompt([
+    // Simulate before anything is sent
+    const preview = await displayUtils.previewSimulation(() => api.createToken({
+      wallet: walletFile,
+      network,
+      config: tokenConfig,
+      storage,
+      dryRun: true
+    }), options)
+
+    if (options.dryRun) {
+      log.info('Dry run: the token was not sent')
+      return preview
+    }
+
+    const { confirmCreate } = await promptUtils.ask([
       {
         type: 'confirm',
         name: 'confirmCreate',
         message: '🚀 Create this token?',
         default: true
       }
-    ])
+    ], options)
 
     if (!confirmCreate) {
       log.info('Token creation cancelled')
@@ -169,145 +211,38 @@ export async function createToken() {
     }
 
     // Start creation process
-    const spinner = ora('Setting up Umi and wallet...').start()
+    const spinner = ora()
 
     try {
-      // Setup Umi
-      const umi = createUmi(getNetworkUrl(network))
-        .use(mplTokenMetadata())
-
-      // Load wallet
-      const walletData = walletUtils.loadWallet(walletFile)
-      const keypair = umi.eddsa.createKeypairFromSecretKey(new Uint8Array(walletData))
-      umi.use(keypairIdentity(keypair))
-
-      spinner.succeed('Umi and wallet setup complete')
-      log.info(`Wallet address: ${keypair.publicKey.toString()}`)
-
-      // Generate mint keypair
-      const mint = generateSigner(umi)
-      log.info(`Token mint address: ${mint.publicKey.toString()}`)
-
-      // Create metadata
-      spinner.start('Creating token metadata...')
-      
-      const tokenMetadata = {
-        name: tokenConfig.name,
-        symbol: tokenConfig.symbol,
-        description: tokenConfig.description,
-        image: tokenConfig.imageUrl,
-        external_url: tokenConfig.externalUrl || undefined,
-        attributes: [
-          {
-            trait_type: "Type",
-            value: "Utility Token"
-          },
-          {
-            trait_type: "Network",
-            value: "Solana"
-          },
-          {
-            trait_type: "Standard",
-            value: "SPL Token"
-          },
-          {
-            trait_type: "Decimals",
-            value: tokenConfig.decimals.toString()
-          }
-        ],
-        properties: {
-          category: "fungible",
-          creators: [
-            {
-              address: keypair.publicKey.toString(),
-              share: 100
-            }
-          ]
-        }
-      }
-
-      // Upload metadata to Pinata
-      spinner.text = 'Uploading metadata to IPFS...'
-      const metadataUri = await pinataUtils.uploadJson(
-        tokenMetadata, 
-        `${tokenConfig.symbol}-metadata`
-      )
-      spinner.succeed('Metadata uploaded to IPFS')
-
-      // Create token
-      spinner.start('Creating token on Solana...')
-      
-      const createTokenIx = createV1(umi, {
-        mint: mint,
-        authority: keypair,
-        name: tokenConfig.name,
-        symbol: tokenConfig.symbol,
-        uri: metadataUri,
-        sellerFeeBasisPoints: percentAmount(CONFIG.DEFAULTS.SELLER_FEE_BASIS_POINTS),
-        decimals: tokenConfig.decimals,
-        tokenStandard: TokenStandard.Fungible,
-        creators: some([
-          {
-            address: keypair.publicKey,
-            verified: true,
-            share: 100,
-          },
-        ]),
-        collection: null,
-        uses: null,
-        isMutable: CONFIG.DEFAULTS.IS_MUTABLE,
-        updateAuthority: keypair.publicKey,
-        mintAuthority: keypair.publicKey,
-        freezeAuthority: null,
-      })
-
-      const createTx = await createTokenIx.sendAndConfirm(umi, {
-        send: { 
-          skipPreflight: false,
-          maxRetries: 3,
-        },
-        confirm: { 
-          commitment: 'confirmed'
-        }
+      const { tokenData, tokenInfoFile } = await api.createToken({
+        wallet: walletFile,
+        network,
+        config: tokenConfig,
+        storage,
+        onProgress: displayUtils.spinnerProgress(spinner)
       })
 
-      const createSignature = Array.from(createTx.signature)
-        .map(byte => byte.toString(16).padStart(2, '0'))
-        .join('')
-
       spinner.succeed('Token created successfully!')
 
-      // Save token information
-      const tokenData = {
-        name: tokenConfig.name,
-        symbol: tokenConfig.symbol,
-        mintAddress: mint.publicKey.toString(),
-        metadataUri: metadataUri,
-        imageUri: tokenConfig.imageUrl,
-        externalUrl: tokenConfig.externalUrl,
-        decimals: tokenConfig.decimals,
-        initialSupply: tokenConfig.initialSupply,
-        creator: keypair.publicKey.toString(),
-        createTransaction: createSignature,
-        network: network.toLowerCase(),
-        walletFile: walletFile.split('/').pop()
-      }
-
-      const tokenInfoFile = tokenUtils.saveTokenInfo(tokenData)
-
       // Display results
       log.success('🎉 TOKEN CREATED SUCCESSFULLY!')
       displayUtils.displayTokenInfo(tokenData)
-      displayUtils.displayExplorerLinks(mint.publicKey.toString(), 'address', network)
+      displayUtils.displayExplorerLinks(tokenData.mintAddress, 'address', network)
 
       // Provide next steps
       log.info('🎯 Next Steps:')
       log.info('1. Your token is created and ready! ✅')
-      log.info('2. Use "Mint Tokens" from the main menu to mint supply')
+      if (tokenData.supplyRecipient) {
+        log.info(`2. ${displayAmount(tokenData.initialSupply, tokenData.decimals)} tokens were minted to ${tokenData.supplyRecipient}`)
+      } else {
+        log.info('2. Use "Mint Tokens" from the main menu to mint supply')
+      }
       log.info('3. Check your token on the explorer links above')
 
       log.success(`Token information saved to: ${tokenInfoFile}`)
 
+      return tokenData
+
     } catch (error) {
       spinner.fail('Token creation failed')
       throw error
@@ -319,15 +254,18 @@ export async function createToken() {
     // Provide helpful error messages
     if (error.message.includes('insufficient funds')) {
       log.info('💡 Solution: Add SOL to your wallet for transaction fees')
-      if (network === 'DEVNET') {
-        log.info('   Run: solana airdrop 2 --url devnet')
-      }
+      log.info('   For devnet: solana airdrop 2 --url devnet')
     } else if (error.message.includes('Pinata')) {
-      log.info('💡 Solution: Check Pinata configuration in config/config.js')
+      log.info('💡 Solution: Set your Pinata JWT in Settings → Pinata Credentials')
+      log.info('   or use another storage provider (Settings → Metadata Storage, or --storage)')
+    } else if (error.message.includes('IPFS node')) {
+      log.info('💡 Solution: Start your IPFS node, or set its API URL in Settings → Metadata Storage')
+    } else if (error.message.includes('Irys')) {
+      log.info('💡 Solution: Install the Irys uploader, or use another storage provider')
     } else if (error.message.includes('blockhash')) {
       log.info('💡 Solution: Network congestion, try again in a few seconds')
     }
     
     throw error
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,198 @@
+import ora from 'ora'
+import fs from 'fs'
+
+import { checkNetworkAllowed, getClusterChoices, getProfile, resolveNetwork } from '../config/config.js'
+import * as api from './lib/index.js'
+import { addAmounts, displayAmount } from './lib/amount.js'
+import {
+  log,
+  promptUtils,
+  walletUtils,
+  displayUtils
+} from './utils.js'
+
+export async function distributeTokens(options = {}) {
+  const { interactive = true } = options
+
+  try {
+    log.title('📦 DISTRIBUTE TOKENS')
+
+    // Check if wallets exist
+    const walletFiles = walletUtils.listWallets()
+    if (interactive && walletFiles.length === 0 && !options.walletFile && !getProfile().WALLET) {
+      log.error('No wallet files found!')
+      log.info('Please add your wallet.json file to the ./wallets directory')
+      return
+    }
+
+    // Recipients list
+    const { recipientsFile } = await promptUtils.ask([
+      {
+        type: 'input',
+        name: 'recipientsFile',
+        message: 'Recipients file (CSV or JSON with address,amount rows):',
+        validate: (input) => fs.existsSync(input) ? true : `File not found: ${input}`
+      }
+    ], options)
+
+    const recipients = api.loadRecipients(recipientsFile)
+
+    const token = await promptUtils.selectToken(options, { message: 'Select token to distribute:' })
+    if (!token) {
+      return
+    }
+    const { tokenAddress, tokenInfo } = token
+
+    // How the tokens are sent
+    const { method } = await promptUtils.ask([
+      {
+        type: 'list',
+        name: 'method',
+        message: 'How should the tokens be sent?',
+        choices: [
+          { name: '🪙 Mint new tokens (wallet must be mint authority)', value: 'mint' },
+          { name: '💸 Transfer from the wallet\'s own balance', value: 'transfer' }
+        ],
+        default: 'mint',
+        validate: (input) => api.DISTRIBUTION_METHODS.includes(input) ? true : `Use ${api.DISTRIBUTION_METHODS.join(' or ')}`
+      }
+    ], options)
+
+    // Select wallet
+    const { walletFile } = await promptUtils.ask([
+      walletUtils.walletQuestion(method === 'mint' ? 'Select wallet to use (must be mint authority):' : 'Select wallet holding the tokens:')
+    ], options)
+
+    // Select network
+    const { network } = await promptUtils.ask([
+      {
+        type: 'list',
+        name: 'network',
+        message: 'Select network:',
+        choices: getClusterChoices(),
+        default: tokenInfo?.network?.toUpperCase() || resolveNetwork()
+      }
+    ], options)
+
+    // The active profile may rule out some networks
+    checkNetworkAllowed(network)
+
+    const { stateFile, reportFile } = api.getDistributionFiles(recipientsFile)
+
+    // Show summary
+    log.separator()
+    log.title('📋 DISTRIBUTION SUMMARY')
+    console.log('Token Address:', tokenAddress)
+    if (tokenInfo) {
+      console.log('Token Name:', `${tokenInfo.name} (${tokenInfo.symbol})`)
+    }
+    console.log('Recipients:', recipients.length.toLocaleString())
+    if (tokenInfo) {
+      const total = recipients.reduce((sum, row) => addAmounts(sum, row.amount, tokenInfo.decimals), '0')
+      console.log('Total Amount:', displayAmount(total, tokenInfo.decimals))
+    }
+    console.log('Method:', method === 'mint' ? 'Mint' : 'Transfer')
+    console.log('Network:', network)
+    console.log('Wallet:', walletFile.split('/').pop())
+    if (fs.existsSync(stateFile)) {
+      console.log('Resuming:', `${stateFile} (confirmed rows are skipped)`)
+    }
+    log.separator()
+
+    // Simulate before anything is sent
+    const preview = await displayUtils.previewSimulation(() => api.distributeTokens({
+      wallet: walletFile,
+      network,
+      mint: tokenAddress,
+      recipientsFile,
+      method,
+      maxBatchSize: options.batchSize,
+      dryRun: true
+    }), options)
+
+    if (options.dryRun) {
+      log.info('Dry run: the distribution was not sent (only the first batch is simulated)')
+      return preview
+    }
+
+    const { confirmDistribute } = await promptUtils.ask([
+      {
+        type: 'confirm',
+        name: 'confirmDistribute',
+        message: `📦 Send tokens to ${recipients.length.toLocaleString()} recipients?`,
+        default: true
+      }
+    ], options)
+
+    if (!confirmDistribute) {
+      log.info('Distribution cancelled')
+      return
+    }
+
+    // Start distribution
+    const spinner = ora()
+
+    try {
+      const result = await api.distributeTokens({
+        wallet: walletFile,
+        network,
+        mint: tokenAddress,
+        recipientsFile,
+        method,
+        maxBatchSize: options.batchSize,
+        onProgress: displayUtils.spinnerProgress(spinner)
+      })
+
+      if (result.confirmed === result.recipients) {
+        spinner.succeed('All recipients received their tokens')
+      } else {
+        spinner.warn('Some recipients have not received their tokens yet')
+      }
+
+      // Show results
+      log.separator()
+      log.title('📦 DISTRIBUTION RESULTS')
+      console.log('Confirmed:', result.confirmed.toLocaleString())
+      console.log('Failed:', result.failed.toLocaleString())
+      console.log('Unconfirmed:', result.unconfirmed.toLocaleString())
+      console.log('Report:', reportFile)
+      console.log('State:', stateFile)
+      log.separator()
+
+      result.rows
+        .filter(row => row.status === 'failed')
+        .slice(0, 10)
+        .forEach(row => log.error(`Line ${row.line} ${row.address}: ${row.error}`))
+
+      if (result.failed > 0 || result.unconfirmed > 0) {
+        log.info('Run the distribution again with the same file to retry; confirmed rows are not sent twice')
+      }
+
+      return result
+
+    } catch (error) {
+      spinner.fail('Token distribution failed')
+      throw error
+    }
+
+  } catch (error) {
+    log.error(`Token distribution failed: ${error.message}`)
+
+    // Provide helpful error messages
+    if (error.message.includes('insufficient funds')) {
+      log.info('💡 Solution: Add SOL to your wallet for transaction fees and token account rent')
+      log.info('   For devnet: solana airdrop 2 --url devnet')
+    } else if (error.message.includes('Insufficient token balance')) {
+      log.info('💡 Solution: Use the mint method, or move more tokens to the wallet first')
+    } else if (error.message.includes('mint authority')) {
+      log.info('💡 Solution: Use the mint authority wallet, or the transfer method')
+    } else if (error.message.includes('different distribution')) {
+      log.info('💡 Solution: Each recipients file tracks one distribution')
+      log.info('   Copy the file under a new name to send it again')
+    } else if (error.message.includes('may still land')) {
+      log.info('💡 Info: Running again is safe once the transaction has landed or expired')
+    }
+
+    throw error
+  }
+}
@@ -0,0 +1,228 @@
+import ora from 'ora'
+
+import { checkNetworkAllowed, getClusterChoices, getProfile, resolveNetwork } from '../config/config.js'
+import * as api from './lib/index.js'
+import { displayAmount } from './lib/amount.js'
+import {
+  log,
+  promptUtils,
+  walletUtils,
+  validators,
+  displayUtils
+} from './utils.js'
+
+export async function freezeAccounts(options = {}) {
+  const { interactive = true } = options
+
+  try {
+    log.title('❄️  FREEZE / THAW TOKEN ACCOUNTS')
+
+    const { action } = await promptUtils.ask([
+      {
+        type: 'list',
+        name: 'action',
+        message: 'What would you like to do?',
+        choices: [
+          { name: '❄️  Freeze a holder\'s token account', value: 'freeze' },
+          { name: '🔥 Thaw a frozen token account', value: 'thaw' },
+          { name: '📋 List frozen accounts', value: 'list' }
+        ]
+      }
+    ], options)
+
+    // Check if wallets exist
+    const walletFiles = walletUtils.listWallets()
+    if (action !== 'list' && interactive && walletFiles.length === 0 && !options.walletFile && !getProfile().WALLET) {
+      log.error('No wallet files found!')
+      log.info('Please add your wallet.json file to the ./wallets directory')
+      return
+    }
+
+    const token = await promptUtils.selectToken(options)
+    if (!token) {
+      return
+    }
+    const { tokenAddress, tokenInfo } = token
+
+    if (action === 'list') {
+      return await listFrozen(tokenAddress, tokenInfo, options)
+    }
+
+    // Holder to freeze or thaw
+    const { holder } = await promptUtils.ask([
+      {
+        type: 'input',
+        name: 'holder',
+        message: `Holder wallet or token account to ${action}:`,
+        validate: (input) => {
+          if (!validators.validateAddress(input)) {
+            return 'Please enter a valid Solana address'
+          }
+          return true
+        }
+      }
+    ], options)
+
+    // Select wallet (must be freeze authority)
+    const { walletFile } = await promptUtils.ask([
+      walletUtils.walletQuestion('Select wallet to use (must be freeze authority):')
+    ], options)
+
+    // Select network
+    const { network } = await promptUtils.ask([
+      {
+        type: 'list',
+        name: 'network',
+        message: 'Select network:',
+        choices: getClusterChoices(),
+        default: tokenInfo?.network?.toUpperCase() || resolveNetwork()
+      }
+    ], options)
+
+    // The active profile may rule out some networks
+    checkNetworkAllowed(network)
+
+    const run = action === 'freeze' ? api.freezeAccount : api.thawAccount
+
+    // Show summary
+    log.separator()
+    log.title(action === 'freeze' ? '📋 FREEZE SUMMARY' : '📋 THAW SUMMARY')
+    console.log('Token Address:', tokenAddress)
+    if (tokenInfo) {
+      console.log('Token Name:', `${tokenInfo.name} (${tokenInfo.symbol})`)
+    }
+    console.log('Holder:', holder)
+    console.log('Network:', network)
+    console.log('Freeze Authority Wallet:', walletFile.split('/').pop())
+    log.separator()
+
+    // Simulate before anything is sent
+    const preview = await displayUtils.previewSimulation(() => run({
+      wallet: walletFile,
+      network,
+      mint: tokenAddress,
+      holder,
+      dryRun: true
+    }), options)
+
+    if (options.dryRun) {
+      log.info(`Dry run: the ${action} was not sent`)
+      return preview
+    }
+
+    if (action === 'freeze') {
+      log.warning('⚠️  A frozen account cannot send or receive this token until it is thawed')
+    }
+
+    const { confirmFreeze } = await promptUtils.ask([
+      {
+        type: 'confirm',
+        name: 'confirmFreeze',
+        message: action === 'freeze' ? '❄️  Freeze this token account?' : '🔥 Thaw this token account?',
+        default: false
+      }
+    ], options)
+
+    if (!confirmFreeze) {
+      log.info(action === 'freeze' ? 'Freeze cancelled' : 'Thaw cancelled')
+      return
+    }
+
+    const spinner = ora()
+
+    try {
+      const result = await run({
+        wallet: walletFile,
+        network,
+        mint: tokenAddress,
+        holder,
+        onProgress: displayUtils.spinnerProgress(spinner)
+      })
+
+      if (result.frozen === (action === 'freeze')) {
+        spinner.succeed(action === 'freeze' ? 'Token account frozen' : 'Token account thawed')
+      } else {
+        spinner.warn('The new account state could not be verified on-chain')
+      }
+
+      log.separator()
+      console.log('Token Account:', result.tokenAccount)
+      console.log('Owner:', result.owner)
+      console.log('State:', result.frozen === null
+        ? '❓ UNKNOWN (account could not be read back)'
+        : result.frozen ? '❄️  FROZEN (verified on-chain)' : '✅ ACTIVE (verified on-chain)')
+      console.log('Transaction:', result.signature)
+      console.log('Network:', network)
+      log.separator()
+
+      displayUtils.displayExplorerLinks(result.signature, 'tx', network)
+
+      return result
+
+    } catch (error) {
+      spinner.fail(action === 'freeze' ? 'Freeze failed' : 'Thaw failed')
+      throw error
+    }
+
+  } catch (error) {
+    log.error(`Freeze/thaw failed: ${error.message}`)
+
+    // Provide helpful error messages
+    if (error.message.includes('insufficient funds')) {
+      log.info('💡 Solution: Add SOL to your wallet for transaction fees')
+      log.info('   For devnet: solana airdrop 1 --url devnet')
+    } else if (error.message.includes('no freeze authority')) {
+      log.info('💡 Info: Only tokens created with a freeze authority can freeze accounts')
+      log.info('   Its freeze authority may also have been revoked')
+    } else if (error.message.includes('freeze authority')) {
+      log.info('💡 Solution: Make sure you\'re using the freeze authority wallet')
+    } else if (error.message.includes('no token account')) {
+      log.info('💡 Solution: Check the holder address; it must hold (or have held) this token')
+    } else if (error.message.includes('Invalid mint') || error.message.includes('was not found')) {
+      log.info('💡 Solution: Check the token address is correct')
+      log.info('   Make sure the token exists on the selected network')
+    }
+
+    throw error
+  }
+}
+
+// List the frozen token accounts of a mint
+async function listFrozen(tokenAddress, tokenInfo, options) {
+  const { network } = await promptUtils.ask([
+    {
+      type: 'list',
+      name: 'network',
+      message: 'Select network:',
+      choices: getClusterChoices(),
+      default: tokenInfo?.network?.toUpperCase() || resolveNetwork()
+    }
+  ], options)
+
+  const spinner = ora()
+
+  try {
+    const result = await api.listFrozenAccounts({
+      network,
+      mint: tokenAddress,
+      onProgress: displayUtils.spinnerProgress(spinner)
+    })
+    spinner.succeed(`Found ${result.accounts.length} frozen account${result.accounts.length === 1 ? '' : 's'}`)
+
+    log.separator()
+    log.title('❄️  FROZEN ACCOUNTS')
+    console.log('Token Address:', tokenAddress)
+    console.log('Freeze Authority:', result.freezeAuthority || 'None (revoked)')
+    result.accounts.forEach((account, index) => {
+      console.log(`${index + 1}. ${account.owner} - ${displayAmount(account.amount, result.decimals)}`)
+      console.log(`   Token Account: ${account.address}`)
+    })
+    log.separator()
+
+    return result
+
+  } catch (error) {
+    spinner.fail('Failed to list frozen accounts')
+    throw error
+  }
+}
@@ -0,0 +1,122 @@
+import ora from 'ora'
+import chalk from 'chalk'
+
+import { getClusterChoices, resolveNetwork } from '../config/config.js'
+import * as api from './lib/index.js'
+import { displayAmount } from './lib/amount.js'
+import {
+  log,
+  promptUtils,
+  displayUtils
+} from './utils.js'
+
+// A share of supply for display, or a dash when the supply is zero
+function formatShare(share) {
+  return share === null ? '-' : `${share}%`
+}
+
+export async function analyzeHolders(options = {}) {
+  try {
+    log.title('👥 HOLDERS REPORT')
+
+    const token = await promptUtils.selectToken(options)
+    if (!token) {
+      return
+    }
+    const { tokenAddress, tokenInfo } = token
+
+    // Select network, report size and CSV export
+    const { network, top, exportCsv, csvFile } = await promptUtils.ask([
+      {
+        type: 'list',
+        name: 'network',
+        message: 'Select network:',
+        choices: getClusterChoices(),
+        default: tokenInfo?.network?.toUpperCase() || resolveNetwork()
+      },
+      {
+        type: 'number',
+        name: 'top',
+        message: 'How many top holders to list?',
+        default: 20,
+        validate: (input) => Number.isInteger(input) && input > 0 ? true : 'Please enter a positive whole number'
+      },
+      {
+        type: 'confirm',
+        name: 'exportCsv',
+        message: 'Export every holder to a CSV file?',
+        default: false
+      },
+      {
+        type: 'input',
+        name: 'csvFile',
+        message: 'CSV file:',
+        default: `holders-${tokenInfo?.symbol || tokenAddress.slice(0, 8)}-${new Date().toISOString().slice(0, 10)}.csv`,
+        when: (answers) => answers.exportCsv
+      }
+    ], options)
+
+    const spinner = ora()
+
+    try {
+      const report = await api.analyzeHolders({
+        network,
+        mint: tokenAddress,
+        top,
+        csvFile: exportCsv ? csvFile : undefined,
+        onProgress: displayUtils.spinnerProgress(spinner)
+      })
+
+      if (report.complete) {
+        spinner.succeed(`Found ${report.holderCount} holder${report.holderCount === 1 ? '' : 's'}`)
+      } else {
+        spinner.warn('This RPC does not allow a full account scan, only the largest accounts were analyzed')
+      }
+
+      log.separator()
+      log.title('👥 TOP HOLDERS')
+      console.log(chalk.cyan('Token Address:'), chalk.yellow(tokenAddress))
+      console.log(chalk.cyan('Network:'), chalk.white(network))
+      console.log(chalk.cyan('Supply:'), chalk.white(displayAmount(report.supply, report.decimals)))
+      report.holders.forEach(holder => {
+        const type = holder.programOwned ? chalk.magenta(' 🏦 program account') : ''
+        console.log(`${holder.rank}. ${holder.owner} - ${displayAmount(holder.amount, report.decimals)} (${formatShare(holder.share)})${type}`)
+        if (holder.accounts > 1) {
+          console.log(chalk.gray(`   Across ${holder.accounts} token accounts`))
+        }
+      })
+
+      log.separator()
+      log.title('📊 CONCENTRATION')
+      console.log(chalk.cyan('Holders:'), chalk.white(report.complete ? report.holderCount : 'Unknown (partial scan)'))
+      if (report.complete) {
+        console.log(chalk.cyan('Token Accounts:'), chalk.white(report.accountCount))
+      }
+      console.log(chalk.cyan('Top 10 Share:'), chalk.white(`${formatShare(report.top10Share)}${report.complete ? '' : ' (at least)'}`))
+      console.log(chalk.cyan('Gini Coefficient:'), chalk.white(report.gini === null ? 'Unknown' : report.gini.toFixed(4)))
+      log.separator()
+
+      if (report.csvFile) {
+        log.success(`Holders exported to ${report.csvFile}`)
+      }
+
+      return report
+
+    } catch (error) {
+      spinner.fail('Failed to analyze holders')
+      throw error
+    }
+
+  } catch (error) {
+    log.error(`Holders report failed: ${error.message}`)
+
+    // Provide helpful error messages
+    if (error.message.includes('not found')) {
+      log.info('💡 Solution: Check the token address and network')
+    } else if (error.message.includes('fetch failed') || error.message.includes('429')) {
+      log.info('💡 Solution: Check the RPC URL of your profile (Settings → Edit Profile); large tokens need one that allows getProgramAccounts')
+    }
+
+    throw error
+  }
+}
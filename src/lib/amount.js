@@ -0,0 +1,102 @@
+// Token amounts. On-chain amounts are u64 base units (bigint); amounts people
+// type, read and store in the token registry are exact decimal strings such
+// as "1000.5". Floats are never used, so no precision is lost at 9 decimals.
+
+// Largest amount an SPL token account or mint supply can hold
+export const MAX_U64 = 2n ** 64n - 1n
+
+// An amount: whole digits, either plain or grouped in threes by commas or
+// underscores (one kind, e.g. "1,000,000"), then optional fractional digits.
+// Separators anywhere else are rejected, so a decimal comma ("1,5") is an
+// error rather than a 10x larger amount
+const AMOUNT_PATTERN = /^(\d*|[1-9]\d{0,2}(?:([,_])\d{3})(?:\2\d{3})*)(?:\.(\d*))?$/
+
+// Split an amount into its whole and fractional digits
+export function splitAmount(value) {
+  if (typeof value === 'bigint') {
+    value = value.toString()
+  } else if (typeof value === 'number') {
+    // Exponent notation (1e21) would need rounding, so ask for a string
+    if (!Number.isFinite(value) || /e/i.test(String(value))) {
+      throw new Error(`Amount ${value} cannot be represented exactly, pass it as a string`)
+    }
+    value = String(value)
+  }
+
+  if (typeof value !== 'string') {
+    throw new Error('Amount must be a number or a string')
+  }
+
+  const text = value.trim()
+  const match = text.match(AMOUNT_PATTERN)
+  if (!match || text === '' || text === '.') {
+    throw new Error(`Invalid amount: "${value}"`)
+  }
+
+  return { text: value, whole: match[1].replace(/[,_]/g, '') || '0', fraction: match[3] || '' }
+}
+
+// Parse a token amount ("1,000.5", "1_000", 250 or 10n) into base units for a
+// mint with `decimals`. Throws for malformed, negative, too precise amounts
+// and amounts that do not fit in a u64
+export function parseAmount(value, decimals) {
+  const { text, whole, fraction } = splitAmount(value)
+  if (fraction.length > decimals) {
+    throw new Error(`Amount ${text} has more than ${decimals} decimal places`)
+  }
+
+  const units = BigInt(whole) * 10n ** BigInt(decimals) + BigInt(fraction.padEnd(decimals, '0') || '0')
+  if (units > MAX_U64) {
+    throw new Error(`Amount ${text} is larger than the maximum token supply (${formatAmount(MAX_U64, decimals)})`)
+  }
+
+  return units
+}
+
+// Format base units as a decimal amount without trailing zeros. `grouping`
+// adds thousands separators for display; records are stored without them
+export function formatAmount(units, decimals, { grouping = true } = {}) {
+  const value = BigInt(units)
+  const scale = 10n ** BigInt(decimals)
+  const whole = (value / scale).toString()
+  const fraction = (value % scale).toString().padStart(decimals, '0').replace(/0+$/, '')
+
+  const wholeText = grouping ? whole.replace(/\B(?=(\d{3})+(?!\d))/g, ',') : whole
+  return fraction ? `${wholeText}.${fraction}` : wholeText
+}
+
+// Re-format a stored decimal amount for display
+export function displayAmount(value, decimals) {
+  try {
+    return formatAmount(parseAmount(value, decimals), decimals)
+  } catch {
+    return String(value)
+  }
+}
+
+// Add two decimal amounts exactly, returning the sum as a decimal string.
+// Float totals saved by older versions are rounded to the mint's decimals
+export function addAmounts(a, b, decimals) {
+  const units = (value) => parseAmount(typeof value === 'number' ? value.toFixed(decimals) : value || '0', decimals)
+  return formatAmount(units(a) + units(b), decimals, { grouping: false })
+}
+
+// Prompt validator for an amount: true, or the reason it is rejected.
+// Without `decimals` (mint not known yet) only the format is checked
+export function validateAmount(input, decimals, { allowZero = false } = {}) {
+  try {
+    let zero
+    if (decimals === undefined) {
+      const { whole, fraction } = splitAmount(input)
+      zero = /^0*$/.test(whole + fraction)
+    } else {
+      zero = parseAmount(input, decimals) === 0n
+    }
+    if (!allowZero && zero) {
+      return 'Amount must be greater than 0'
+    }
+    return true
+  } catch (error) {
+    return error.message
+  }
+}
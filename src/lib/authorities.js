@@ -0,0 +1,49 @@
+import { AuthorityType, fetchMint } from '@metaplex-foundation/mpl-toolbox'
+import { publicKey, unwrapOption } from '@metaplex-foundation/umi'
+
+import { fetchMetadata } from './check-token.js'
+
+// SPL Token authority type of each mint authority
+export const AUTHORITY_TYPES = {
+  mint: AuthorityType.MintTokens,
+  freeze: AuthorityType.FreezeAccount
+}
+
+// Update authority a locked token's metadata is handed to. Token Metadata has
+// no "None" update authority, so the System Program address stands in for it
+export const NO_UPDATE_AUTHORITY = '11111111111111111111111111111111'
+
+// Whether fetched metadata can never change again: it is immutable or its
+// update authority was dropped
+export function isMetadataLocked(metadata) {
+  return !metadata.isMutable || metadata.updateAuthority.toString() === NO_UPDATE_AUTHORITY
+}
+
+// Mint account field holding each authority
+const AUTHORITY_FIELDS = {
+  mint: 'mintAuthority',
+  freeze: 'freezeAuthority'
+}
+
+// Current holder of an authority on a fetched mint, or null when it is revoked
+export function getAuthority(mintAccount, authority) {
+  return unwrapOption(mintAccount[AUTHORITY_FIELDS[authority]])?.toString() ?? null
+}
+
+// Current mint, freeze and metadata update authority of a mint (null when
+// revoked or, for update, when the mint has no metadata), read on-chain
+export async function fetchAuthorities(umi, mint) {
+  const [mintAccount, metadata] = await Promise.all([
+    fetchMint(umi, publicKey(mint)),
+    fetchMetadata({ mint, umi })
+  ])
+
+  return {
+    mint: getAuthority(mintAccount, 'mint'),
+    freeze: getAuthority(mintAccount, 'freeze'),
+    update: metadata && metadata.updateAuthority.toString() !== NO_UPDATE_AUTHORITY
+      ? metadata.updateAuthority.toString()
+      : null,
+    isMutable: metadata ? metadata.isMutable : false
+  }
+}
@@ -0,0 +1,154 @@
+import { fetchMetadataFromSeeds, TokenStandard } from '@metaplex-foundation/mpl-token-metadata'
+import { publicKey, unwrapOption } from '@metaplex-foundation/umi'
+import fs from 'fs'
+import fetch from 'node-fetch'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+import { getStorageConfig } from '../../config/config.js'
+import { tokenUtils, validators } from '../utils.js'
+import { isMetadataLocked, NO_UPDATE_AUTHORITY } from './authorities.js'
+import { createContext, noProgress } from './context.js'
+import { decodeMint, mintAuthorities } from './mint-account.js'
+
+// Fetch the on-chain Metaplex metadata of a mint, or null when it has none
+export async function fetchMetadata({ network, mint, umi = createContext({ network }).umi }) {
+  try {
+    return await fetchMetadataFromSeeds(umi, { mint: publicKey(mint) })
+  } catch {
+    return null
+  }
+}
+
+// Fetched metadata as plain data: options unwrapped (null when unset), keys
+// as strings and the token standard by name, ready to print as JSON
+export function plainMetadata(metadata) {
+  if (!metadata) {
+    return null
+  }
+
+  const tokenStandard = unwrapOption(metadata.tokenStandard)
+  return {
+    address: metadata.publicKey.toString(),
+    name: metadata.name,
+    symbol: metadata.symbol,
+    uri: metadata.uri,
+    updateAuthority: metadata.updateAuthority.toString(),
+    isMutable: metadata.isMutable,
+    primarySaleHappened: metadata.primarySaleHappened,
+    sellerFeeBasisPoints: metadata.sellerFeeBasisPoints,
+    tokenStandard: tokenStandard === null ? null : TokenStandard[tokenStandard],
+    creators: (unwrapOption(metadata.creators) || []).map(creator => ({ ...creator, address: creator.address.toString() })),
+    collection: unwrapOption(metadata.collection)
+  }
+}
+
+// Path of a file: URI written by the local storage provider, or null. Anyone
+// can put any URI in a mint's metadata, so only files inside LOCAL_DIR are
+// read, and only while the local provider is the one in use
+function localMetadataPath(uri) {
+  const { PROVIDER, LOCAL_DIR } = getStorageConfig()
+  if (PROVIDER?.toLowerCase() !== 'local') {
+    return null
+  }
+
+  // Resolved through symlinks, which could otherwise point outside
+  const dir = fs.realpathSync(LOCAL_DIR)
+  const file = fs.realpathSync(fileURLToPath(uri))
+  return file.startsWith(dir + path.sep) ? file : null
+}
+
+// Limits for fetching off-chain JSON, whose URI anyone minting a token
+// chooses: a slow or huge response counts as unreachable
+const FETCH_TIMEOUT_MS = 10000
+const MAX_METADATA_BYTES = 1024 * 1024
+
+// Fetch the off-chain JSON a metadata URI points to, or null when unreachable
+// (including too slow or too large) or not an HTTP(S) URI (or a local
+// storage file)
+export async function fetchOffChainMetadata(uri) {
+  if (!uri) {
+    return null
+  }
+
+  try {
+    const { protocol } = new URL(uri)
+
+    if (protocol === 'file:') {
+      const file = localMetadataPath(uri)
+      return file ? JSON.parse(fs.readFileSync(file, 'utf8')) : null
+    }
+
+    if (!['http:', 'https:'].includes(protocol)) {
+      return null
+    }
+
+    const response = await fetch(uri, {
+      signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+      size: MAX_METADATA_BYTES
+    })
+    return response.ok ? await response.json() : null
+  } catch {
+    return null
+  }
+}
+
+// Every authority over a token by role, null when revoked: those of the
+// decoded mint, plus the metadata update authority (from Token Metadata, or
+// else the Token-2022 metadata extension)
+export function tokenAuthorities(mintInfo, metadata) {
+  return {
+    ...mintAuthorities(mintInfo),
+    update: metadata
+      ? (metadata.updateAuthority.toString() === NO_UPDATE_AUTHORITY ? null : metadata.updateAuthority.toString())
+      : mintInfo.extensions.find(extension => extension.name === 'TokenMetadata')?.updateAuthority ?? null
+  }
+}
+
+// Look up a mint: the decoded mint account (supply, decimals, authorities,
+// token program and Token-2022 extensions), every authority by role (null
+// when revoked), on-chain and off-chain metadata, the local token record
+// (if we created it) and explorer links
+export async function checkToken({ network, mint, onProgress = noProgress }) {
+  if (!validators.validateAddress(mint)) {
+    throw new Error(`Invalid address: ${mint}`)
+  }
+
+  const context = createContext({ network })
+  const { umi } = context
+
+  // Check if mint account exists
+  onProgress('Checking mint account...')
+  const mintAccount = await umi.rpc.getAccount(publicKey(mint))
+
+  if (!mintAccount.exists) {
+    throw new Error('Token mint account not found on this network')
+  }
+
+  const mintInfo = decodeMint(mintAccount.data, mintAccount.owner.toString())
+  if (!mintInfo) {
+    throw new Error(`${mint} is not a token mint (owned by ${mintAccount.owner.toString()})`)
+  }
+
+  // Try to fetch metadata
+  onProgress('Fetching metadata...')
+  const metadata = await fetchMetadata({ mint, umi })
+
+  let offChainMetadata = null
+  if (metadata?.uri) {
+    onProgress('Fetching off-chain metadata...')
+    offChainMetadata = await fetchOffChainMetadata(metadata.uri)
+  }
+
+  return {
+    mintAddress: mint,
+    network: context.network,
+    mint: mintInfo,
+    authorities: tokenAuthorities(mintInfo, metadata),
+    metadata,
+    metadataLocked: metadata ? isMetadataLocked(metadata) : null,
+    offChainMetadata,
+    tokenInfo: tokenUtils.loadTokenInfoByMint(mint),
+    explorerUrls: tokenUtils.getExplorerUrls(mint, 'address', context.network)
+  }
+}
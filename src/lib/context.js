@@ -0,0 +1,63 @@
+import { mplTokenMetadata } from '@metaplex-foundation/mpl-token-metadata'
+import { keypairIdentity } from '@metaplex-foundation/umi'
+import { createUmi } from '@metaplex-foundation/umi-bundle-defaults'
+import { base58 } from '@metaplex-foundation/umi/serializers'
+
+import { getNetworkUrl, resolveNetwork } from '../../config/config.js'
+import { walletUtils } from '../utils.js'
+
+// Read a wallet given as a keypair file path or a 64-byte secret key
+export function readSecretKey(wallet) {
+  if (typeof wallet === 'string') {
+    return new Uint8Array(walletUtils.loadWallet(wallet))
+  }
+
+  if ((Array.isArray(wallet) || wallet instanceof Uint8Array) && wallet.length === 64) {
+    return new Uint8Array(wallet)
+  }
+
+  throw new Error('Wallet must be a keypair file path or a 64-byte secret key')
+}
+
+// Set up Umi for a network, signing with the wallet when one is given
+export function createContext({ network, wallet } = {}) {
+  const networkKey = resolveNetwork(network)
+  const umi = createUmi(getNetworkUrl(networkKey))
+    .use(mplTokenMetadata())
+
+  let keypair = null
+  if (wallet) {
+    keypair = umi.eddsa.createKeypairFromSecretKey(readSecretKey(wallet))
+    umi.use(keypairIdentity(keypair))
+  }
+
+  return { umi, keypair, network: networkKey }
+}
+
+// Wallet public key without setting up a connection
+export function getWalletAddress(wallet) {
+  const { keypair } = createContext({ wallet })
+  return keypair.publicKey.toString()
+}
+
+// Encode a transaction signature the way explorers expect it
+export function encodeSignature(signature) {
+  return base58.deserialize(signature)[0]
+}
+
+// Send options shared by every transaction
+export const SEND_OPTIONS = {
+  send: {
+    skipPreflight: false,
+    maxRetries: 3,
+  },
+  confirm: {
+    commitment: 'confirmed'
+  }
+}
+
+// Placeholder metadata URI for simulations, which skip the upload
+export const DRY_RUN_URI = 'https://gateway.pinata.cloud/ipfs/dry-run'
+
+// Progress callback that does nothing
+export const noProgress = () => {}
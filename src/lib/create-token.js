@@ -0,0 +1,272 @@
+import {
+  createV1,
+  mintV1,
+  TokenStandard,
+} from '@metaplex-foundation/mpl-token-metadata'
+import { createMint, fetchMint, findAssociatedTokenPda } from '@metaplex-foundation/mpl-toolbox'
+import {
+  generateSigner,
+  percentAmount,
+  publicKey,
+  some,
+} from '@metaplex-foundation/umi'
+
+import { CONFIG } from '../../config/config.js'
+import { tokenUtils, validators } from '../utils.js'
+import { formatAmount, parseAmount } from './amount.js'
+import { imageFiles, resolveImage } from './image.js'
+import { metadataHash } from './metadata-history.js'
+import { createContext, DRY_RUN_URI, encodeSignature, noProgress, SEND_OPTIONS } from './context.js'
+import { simulateBuilder } from './simulate.js'
+import { getStorage } from './storage.js'
+
+// Off-chain attributes used when the config does not list any
+export function defaultAttributes(tokenConfig) {
+  return [
+    {
+      trait_type: "Type",
+      value: "Utility Token"
+    },
+    {
+      trait_type: "Network",
+      value: "Solana"
+    },
+    {
+      trait_type: "Standard",
+      value: "SPL Token"
+    },
+    {
+      trait_type: "Decimals",
+      value: tokenConfig.decimals.toString()
+    }
+  ]
+}
+
+// Parse an address of the token config, naming the field when it is invalid
+function parseAddress(address, field) {
+  try {
+    return publicKey(address)
+  } catch {
+    throw new Error(`Invalid ${field} address: ${address}`)
+  }
+}
+
+// Create a fungible token with Metaplex metadata and save its record in tokens/.
+// `wallet` is a keypair file path or secret key, `config` the token configuration
+// (name, symbol, description, imageUrl, externalUrl, decimals, initialSupply,
+// supplyRecipient, freezeAuthority, attributes, extensions, creators) and `record` extra
+// fields for the saved token record. `imageUrl` may also be a local PNG, JPG,
+// SVG or GIF file, which is uploaded first. Metadata and images go to the
+// `storage` provider, the active profile's storage by default.
+// A non-zero initial supply is minted in the creation transaction to the
+// associated token account of `supplyRecipient`, or of the creator when none
+// is given. The mint has no freeze authority unless `freezeAuthority` is true
+// (the creator) or an address. `extensions` holds social links such as
+// { twitter: '@handle', website: 'https://...' }, stored as URLs.
+// With `dryRun` nothing is uploaded or sent: the transaction is simulated and
+// the result returned as `simulation`.
+export async function createToken({ wallet, network, config, storage, record = {}, dryRun = false, onProgress = noProgress }) {
+  if (!wallet) {
+    throw new Error('A wallet is required to create a token')
+  }
+
+  const tokenConfig = {
+    decimals: CONFIG.DEFAULTS.DECIMALS,
+    initialSupply: CONFIG.DEFAULTS.INITIAL_SUPPLY,
+    externalUrl: '',
+    ...config
+  }
+
+  validators.validateTokenConfig(tokenConfig)
+
+  if (!tokenConfig.imageUrl) {
+    throw new Error('Missing required fields: imageUrl')
+  }
+
+  // Parsed before anything is uploaded: validateTokenConfig only checks the
+  // length of addresses
+  const supplyRecipient = tokenConfig.supplyRecipient
+    ? parseAddress(tokenConfig.supplyRecipient, 'supply recipient')
+    : null
+  const freezeAddress = typeof tokenConfig.freezeAuthority === 'string'
+    ? parseAddress(tokenConfig.freezeAuthority, 'freeze authority')
+    : null
+
+  onProgress('Setting up Umi and wallet...')
+  const context = createContext({ network, wallet })
+  const { umi, keypair } = context
+  const store = getStorage({ provider: storage, umi, network: context.network })
+
+  // Generate mint keypair
+  const mint = generateSigner(umi)
+
+  // Creators default to the signing wallet
+  const creators = tokenConfig.creators || [
+    {
+      address: keypair.publicKey.toString(),
+      share: 100
+    }
+  ]
+
+  // A local image file is pinned before the metadata that points to it
+  const image = await resolveImage(tokenConfig.imageUrl, {
+    storage: store,
+    name: `${tokenConfig.symbol}-image`,
+    dryRun,
+    onProgress
+  })
+
+  // Social links are stored as URLs, without the empty ones
+  const extensions = Object.fromEntries(Object.entries(validators.normalizeExtensions(tokenConfig.extensions || {}))
+    .filter(([, value]) => value))
+
+  // Create metadata
+
+  const tokenMetadata = {
+    name: tokenConfig.name,
+    symbol: tokenConfig.symbol,
+    description: tokenConfig.description,
+    image: image.uri,
+    external_url: tokenConfig.externalUrl || undefined,
+    attributes: tokenConfig.attributes || defaultAttributes(tokenConfig),
+    extensions: Object.keys(extensions).length > 0 ? extensions : undefined,
+    properties: {
+      category: "fungible",
+      files: imageFiles(image),
+      creators: creators.map(creator => ({
+        address: creator.address,
+        share: creator.share
+      }))
+    }
+  }
+
+  let metadataUri = DRY_RUN_URI
+  if (!dryRun) {
+    onProgress(`Uploading metadata (${store.name})...`)
+    metadataUri = await store.uploadJson(
+      tokenMetadata,
+      `${tokenConfig.symbol}-metadata`
+    )
+  }
+
+  // Create the mint first so its freeze authority is ours to choose
+  const freezeAuthority = tokenConfig.freezeAuthority === true ? keypair.publicKey : freezeAddress
+  const createMintIx = createMint(umi, {
+    mint,
+    decimals: tokenConfig.decimals,
+    mintAuthority: keypair.publicKey,
+    freezeAuthority,
+  })
+
+  const createTokenIx = createMintIx.add(createV1(umi, {
+    mint: mint,
+    authority: keypair,
+    name: tokenConfig.name,
+    symbol: tokenConfig.symbol,
+    uri: metadataUri,
+    sellerFeeBasisPoints: percentAmount(CONFIG.DEFAULTS.SELLER_FEE_BASIS_POINTS / 100),
+    decimals: tokenConfig.decimals,
+    tokenStandard: TokenStandard.Fungible,
+    creators: some(creators.map(creator => ({
+      address: publicKey(creator.address),
+      verified: creator.address === keypair.publicKey.toString(),
+      share: creator.share,
+    }))),
+    collection: null,
+    uses: null,
+    isMutable: CONFIG.DEFAULTS.IS_MUTABLE,
+    updateAuthority: keypair.publicKey,
+  }))
+
+  // Mint the initial supply in the same transaction, creating the token account
+  const supplyUnits = parseAmount(tokenConfig.initialSupply, tokenConfig.decimals)
+  const supplyOwner = supplyRecipient || keypair.publicKey
+  const [supplyTokenAccount] = findAssociatedTokenPda(umi, { mint: mint.publicKey, owner: supplyOwner })
+  const builder = supplyUnits > 0n
+    ? createTokenIx.add(mintV1(umi, {
+      mint: mint.publicKey,
+      authority: keypair,
+      token: supplyTokenAccount,
+      tokenOwner: supplyOwner,
+      amount: supplyUnits,
+      tokenStandard: TokenStandard.Fungible,
+    }))
+    : createTokenIx
+
+  if (dryRun) {
+    onProgress('Simulating token creation...')
+    return {
+      dryRun: true,
+      mintAddress: mint.publicKey.toString(),
+      metadata: tokenMetadata,
+      network: context.network,
+      simulation: await simulateBuilder(umi, builder)
+    }
+  }
+
+  // Create token
+  onProgress('Creating token on Solana...')
+  const createTx = await builder.sendAndConfirm(umi, SEND_OPTIONS)
+  const signature = encodeSignature(createTx.signature)
+
+  // Record the supply the chain reports, not the one requested
+  let mintedUnits = supplyUnits
+  if (supplyUnits > 0n) {
+    onProgress('Checking minted supply...')
+    try {
+      mintedUnits = (await fetchMint(umi, mint.publicKey)).supply
+    } catch {
+      // The transaction is confirmed, so the requested supply was minted
+    }
+  }
+  const initialSupply = formatAmount(mintedUnits, tokenConfig.decimals, { grouping: false })
+
+  // Save token information
+  const tokenData = {
+    name: tokenConfig.name,
+    symbol: tokenConfig.symbol,
+    description: tokenConfig.description,
+    mintAddress: mint.publicKey.toString(),
+    metadataUri: metadataUri,
+    imageUri: image.uri,
+    imageFile: image.file,
+    externalUrl: tokenConfig.externalUrl,
+    attributes: tokenMetadata.attributes,
+    extensions: tokenMetadata.extensions,
+    decimals: tokenConfig.decimals,
+    initialSupply,
+    totalMinted: initialSupply,
+    supplyRecipient: mintedUnits > 0n ? supplyOwner.toString() : undefined,
+    supplyTokenAccount: mintedUnits > 0n ? supplyTokenAccount.toString() : undefined,
+    creator: keypair.publicKey.toString(),
+    mintAuthority: keypair.publicKey.toString(),
+    freezeAuthority: freezeAuthority ? freezeAuthority.toString() : null,
+    updateAuthority: keypair.publicKey.toString(),
+    createTransaction: signature,
+    metadataHistory: [{
+      version: 1,
+      action: 'create',
+      uri: metadataUri,
+      hash: metadataHash(tokenMetadata),
+      name: tokenConfig.name,
+      symbol: tokenConfig.symbol,
+      signature,
+      date: new Date().toISOString(),
+      changes: []
+    }],
+    network: context.network.toLowerCase(),
+    storage: store.name,
+    walletFile: typeof wallet === 'string' ? wallet.split('/').pop() : undefined,
+    ...record
+  }
+
+  const tokenInfoFile = tokenUtils.saveTokenInfo(tokenData)
+
+  return {
+    mintAddress: tokenData.mintAddress,
+    signature,
+    metadataUri,
+    tokenData,
+    tokenInfoFile
+  }
+}
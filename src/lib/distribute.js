@@ -0,0 +1,436 @@
+import fs from 'fs'
+import path from 'path'
+
+import {
+  createIdempotentAssociatedToken,
+  fetchMint,
+  fetchToken,
+  findAssociatedTokenPda,
+  mintTokensTo,
+  transferTokens,
+} from '@metaplex-foundation/mpl-toolbox'
+import { publicKey, transactionBuilder, unwrapOption } from '@metaplex-foundation/umi'
+import { base58 } from '@metaplex-foundation/umi/serializers'
+import { SendTransactionError } from '@solana/web3.js'
+
+import { fileUtils, tokenUtils, validators } from '../utils.js'
+import { addAmounts, formatAmount, parseAmount, validateAmount } from './amount.js'
+import { createContext, encodeSignature, noProgress, SEND_OPTIONS } from './context.js'
+import { simulateBuilder } from './simulate.js'
+
+// How tokens reach the recipients: minted by the mint authority, or
+// transferred from the wallet's own token account
+export const DISTRIBUTION_METHODS = ['mint', 'transfer']
+
+// Most recipients packed into one transaction; fewer when they do not fit
+export const MAX_BATCH_SIZE = 8
+
+// Row statuses kept in the state file. `sent` rows have a signature whose
+// outcome is not known yet and are checked before anything else is sent
+const STATUS = {
+  PENDING: 'pending',
+  SENT: 'sent',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed'
+}
+
+// Split one CSV line on commas, dropping surrounding quotes and spaces
+function splitCsvLine(line) {
+  return line.split(',').map(cell => cell.trim().replace(/^"(.*)"$/, '$1'))
+}
+
+// Read `address,amount` rows from a CSV or JSON file. JSON files hold a list of
+// { address, amount } objects or [address, amount] pairs. Every row is
+// validated and all problems are reported at once. Amounts are kept as the
+// decimal strings they were written as
+export function loadRecipients(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Recipients file not found: ${filePath}`)
+  }
+
+  const content = fs.readFileSync(filePath, 'utf8')
+  let entries
+
+  if (path.extname(filePath).toLowerCase() === '.json') {
+    let data
+    try {
+      data = JSON.parse(content)
+    } catch (error) {
+      throw new Error(`Could not parse recipients file ${filePath}: ${error.message}`)
+    }
+    if (!Array.isArray(data)) {
+      throw new Error('Recipients JSON must be a list')
+    }
+    entries = data.map((entry, index) => ({
+      line: index + 1,
+      address: Array.isArray(entry) ? entry[0] : entry?.address,
+      amount: Array.isArray(entry) ? entry[1] : entry?.amount
+    }))
+  } else {
+    entries = content.split(/\r?\n/)
+      .map((text, index) => ({ line: index + 1, cells: splitCsvLine(text) }))
+      .filter(({ cells }) => cells.join('') !== '' && !cells[0].startsWith('#'))
+      .map(({ line, cells }) => ({ line, address: cells[0], amount: cells[1] }))
+
+    // Skip an `address,amount` header row
+    if (entries.length > 0 && /^address$/i.test(entries[0].address)) {
+      entries.shift()
+    }
+  }
+
+  const errors = []
+  const seen = new Map()
+  const rows = entries.map(({ line, address, amount }) => {
+    const value = String(amount ?? '').trim()
+    const amountError = validateAmount(value)
+
+    if (!validators.validateAddress(address)) {
+      errors.push(`line ${line}: invalid address "${address ?? ''}"`)
+    } else if (seen.has(address)) {
+      errors.push(`line ${line}: ${address} is already listed on line ${seen.get(address)}`)
+    } else {
+      seen.set(address, line)
+    }
+
+    if (amountError !== true) {
+      errors.push(`line ${line}: ${amountError}`)
+    }
+
+    return { line, address, amount: value }
+  })
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid recipients in ${filePath}:\n  ${errors.join('\n  ')}`)
+  }
+
+  if (rows.length === 0) {
+    throw new Error(`No recipients found in ${filePath}`)
+  }
+
+  return rows
+}
+
+// State and report files kept next to the recipients file
+export function getDistributionFiles(recipientsFile) {
+  return {
+    stateFile: `${recipientsFile}.state.json`,
+    reportFile: `${recipientsFile}.report.csv`
+  }
+}
+
+// Load the saved state of a distribution, or start a new one. A saved state
+// must describe the same token, network, method and recipients
+function loadState(stateFile, { mint, network, method, rows }) {
+  if (!fs.existsSync(stateFile)) {
+    return {
+      mint,
+      network,
+      method,
+      createdAt: new Date().toISOString(),
+      rows: rows.map(row => ({ ...row, status: STATUS.PENDING, signature: null, error: null }))
+    }
+  }
+
+  const state = fileUtils.loadJson(stateFile)
+  const sameRows = state.rows.length === rows.length &&
+    state.rows.every((row, index) => row.address === rows[index].address && String(row.amount) === rows[index].amount)
+
+  if (state.mint !== mint || state.network !== network || state.method !== method || !sameRows) {
+    throw new Error(`${stateFile} belongs to a different distribution. Move it away to start over`)
+  }
+
+  return state
+}
+
+function saveState(stateFile, state) {
+  fileUtils.saveJson(stateFile, { ...state, updatedAt: new Date().toISOString() })
+}
+
+// Settle rows whose transaction was sent but not confirmed (e.g. the last run
+// crashed). A transaction that is not found can only be resent once its
+// blockhash has expired, otherwise it could still land, and only when the
+// RPC searched its transaction history: without it an older transaction is
+// not found even though it landed
+async function reconcileSentRows(umi, state) {
+  const sent = state.rows.filter(row => row.status === STATUS.SENT)
+  if (sent.length === 0) {
+    return
+  }
+
+  const signatures = [...new Set(sent.map(row => row.signature))]
+  const serialized = signatures.map(signature => base58.serialize(signature))
+  let statuses
+  let searchedHistory = true
+  try {
+    statuses = await umi.rpc.getSignatureStatuses(serialized, { searchTransactionHistory: true })
+  } catch {
+    // Some RPCs do not keep the history; recent statuses can still settle rows
+    searchedHistory = false
+    statuses = await umi.rpc.getSignatureStatuses(serialized)
+  }
+  const blockHeight = await umi.rpc.call('getBlockHeight', [], { commitment: 'confirmed' })
+
+  signatures.forEach((signature, index) => {
+    const status = statuses[index]
+    const rows = sent.filter(row => row.signature === signature)
+
+    if (status && !status.error && ['confirmed', 'finalized'].includes(status.commitment)) {
+      rows.forEach(row => { row.status = STATUS.CONFIRMED })
+    } else if (status?.error) {
+      rows.forEach(row => {
+        row.status = STATUS.FAILED
+        row.error = JSON.stringify(status.error)
+      })
+    } else if (!status && searchedHistory && blockHeight > rows[0].lastValidBlockHeight) {
+      rows.forEach(row => {
+        row.status = STATUS.PENDING
+        row.signature = null
+      })
+    } else if (!status && !searchedHistory) {
+      throw new Error(`Transaction ${signature} could not be looked up in the RPC's transaction history. Check it on an explorer, or use an RPC that keeps the history, before running the distribution again`)
+    } else {
+      throw new Error(`Transaction ${signature} may still land. Wait a minute and run the distribution again`)
+    }
+  })
+}
+
+// Instructions delivering one row's tokens, creating the recipient's
+// associated token account when it does not exist
+function rowInstructions(umi, { mint, method, source, decimals }, row) {
+  const owner = publicKey(row.address)
+  const [token] = findAssociatedTokenPda(umi, { mint, owner })
+  const amount = parseAmount(row.amount, decimals)
+
+  return transactionBuilder()
+    .add(createIdempotentAssociatedToken(umi, { ata: token, owner, mint }))
+    .add(method === 'mint'
+      ? mintTokensTo(umi, { mint, token, amount })
+      : transferTokens(umi, { source, destination: token, amount }))
+}
+
+// Group rows into transactions, as many per transaction as fit
+function buildBatches(umi, context, rows, maxBatchSize) {
+  const batches = []
+
+  rows.forEach(row => {
+    const instructions = rowInstructions(umi, context, row)
+    const last = batches[batches.length - 1]
+
+    if (last && last.rows.length < maxBatchSize) {
+      const builder = last.builder.add(instructions)
+      if (builder.fitsInOneTransaction(umi)) {
+        last.builder = builder
+        last.rows.push(row)
+        return
+      }
+    }
+
+    batches.push({ builder: instructions, rows: [row] })
+  })
+
+  return batches
+}
+
+// Whether sending failed because the RPC node answered with an error, such as
+// a failed preflight simulation, which it does without forwarding the
+// transaction. Program errors from the simulation wrap that error
+function isPreflightRejection(error) {
+  return error instanceof SendTransactionError || error?.cause instanceof SendTransactionError
+}
+
+// Sign and send one batch. The signature is saved before sending so a crash
+// cannot lead to the same rows being sent twice
+async function sendBatch(umi, state, stateFile, batch) {
+  const builder = await batch.builder.setLatestBlockhash(umi)
+  const transaction = await builder.buildAndSign(umi)
+  // The fee payer's signature identifies the transaction
+  const signature = encodeSignature(transaction.signatures[0])
+  const { lastValidBlockHeight } = builder.options.blockhash
+
+  batch.rows.forEach(row => {
+    Object.assign(row, { status: STATUS.SENT, signature, lastValidBlockHeight, error: null })
+  })
+  saveState(stateFile, state)
+
+  try {
+    await umi.rpc.sendTransaction(transaction, SEND_OPTIONS.send)
+  } catch (error) {
+    if (!isPreflightRejection(error)) {
+      // E.g. a timeout: the transaction may have reached the cluster, so the
+      // rows stay `sent` and are checked on the next run
+      batch.rows.forEach(row => { row.error = error.message })
+      saveState(stateFile, state)
+      return
+    }
+
+    // Rejected by the RPC node before reaching the cluster, so nothing was sent
+    batch.rows.forEach(row => Object.assign(row, { status: STATUS.FAILED, signature: null, lastValidBlockHeight: null, error: error.message }))
+    saveState(stateFile, state)
+    return
+  }
+
+  try {
+    const { value } = await umi.rpc.confirmTransaction(transaction.signatures[0], {
+      strategy: { type: 'blockhash', ...builder.options.blockhash },
+      commitment: SEND_OPTIONS.confirm.commitment
+    })
+    batch.rows.forEach(row => {
+      row.status = value.err ? STATUS.FAILED : STATUS.CONFIRMED
+      row.error = value.err ? JSON.stringify(value.err) : null
+    })
+  } catch {
+    // Outcome unknown: the rows stay `sent` and are checked on the next run
+  }
+  saveState(stateFile, state)
+}
+
+// Write a CSV report with the status and signature of every row
+function writeReport(reportFile, rows) {
+  const escape = (value) => /[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : value
+  const lines = rows.map(row => [row.line, row.address, row.amount, row.status, row.signature || '', row.error || ''].map(escape).join(','))
+
+  fs.writeFileSync(reportFile, ['line,address,amount,status,signature,error', ...lines].join('\n') + '\n')
+}
+
+// Send `mint` tokens to every recipient listed in `recipientsFile`, several
+// recipients per transaction. `method` is 'mint' (the wallet must be the mint
+// authority) or 'transfer' (from the wallet's token account).
+// Progress is saved to a state file next to the recipients file, so running
+// again resumes where a previous run stopped; confirmed rows are never sent
+// again and failed ones are retried. A CSV report of every row is written at
+// the end. With `dryRun` only the first batch is simulated.
+export async function distributeTokens({
+  wallet,
+  network,
+  mint,
+  recipientsFile,
+  method = 'mint',
+  maxBatchSize = MAX_BATCH_SIZE,
+  dryRun = false,
+  onProgress = noProgress
+}) {
+  if (!validators.validateAddress(mint)) {
+    throw new Error(`Invalid token address: ${mint}`)
+  }
+
+  if (!DISTRIBUTION_METHODS.includes(method)) {
+    throw new Error(`Unknown distribution method: ${method} (use ${DISTRIBUTION_METHODS.join(' or ')})`)
+  }
+
+  if (!Number.isInteger(maxBatchSize) || maxBatchSize < 1) {
+    throw new Error('Batch size must be a whole number of at least 1')
+  }
+
+  if (!wallet) {
+    throw new Error('A wallet is required to distribute tokens')
+  }
+
+  onProgress('Reading recipients...')
+  const rows = loadRecipients(recipientsFile)
+
+  onProgress('Setting up Umi and wallet...')
+  const { umi, keypair, network: networkKey } = createContext({ network, wallet })
+  const walletAddress = keypair.publicKey.toString()
+  const { stateFile, reportFile } = getDistributionFiles(recipientsFile)
+  const state = loadState(stateFile, { mint, network: networkKey, method, rows })
+
+  if (!dryRun) {
+    onProgress('Checking transactions from earlier runs...')
+    await reconcileSentRows(umi, state)
+    saveState(stateFile, state)
+  }
+
+  const remaining = state.rows.filter(row => row.status !== STATUS.CONFIRMED)
+
+  onProgress('Checking token and wallet...')
+  const mintAccount = await fetchMint(umi, publicKey(mint))
+  const { decimals } = mintAccount
+
+  // Amounts can only be checked against the mint's decimals now
+  const amountErrors = []
+  const remainingUnits = remaining.reduce((sum, row) => {
+    try {
+      return sum + parseAmount(row.amount, decimals)
+    } catch (error) {
+      amountErrors.push(`line ${row.line}: ${error.message}`)
+      return sum
+    }
+  }, 0n)
+  if (amountErrors.length > 0) {
+    throw new Error(`Invalid recipients in ${recipientsFile}:\n  ${amountErrors.join('\n  ')}`)
+  }
+  const [source] = findAssociatedTokenPda(umi, { mint: publicKey(mint), owner: keypair.publicKey })
+
+  if (method === 'mint' && unwrapOption(mintAccount.mintAuthority)?.toString() !== walletAddress) {
+    throw new Error(`Wallet ${walletAddress} is not the mint authority of ${mint}`)
+  }
+
+  if (method === 'transfer' && remaining.length > 0) {
+    let balance = 0n
+    try {
+      balance = (await fetchToken(umi, source)).amount
+    } catch {
+      // No token account means no balance
+    }
+    if (balance < remainingUnits) {
+      throw new Error(`Insufficient token balance: ${formatAmount(balance, decimals)} available, ${formatAmount(remainingUnits, decimals)} needed`)
+    }
+  }
+
+  const context = { mint: publicKey(mint), method, source, decimals }
+  const batches = buildBatches(umi, context, remaining, maxBatchSize)
+
+  if (dryRun) {
+    if (batches.length === 0) {
+      throw new Error(`Nothing to send: every recipient in ${recipientsFile} is confirmed`)
+    }
+
+    onProgress('Simulating first batch...')
+    return {
+      dryRun: true,
+      mintAddress: mint,
+      network: networkKey,
+      method,
+      recipients: rows.length,
+      remaining: remaining.length,
+      remainingAmount: formatAmount(remainingUnits, decimals, { grouping: false }),
+      batches: batches.length,
+      simulation: await simulateBuilder(umi, batches[0].builder)
+    }
+  }
+
+  for (const [index, batch] of batches.entries()) {
+    onProgress(`Sending batch ${index + 1}/${batches.length} (${batch.rows.length} recipients)...`)
+    await sendBatch(umi, state, stateFile, batch)
+  }
+
+  writeReport(reportFile, state.rows)
+
+  const count = (status) => state.rows.filter(row => row.status === status).length
+  const sentNow = remaining.filter(row => row.status === STATUS.CONFIRMED)
+
+  // Update token info if we have it
+  const tokenInfoFile = tokenUtils.findTokenFile(mint)
+  if (tokenInfoFile && method === 'mint' && sentNow.length > 0) {
+    const tokenInfo = fileUtils.loadJson(tokenInfoFile)
+    fileUtils.saveJson(tokenInfoFile, {
+      ...tokenInfo,
+      totalMinted: sentNow.reduce((sum, row) => addAmounts(sum, row.amount, decimals), tokenInfo.totalMinted),
+      lastDistributionDate: new Date().toISOString()
+    })
+  }
+
+  return {
+    mintAddress: mint,
+    network: networkKey,
+    method,
+    recipients: rows.length,
+    confirmed: count(STATUS.CONFIRMED),
+    failed: count(STATUS.FAILED),
+    unconfirmed: count(STATUS.SENT),
+    rows: state.rows,
+    stateFile,
+    reportFile,
+    tokenInfoFile
+  }
+}
@@ -0,0 +1,182 @@
+import {
+  deserializeMint,
+  deserializeToken,
+  findAssociatedTokenPda,
+  freezeToken,
+  getTokenGpaBuilder,
+  safeFetchToken,
+  thawToken,
+  TokenState,
+} from '@metaplex-foundation/mpl-toolbox'
+import { publicKey } from '@metaplex-foundation/umi'
+
+import { validators } from '../utils.js'
+import { formatAmount } from './amount.js'
+import { getAuthority } from './authorities.js'
+import { createContext, encodeSignature, noProgress, SEND_OPTIONS } from './context.js'
+import { TOKEN_2022_PROGRAM_ID, TOKEN_PROGRAM_ID } from './mint-account.js'
+import { simulateBuilder } from './simulate.js'
+
+// SPL token account size
+const TOKEN_ACCOUNT_SIZE = 165
+
+// Whether a fetched account is an SPL token account: owned by the Token
+// program and laid out as one (wallets and other accounts are not)
+function isTokenAccount(account) {
+  return account.owner.toString() === TOKEN_PROGRAM_ID && account.data.length === TOKEN_ACCOUNT_SIZE
+}
+
+// The mint account of `mint`. Freezing, thawing and the frozen account
+// search all go through the SPL Token program, so Token-2022 mints are
+// refused here, before anything is sent
+async function fetchSplMint(umi, mint) {
+  const account = await umi.rpc.getAccount(publicKey(mint))
+  if (!account.exists) {
+    throw new Error('Token mint account not found on this network')
+  }
+
+  const owner = account.owner.toString()
+  if (owner === TOKEN_2022_PROGRAM_ID) {
+    throw new Error(`${mint} is a Token-2022 mint; freezing and thawing only support SPL Token mints`)
+  }
+  if (owner !== TOKEN_PROGRAM_ID) {
+    throw new Error(`${mint} is not a token mint (owned by ${owner})`)
+  }
+
+  return deserializeMint(account)
+}
+
+// Token account of `mint` for `holder`: the holder itself when it is a token
+// account of that mint, otherwise the holder wallet's associated token account
+export async function resolveTokenAccount(umi, mint, holder) {
+  const direct = await umi.rpc.getAccount(publicKey(holder))
+  if (direct.exists && isTokenAccount(direct)) {
+    const account = deserializeToken(direct)
+    if (account.mint.toString() === mint) {
+      return account
+    }
+  }
+
+  const [ata] = findAssociatedTokenPda(umi, { mint: publicKey(mint), owner: publicKey(holder) })
+  const account = await safeFetchToken(umi, ata)
+  if (!account) {
+    throw new Error(`${holder} has no token account for ${mint}`)
+  }
+  return account
+}
+
+// Freeze (`freeze` true) or thaw the token account of `holder`
+async function setAccountFrozen({ wallet, network, mint, holder, freeze, dryRun, onProgress }) {
+  const action = freeze ? 'freeze' : 'thaw'
+
+  if (!validators.validateAddress(mint)) {
+    throw new Error(`Invalid token address: ${mint}`)
+  }
+
+  if (!validators.validateAddress(holder)) {
+    throw new Error(`Invalid holder address: ${holder}`)
+  }
+
+  if (!wallet) {
+    throw new Error(`A wallet is required to ${action} accounts`)
+  }
+
+  onProgress('Setting up Umi and wallet...')
+  const { umi, keypair, network: networkKey } = createContext({ network, wallet })
+  const walletAddress = keypair.publicKey.toString()
+
+  onProgress('Checking freeze authority...')
+  const mintAccount = await fetchSplMint(umi, mint)
+  const freezeAuthority = getAuthority(mintAccount, 'freeze')
+  if (!freezeAuthority) {
+    throw new Error('This token has no freeze authority, so its accounts cannot be frozen or thawed')
+  }
+  if (freezeAuthority !== walletAddress) {
+    throw new Error(`Wallet ${walletAddress} does not hold the freeze authority (current authority: ${freezeAuthority})`)
+  }
+
+  onProgress('Finding token account...')
+  const account = await resolveTokenAccount(umi, mint, holder)
+  const tokenAccount = account.publicKey.toString()
+  const frozen = account.state === TokenState.Frozen
+  if (frozen === freeze) {
+    throw new Error(`Token account ${tokenAccount} is ${freeze ? 'already frozen' : 'not frozen'}`)
+  }
+
+  const build = freeze ? freezeToken : thawToken
+  const builder = build(umi, { account: account.publicKey, mint: publicKey(mint), owner: umi.identity })
+
+  if (dryRun) {
+    onProgress(`Simulating ${action}...`)
+    return {
+      dryRun: true,
+      mintAddress: mint,
+      network: networkKey,
+      tokenAccount,
+      simulation: await simulateBuilder(umi, builder)
+    }
+  }
+
+  onProgress(freeze ? 'Freezing token account...' : 'Thawing token account...')
+  const tx = await builder.sendAndConfirm(umi, SEND_OPTIONS)
+  const signature = encodeSignature(tx.signature)
+
+  onProgress('Verifying account state on-chain...')
+  const after = await safeFetchToken(umi, account.publicKey)
+
+  return {
+    mintAddress: mint,
+    network: networkKey,
+    tokenAccount,
+    owner: account.owner.toString(),
+    signature,
+    // Unknown (null) when the account cannot be read back
+    frozen: after ? after.state === TokenState.Frozen : null
+  }
+}
+
+// Freeze the token account of `holder` (a wallet or one of its token
+// accounts) so it can no longer send or receive `mint`, an SPL Token mint
+// (Token-2022 mints are refused). The wallet must hold the freeze authority,
+// which is checked on-chain first; `frozen` in the result is read back from
+// the chain, or null when the account could not be read back.
+// With `dryRun` the freeze is simulated instead and nothing is sent.
+export function freezeAccount({ wallet, network, mint, holder, dryRun = false, onProgress = noProgress }) {
+  return setAccountFrozen({ wallet, network, mint, holder, freeze: true, dryRun, onProgress })
+}
+
+// Thaw a token account frozen with freezeAccount. Same arguments and result
+export function thawAccount({ wallet, network, mint, holder, dryRun = false, onProgress = noProgress }) {
+  return setAccountFrozen({ wallet, network, mint, holder, freeze: false, dryRun, onProgress })
+}
+
+// Every frozen token account of `mint`, with its owner and balance
+export async function listFrozenAccounts({ network, mint, onProgress = noProgress }) {
+  if (!validators.validateAddress(mint)) {
+    throw new Error(`Invalid token address: ${mint}`)
+  }
+
+  const context = createContext({ network })
+  const { umi } = context
+
+  onProgress('Checking freeze authority...')
+  const mintAccount = await fetchSplMint(umi, mint)
+
+  onProgress('Finding frozen accounts...')
+  const accounts = await getTokenGpaBuilder(umi)
+    .whereField('mint', publicKey(mint))
+    .whereField('state', TokenState.Frozen)
+    .getDeserialized()
+
+  return {
+    mintAddress: mint,
+    network: context.network,
+    freezeAuthority: getAuthority(mintAccount, 'freeze'),
+    decimals: mintAccount.decimals,
+    accounts: accounts.map(account => ({
+      address: account.publicKey.toString(),
+      owner: account.owner.toString(),
+      amount: formatAmount(account.amount, mintAccount.decimals, { grouping: false })
+    }))
+  }
+}
@@ -0,0 +1,160 @@
+import { publicKey, publicKeyBytes } from '@metaplex-foundation/umi'
+import fs from 'fs'
+
+import { validators } from '../utils.js'
+import { formatAmount } from './amount.js'
+import { createContext, noProgress } from './context.js'
+import { decodeMint, TOKEN_PROGRAM_ID } from './mint-account.js'
+
+// SPL token account layout: mint, owner, then the u64 amount. Token-2022
+// accounts start the same way, followed by their extensions
+const TOKEN_ACCOUNT_SIZE = 165
+const OWNER_OFFSET = 32
+
+// Owner and amount of a token account, from its data starting at the owner
+function readTokenAccount(data) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength)
+  return {
+    owner: publicKey(data.slice(0, 32)).toString(),
+    amount: view.getBigUint64(32, true)
+  }
+}
+
+// Every token account of the mint, by a getProgramAccounts scan of its token
+// program. Only the owner and amount of each account are downloaded
+async function scanTokenAccounts(umi, mint, programId) {
+  const accounts = await umi.rpc.getProgramAccounts(publicKey(programId), {
+    filters: [
+      ...(programId === TOKEN_PROGRAM_ID ? [{ dataSize: TOKEN_ACCOUNT_SIZE }] : []),
+      { memcmp: { offset: 0, bytes: publicKeyBytes(publicKey(mint)) } }
+    ],
+    dataSlice: { offset: OWNER_OFFSET, length: 40 }
+  })
+
+  return accounts.map(account => ({ address: account.publicKey.toString(), ...readTokenAccount(account.data) }))
+}
+
+// The largest token accounts of the mint (at most 20), with their owners
+async function largestTokenAccounts(umi, mint) {
+  const { value } = await umi.rpc.call('getTokenLargestAccounts', [mint])
+  const accounts = await umi.rpc.getAccounts(value.map(account => publicKey(account.address)))
+
+  return accounts
+    .filter(account => account.exists)
+    .map(account => ({ address: account.publicKey.toString(), ...readTokenAccount(account.data.slice(OWNER_OFFSET)) }))
+}
+
+// Gini coefficient of the balances: 0 when everyone holds the same amount,
+// close to 1 when a single holder has everything
+function giniCoefficient(balances) {
+  const values = balances.map(Number).sort((a, b) => a - b)
+  const total = values.reduce((sum, value) => sum + value, 0)
+  if (values.length === 0 || total === 0) {
+    return null
+  }
+
+  const weighted = values.reduce((sum, value, index) => sum + (index + 1) * value, 0)
+  return (2 * weighted) / (values.length * total) - (values.length + 1) / values.length
+}
+
+// Percentage of `supply` that `amount` is, to 4 decimal places
+function shareOf(amount, supply) {
+  return supply > 0n ? Number(amount * 1000000n / supply) / 10000 : null
+}
+
+// Write every holder to a CSV file, largest first
+function writeCsv(csvFile, holders) {
+  const lines = holders.map(holder => [holder.rank, holder.owner, holder.amount, holder.share ?? '', holder.accounts, holder.programOwned ? 'program' : 'wallet'].join(','))
+
+  fs.writeFileSync(csvFile, ['rank,owner,amount,share,accounts,type', ...lines].join('\n') + '\n')
+}
+
+// Holder distribution of `mint`: the `top` largest holders (token accounts
+// grouped by owner) with their share of supply, the holder count, the share
+// of the 10 largest holders and the Gini coefficient of all balances.
+// Holders are found with a full getProgramAccounts scan. RPC nodes that do
+// not allow the scan are answered from getTokenLargestAccounts instead; the
+// result then has `complete` false, only covers the 20 largest accounts and
+// has no holder count or Gini coefficient. With `scan` false only the
+// largest accounts are fetched, which is much faster for widely held tokens.
+// With `csvFile` every holder found is also written there as CSV
+export async function analyzeHolders({ network, mint, top = 20, scan = true, csvFile, onProgress = noProgress }) {
+  if (!validators.validateAddress(mint)) {
+    throw new Error(`Invalid token address: ${mint}`)
+  }
+
+  if (!Number.isInteger(top) || top < 1) {
+    throw new Error(`Number of top holders must be a positive whole number, got ${top}`)
+  }
+
+  const context = createContext({ network })
+  const { umi } = context
+
+  onProgress('Checking mint account...')
+  const mintAccount = await umi.rpc.getAccount(publicKey(mint))
+  if (!mintAccount.exists) {
+    throw new Error('Token mint account not found on this network')
+  }
+
+  const mintInfo = decodeMint(mintAccount.data, mintAccount.owner.toString())
+  if (!mintInfo) {
+    throw new Error(`${mint} is not a token mint (owned by ${mintAccount.owner.toString()})`)
+  }
+
+  let accounts = null
+  if (scan) {
+    try {
+      onProgress('Scanning token accounts...')
+      accounts = await scanTokenAccounts(umi, mint, mintInfo.programId)
+    } catch {
+      // Many RPC nodes do not allow scanning the token programs
+    }
+  }
+
+  const complete = accounts !== null
+  if (!complete) {
+    onProgress(scan ? 'Full scan not available on this RPC, fetching the largest accounts...' : 'Fetching the largest accounts...')
+    accounts = await largestTokenAccounts(umi, mint)
+  }
+
+  // Group token accounts by owner, leaving out empty ones
+  const owners = new Map()
+  accounts.filter(account => account.amount > 0n).forEach(account => {
+    const holder = owners.get(account.owner) || { owner: account.owner, amount: 0n, accounts: 0 }
+    holder.amount += account.amount
+    holder.accounts += 1
+    owners.set(account.owner, holder)
+  })
+
+  const ranked = [...owners.values()].sort((a, b) => (b.amount > a.amount ? 1 : b.amount < a.amount ? -1 : 0))
+  const holders = ranked.map((holder, index) => ({
+    rank: index + 1,
+    owner: holder.owner,
+    amount: formatAmount(holder.amount, mintInfo.decimals, { grouping: false }),
+    share: shareOf(holder.amount, mintInfo.supply),
+    accounts: holder.accounts,
+    // Owners off the ed25519 curve are PDAs: pools, vaults, escrows...
+    programOwned: !umi.eddsa.isOnCurve(publicKey(holder.owner))
+  }))
+
+  const top10 = ranked.slice(0, 10).reduce((sum, holder) => sum + holder.amount, 0n)
+
+  if (csvFile) {
+    onProgress('Writing CSV...')
+    writeCsv(csvFile, holders)
+  }
+
+  return {
+    mintAddress: mint,
+    network: context.network,
+    decimals: mintInfo.decimals,
+    supply: mintInfo.uiSupply,
+    complete,
+    holderCount: complete ? holders.length : null,
+    accountCount: complete ? accounts.length : null,
+    top10Share: shareOf(top10, mintInfo.supply),
+    gini: complete ? giniCoefficient(ranked.map(holder => holder.amount)) : null,
+    holders: holders.slice(0, top),
+    csvFile: csvFile || null
+  }
+}
@@ -0,0 +1,29 @@
+import { fileUtils, validators } from '../utils.js'
+import { DRY_RUN_URI, noProgress } from './context.js'
+
+// Resolve a token image to the `uri` and MIME `type` used in the off-chain
+// JSON. URLs are used as they are; local PNG, JPG, SVG and GIF files are
+// uploaded to `storage` (not with `dryRun`) and also reported as `file`
+export async function resolveImage(image, { storage, name, dryRun = false, onProgress = noProgress }) {
+  if (validators.validateUrl(image)) {
+    return { uri: image, type: fileUtils.getImageType(new URL(image).pathname) }
+  }
+
+  const valid = validators.validateImage(image)
+  if (valid !== true) {
+    throw new Error(valid)
+  }
+
+  const type = fileUtils.getImageType(image)
+  if (dryRun) {
+    return { uri: DRY_RUN_URI, type, file: image }
+  }
+
+  onProgress(`Uploading image (${storage.name})...`)
+  return { uri: await storage.uploadFile(image, name), type, file: image }
+}
+
+// `properties.files` entries of the off-chain JSON for a resolved image
+export function imageFiles({ uri, type }) {
+  return type ? [{ uri, type }] : []
+}
@@ -0,0 +1,22 @@
+// Programmatic API: every function takes a single options object, returns a
+// structured result and never prompts, spins or writes to the console.
+export { createToken, defaultAttributes } from './create-token.js'
+export { mintTokens } from './mint-tokens.js'
+export { distributeTokens, DISTRIBUTION_METHODS, getDistributionFiles, loadRecipients } from './distribute.js'
+export { revokeAuthorities } from './revoke-authorities.js'
+export { transferAuthorities, TRANSFERABLE_AUTHORITIES } from './transfer-authority.js'
+export { fetchAuthorities, isMetadataLocked, NO_UPDATE_AUTHORITY } from './authorities.js'
+export { diffMetadata, previewMetadataUpdate, updateMetadata } from './update-metadata.js'
+export { lockMetadata, METADATA_LOCKS } from './lock-metadata.js'
+export { diffMetadataVersions, getMetadataHistory, metadataHash, rollbackMetadata } from './metadata-history.js'
+export { freezeAccount, listFrozenAccounts, thawAccount } from './freeze-accounts.js'
+export { checkToken, fetchMetadata, fetchOffChainMetadata, plainMetadata, tokenAuthorities } from './check-token.js'
+export { listCreatedTokens } from './token-records.js'
+export { watchToken } from './watch-token.js'
+export { analyzeHolders } from './holders.js'
+export { assessRisk, RISK_CHECKS, SEVERITIES } from './risk-report.js'
+export { launchFromManifest, loadManifest, parseManifest } from './manifest.js'
+export { getWalletAddress } from './context.js'
+export { getStorage, STORAGE_PROVIDERS } from './storage.js'
+export { addAmounts, formatAmount, MAX_U64, parseAmount } from './amount.js'
+export { simulateBuilder } from './simulate.js'
@@ -0,0 +1,125 @@
+import { updateV1 } from '@metaplex-foundation/mpl-token-metadata'
+import { publicKey, some } from '@metaplex-foundation/umi'
+
+import { fileUtils, tokenUtils, validators } from '../utils.js'
+import { isMetadataLocked, NO_UPDATE_AUTHORITY } from './authorities.js'
+import { fetchMetadata } from './check-token.js'
+import { createContext, encodeSignature, noProgress, SEND_OPTIONS } from './context.js'
+import { simulateBuilder } from './simulate.js'
+
+// Parts of a token's metadata that can be locked
+export const METADATA_LOCKS = ['immutable', 'updateAuthority']
+
+// Transaction locking the metadata of `mint`: `immutable` sets isMutable to
+// false, `updateAuthority` hands the update authority to NO_UPDATE_AUTHORITY
+export function buildLockMetadataTransaction(umi, { mint, locks }) {
+  return updateV1(umi, {
+    mint: publicKey(mint),
+    authority: umi.identity,
+    isMutable: locks.includes('immutable') ? some(false) : undefined,
+    newUpdateAuthority: locks.includes('updateAuthority') ? some(publicKey(NO_UPDATE_AUTHORITY)) : undefined,
+  })
+}
+
+// Permanently lock the metadata of `mint`. `locks` selects what is locked:
+// 'immutable' makes the metadata immutable and 'updateAuthority' drops the
+// update authority. The wallet must be the update authority and the metadata
+// still mutable, which is checked on-chain first. Both locks go in one
+// transaction; afterwards the metadata is read again and immutableLocked and
+// updateAuthorityLocked only report true once the chain shows them.
+// With `dryRun` the lock is simulated instead and nothing is sent.
+export async function lockMetadata({ wallet, network, mint, locks = METADATA_LOCKS, dryRun = false, onProgress = noProgress }) {
+  if (!validators.validateAddress(mint)) {
+    throw new Error(`Invalid token address: ${mint}`)
+  }
+
+  if (!Array.isArray(locks) || locks.length === 0) {
+    throw new Error('Select at least one metadata lock')
+  }
+
+  const unknown = locks.filter(lock => !METADATA_LOCKS.includes(lock))
+  if (unknown.length > 0) {
+    throw new Error(`Unknown metadata locks: ${unknown.join(', ')}`)
+  }
+
+  if (!wallet) {
+    throw new Error('A wallet is required to lock metadata')
+  }
+
+  onProgress('Setting up Umi and wallet...')
+  const { umi, keypair, network: networkKey } = createContext({ network, wallet })
+
+  onProgress('Fetching current metadata...')
+  const currentMetadata = await fetchMetadata({ mint, umi })
+  if (!currentMetadata) {
+    throw new Error('Metadata account not found for this token')
+  }
+
+  // Locked metadata can no longer be changed at all
+  if (isMetadataLocked(currentMetadata)) {
+    throw new Error('This token metadata is already locked')
+  }
+
+  const updateAuthority = currentMetadata.updateAuthority.toString()
+  if (updateAuthority !== keypair.publicKey.toString()) {
+    throw new Error(`Wallet ${keypair.publicKey.toString()} is not the update authority (${updateAuthority})`)
+  }
+
+  const builder = buildLockMetadataTransaction(umi, { mint, locks })
+
+  if (dryRun) {
+    onProgress('Simulating metadata lock...')
+    return {
+      dryRun: true,
+      mintAddress: mint,
+      network: networkKey,
+      locks,
+      simulation: await simulateBuilder(umi, builder)
+    }
+  }
+
+  onProgress('Locking metadata...')
+  const tx = await builder.sendAndConfirm(umi, SEND_OPTIONS)
+  const signature = encodeSignature(tx.signature)
+
+  onProgress('Verifying metadata lock on-chain...')
+  const metadata = await fetchMetadata({ mint, umi })
+
+  const results = {}
+  if (locks.includes('immutable')) {
+    results.immutableLocked = metadata?.isMutable === false
+  }
+  if (locks.includes('updateAuthority')) {
+    results.updateAuthorityLocked = metadata?.updateAuthority.toString() === NO_UPDATE_AUTHORITY
+  }
+
+  // Update token info if we have it
+  const tokenInfoFile = tokenUtils.findTokenFile(mint)
+  if (tokenInfoFile) {
+    const tokenInfo = fileUtils.loadJson(tokenInfoFile)
+    const date = new Date().toISOString()
+
+    fileUtils.saveJson(tokenInfoFile, {
+      ...tokenInfo,
+      metadataLocked: Boolean(metadata && isMetadataLocked(metadata)),
+      ...(results.updateAuthorityLocked && {
+        updateAuthority: null,
+        authorityHistory: [
+          ...(tokenInfo.authorityHistory || []),
+          { authority: 'update', from: updateAuthority, to: null, transaction: signature, date }
+        ]
+      }),
+      metadataLockTransaction: signature,
+      metadataLockDate: date
+    })
+  }
+
+  return {
+    mintAddress: mint,
+    network: networkKey,
+    signature,
+    metadataLocked: Boolean(metadata && isMetadataLocked(metadata)),
+    ...results,
+    tokenInfoFile
+  }
+}
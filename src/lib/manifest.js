@@ -0,0 +1,175 @@
+import fs from 'fs'
+import path from 'path'
+import YAML from 'yaml'
+
+import { CONFIG, resolveNetwork } from '../../config/config.js'
+import { validators } from '../utils.js'
+import { createToken } from './create-token.js'
+import { getWalletAddress, noProgress } from './context.js'
+import { revokeAuthorities } from './revoke-authorities.js'
+import { STORAGE_PROVIDERS } from './storage.js'
+
+// Manifest schema versions this tool understands
+const SUPPORTED_VERSIONS = [1]
+
+const MANIFEST_KEYS = ['version', 'network', 'wallet', 'storage', 'token', 'revokeAuthorities']
+const TOKEN_KEYS = ['name', 'symbol', 'description', 'image', 'externalUrl', 'decimals', 'initialSupply', 'supplyRecipient', 'freezeAuthority', 'attributes', 'extensions', 'creators']
+const REVOCABLE_AUTHORITIES = ['mint', 'freeze']
+
+// Load a launch manifest from a JSON or YAML file
+export function loadManifest(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Manifest not found: ${filePath}`)
+  }
+
+  const content = fs.readFileSync(filePath, 'utf8')
+  const extension = path.extname(filePath).toLowerCase()
+
+  try {
+    return extension === '.yaml' || extension === '.yml'
+      ? YAML.parse(content)
+      : JSON.parse(content)
+  } catch (error) {
+    throw new Error(`Could not parse manifest ${filePath}: ${error.message}`)
+  }
+}
+
+// Validate a manifest and turn it into a token configuration. With the
+// launching wallet's `walletAddress`, a kept freeze authority that is to be
+// revoked must be that wallet: nobody else's can be revoked after launch
+export function parseManifest(manifest, { walletAddress } = {}) {
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    throw new Error('Manifest must be an object')
+  }
+
+  if (!SUPPORTED_VERSIONS.includes(manifest.version)) {
+    throw new Error(`Unsupported manifest version: ${manifest.version} (supported: ${SUPPORTED_VERSIONS.join(', ')})`)
+  }
+
+  const unknownKeys = Object.keys(manifest).filter(key => !MANIFEST_KEYS.includes(key))
+  if (unknownKeys.length > 0) {
+    throw new Error(`Unknown manifest fields: ${unknownKeys.join(', ')}`)
+  }
+
+  if (!manifest.token || typeof manifest.token !== 'object') {
+    throw new Error('Manifest is missing the "token" section')
+  }
+
+  const unknownTokenKeys = Object.keys(manifest.token).filter(key => !TOKEN_KEYS.includes(key))
+  if (unknownTokenKeys.length > 0) {
+    throw new Error(`Unknown token fields: ${unknownTokenKeys.join(', ')}`)
+  }
+
+  if (manifest.network !== undefined) {
+    try {
+      resolveNetwork(manifest.network)
+    } catch (error) {
+      throw new Error(`Manifest network: ${error.message}`)
+    }
+  }
+
+  if (manifest.storage !== undefined && !STORAGE_PROVIDERS.includes(manifest.storage)) {
+    throw new Error(`Unknown storage provider: ${manifest.storage} (available: ${STORAGE_PROVIDERS.join(', ')})`)
+  }
+
+  const revoke = manifest.revokeAuthorities || []
+  if (!Array.isArray(revoke)) {
+    throw new Error('revokeAuthorities must be a list')
+  }
+
+  revoke.forEach(authority => {
+    if (authority === 'freeze' && !manifest.token.freezeAuthority) {
+      throw new Error('The token is created without a freeze authority, so there is none to revoke')
+    }
+    if (authority === 'freeze' && walletAddress && typeof manifest.token.freezeAuthority === 'string' &&
+        manifest.token.freezeAuthority !== walletAddress) {
+      throw new Error(`The freeze authority ${manifest.token.freezeAuthority} is not the launching wallet (${walletAddress}), so the wallet cannot revoke it. Set freezeAuthority to true or remove freeze from revokeAuthorities`)
+    }
+    if (!REVOCABLE_AUTHORITIES.includes(authority)) {
+      throw new Error(`Unknown authority to revoke: ${authority}`)
+    }
+  })
+
+  const { token } = manifest
+  const tokenConfig = {
+    name: token.name,
+    symbol: token.symbol,
+    description: token.description,
+    imageUrl: token.image,
+    externalUrl: token.externalUrl || '',
+    decimals: token.decimals ?? CONFIG.DEFAULTS.DECIMALS,
+    initialSupply: token.initialSupply ?? CONFIG.DEFAULTS.INITIAL_SUPPLY,
+    supplyRecipient: token.supplyRecipient,
+    freezeAuthority: token.freezeAuthority,
+    attributes: token.attributes,
+    extensions: token.extensions,
+    creators: token.creators
+  }
+
+  validators.validateTokenConfig(tokenConfig)
+
+  if (!tokenConfig.imageUrl) {
+    throw new Error('Missing required fields: image')
+  }
+
+  return {
+    version: manifest.version,
+    network: manifest.network,
+    walletFile: manifest.wallet,
+    storage: manifest.storage,
+    tokenConfig,
+    revokeAuthorities: revoke
+  }
+}
+
+// Create the token a manifest describes, then revoke the authorities it lists.
+// `manifest` is a manifest file path or an already loaded manifest object;
+// `wallet`, `network` and `storage` override the manifest's own settings.
+// With `dryRun` only the token creation is simulated: the revocations need
+// the mint to exist first.
+export async function launchFromManifest({ manifest, wallet, network, storage, dryRun = false, onProgress = noProgress }) {
+  const manifestFile = typeof manifest === 'string' ? manifest : null
+  const content = manifestFile ? loadManifest(manifestFile) : manifest
+  let parsed = parseManifest(content)
+
+  wallet = wallet || parsed.walletFile
+  network = network || parsed.network
+
+  // Checked again against the wallet, before anything is uploaded or sent
+  if (wallet) {
+    parsed = parseManifest(content, { walletAddress: getWalletAddress(wallet) })
+  }
+
+  const launch = await createToken({
+    wallet,
+    network,
+    config: parsed.tokenConfig,
+    storage: storage || parsed.storage,
+    record: {
+      manifestFile: manifestFile ? path.relative(process.cwd(), path.resolve(manifestFile)) : undefined,
+      manifestVersion: parsed.version
+    },
+    dryRun,
+    onProgress
+  })
+
+  if (dryRun) {
+    return launch
+  }
+
+  let revocation = null
+  if (parsed.revokeAuthorities.length > 0) {
+    revocation = await revokeAuthorities({
+      wallet,
+      network,
+      mint: launch.mintAddress,
+      authorities: parsed.revokeAuthorities,
+      onProgress
+    })
+  }
+
+  return {
+    ...launch,
+    revocation
+  }
+}
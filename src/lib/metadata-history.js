@@ -0,0 +1,232 @@
+import crypto from 'crypto'
+import { updateV1 } from '@metaplex-foundation/mpl-token-metadata'
+import { publicKey, some } from '@metaplex-foundation/umi'
+
+import { fileUtils, tokenUtils, validators } from '../utils.js'
+import { fetchMetadata, fetchOffChainMetadata } from './check-token.js'
+import { createContext, encodeSignature, noProgress, SEND_OPTIONS } from './context.js'
+import { simulateBuilder } from './simulate.js'
+import { diffMetadata, recordFields } from './update-metadata.js'
+
+// Content hash of an off-chain JSON document: SHA-256 of its compact
+// serialization, so a fetched copy hashes the same as the uploaded one
+export function metadataHash(metadata) {
+  return crypto.createHash('sha256').update(JSON.stringify(metadata)).digest('hex')
+}
+
+// The metadata versions in a token record, oldest first. Each one holds
+// version, action (create, update or rollback), uri, hash, name, symbol,
+// signature, date and the changed fields. Records saved before versions
+// were kept start with their current URI, without a hash
+export function recordedHistory(tokenInfo) {
+  if (Array.isArray(tokenInfo?.metadataHistory)) {
+    return tokenInfo.metadataHistory
+  }
+
+  if (!tokenInfo?.metadataUri) {
+    return []
+  }
+
+  return [{
+    version: 1,
+    action: tokenInfo.lastUpdateTransaction ? 'update' : 'create',
+    uri: tokenInfo.metadataUri,
+    hash: null,
+    name: tokenInfo.name,
+    symbol: tokenInfo.symbol,
+    signature: tokenInfo.lastUpdateTransaction || tokenInfo.createTransaction || null,
+    date: tokenInfo.lastUpdateDate || tokenInfo.createdAt || null,
+    changes: []
+  }]
+}
+
+// `history` with `entry` added as the next version
+export function appendVersion(history, entry) {
+  const version = history.reduce((latest, { version }) => Math.max(latest, version), 0) + 1
+  return [...history, { version, ...entry }]
+}
+
+// Recorded `version` of `versions`, or an error naming the known ones
+function findVersion(versions, version) {
+  const entry = versions.find(item => item.version === Number(version))
+  if (!entry) {
+    throw new Error(`Unknown metadata version: ${version} (recorded: ${versions.map(item => item.version).join(', ') || 'none'})`)
+  }
+  return entry
+}
+
+// Fetch the JSON of a version and check it against the recorded hash;
+// `verified` is null when no hash was recorded
+async function fetchVersion(entry) {
+  const metadata = await fetchOffChainMetadata(entry.uri)
+  if (!metadata) {
+    throw new Error(`Metadata version ${entry.version} could not be fetched from ${entry.uri}`)
+  }
+
+  return { metadata, verified: entry.hash ? metadataHash(metadata) === entry.hash : null }
+}
+
+// The metadata versions recorded for `mint` in its token record, and the
+// `current` version (the one the record's metadata URI points to)
+export async function getMetadataHistory({ mint }) {
+  if (!validators.validateAddress(mint)) {
+    throw new Error(`Invalid token address: ${mint}`)
+  }
+
+  const tokenInfo = tokenUtils.loadTokenInfoByMint(mint)
+  if (!tokenInfo) {
+    throw new Error(`No token record for ${mint} in tokens/, so its metadata history is unknown`)
+  }
+
+  const versions = recordedHistory(tokenInfo)
+  const current = [...versions].reverse().find(entry => entry.uri === tokenInfo.metadataUri)
+
+  return {
+    mintAddress: mint,
+    network: tokenInfo.network,
+    versions,
+    current: current ? current.version : null
+  }
+}
+
+// Fetch two recorded versions of the metadata of `mint` and compare them.
+// `verified` tells, per version, whether its JSON still matches the hash
+export async function diffMetadataVersions({ mint, from, to, onProgress = noProgress }) {
+  const { versions } = await getMetadataHistory({ mint })
+  const fromEntry = findVersion(versions, from)
+  const toEntry = findVersion(versions, to)
+
+  onProgress(`Fetching metadata versions ${fromEntry.version} and ${toEntry.version}...`)
+  const before = await fetchVersion(fromEntry)
+  const after = await fetchVersion(toEntry)
+
+  return {
+    mintAddress: mint,
+    from: fromEntry,
+    to: toEntry,
+    changes: diffMetadata(before.metadata, after.metadata),
+    verified: { from: before.verified, to: after.verified }
+  }
+}
+
+// Point the on-chain metadata of `mint` back to a recorded `version`: its
+// URI, name and symbol. The version's JSON must still match its hash. The
+// rollback is added to the history as a new version.
+// With `dryRun` the update is simulated instead of sent.
+export async function rollbackMetadata({ wallet, network, mint, version, dryRun = false, onProgress = noProgress }) {
+  if (!wallet) {
+    throw new Error('A wallet is required to roll back metadata')
+  }
+
+  const { versions } = await getMetadataHistory({ mint })
+  const entry = findVersion(versions, version)
+
+  onProgress('Fetching current metadata...')
+  const { umi, keypair, network: networkKey } = createContext({ network, wallet })
+
+  const currentMetadata = await fetchMetadata({ mint, umi })
+  if (!currentMetadata) {
+    throw new Error('Metadata account not found for this token')
+  }
+
+  if (currentMetadata.updateAuthority.toString() !== keypair.publicKey.toString()) {
+    throw new Error(`Wallet ${keypair.publicKey.toString()} is not the update authority (${currentMetadata.updateAuthority.toString()})`)
+  }
+
+  if (!currentMetadata.isMutable) {
+    throw new Error('This token metadata is locked (immutable) and cannot be updated')
+  }
+
+  const name = entry.name || currentMetadata.name
+  const symbol = entry.symbol || currentMetadata.symbol
+  if (currentMetadata.uri === entry.uri && currentMetadata.name === name && currentMetadata.symbol === symbol) {
+    throw new Error(`The token already uses metadata version ${entry.version}`)
+  }
+
+  // Never point the token at content that changed since it was recorded
+  onProgress(`Fetching metadata version ${entry.version}...`)
+  const { metadata, verified } = await fetchVersion(entry)
+  if (verified === false) {
+    throw new Error(`Metadata version ${entry.version} at ${entry.uri} no longer matches its recorded content hash`)
+  }
+
+  const currentJson = await fetchOffChainMetadata(currentMetadata.uri)
+  const changes = diffMetadata(currentJson || {}, metadata)
+
+  const updateIx = updateV1(umi, {
+    mint: publicKey(mint),
+    authority: keypair,
+    data: some({
+      name,
+      symbol,
+      uri: entry.uri,
+      sellerFeeBasisPoints: currentMetadata.sellerFeeBasisPoints,
+      creators: currentMetadata.creators,
+      collection: currentMetadata.collection,
+      uses: currentMetadata.uses,
+    }),
+    discriminator: currentMetadata.discriminator,
+    primarySaleHappened: currentMetadata.primarySaleHappened,
+  })
+
+  const previousMetadata = {
+    name: currentMetadata.name,
+    symbol: currentMetadata.symbol,
+    uri: currentMetadata.uri
+  }
+
+  if (dryRun) {
+    onProgress('Simulating metadata rollback...')
+    return {
+      dryRun: true,
+      mintAddress: mint,
+      network: networkKey,
+      version: entry,
+      previousMetadata,
+      changes,
+      simulation: await simulateBuilder(umi, updateIx)
+    }
+  }
+
+  onProgress(`Rolling back to metadata version ${entry.version}...`)
+  const tx = await updateIx.sendAndConfirm(umi, SEND_OPTIONS)
+  const signature = encodeSignature(tx.signature)
+  const date = new Date().toISOString()
+
+  // The rollback is recorded as a new version pointing to the old content
+  const tokenInfoFile = tokenUtils.findTokenFile(mint)
+  const tokenInfo = fileUtils.loadJson(tokenInfoFile)
+  fileUtils.saveJson(tokenInfoFile, {
+    ...tokenInfo,
+    ...recordFields(metadata),
+    name,
+    symbol,
+    // The local file only matches the image it was uploaded as
+    ...(metadata.image !== tokenInfo.imageUri && { imageUri: metadata.image, imageFile: undefined }),
+    metadataUri: entry.uri,
+    lastUpdateTransaction: signature,
+    lastUpdateDate: date,
+    metadataHistory: appendVersion(recordedHistory(tokenInfo), {
+      action: 'rollback',
+      rollbackOf: entry.version,
+      uri: entry.uri,
+      hash: metadataHash(metadata),
+      name,
+      symbol,
+      signature,
+      date,
+      changes: changes.map(change => change.field)
+    })
+  })
+
+  return {
+    mintAddress: mint,
+    network: networkKey,
+    version: entry,
+    previousMetadata,
+    metadataUri: entry.uri,
+    changes,
+    signature,
+    tokenInfoFile
+  }
+}
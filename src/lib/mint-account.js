@@ -0,0 +1,179 @@
+import { publicKey } from '@metaplex-foundation/umi'
+
+import { formatAmount } from './amount.js'
+
+// Programs that own mint accounts
+export const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA'
+export const TOKEN_2022_PROGRAM_ID = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb'
+
+// SPL mint layout: the base account is 82 bytes. Token-2022 pads it to the
+// size of a token account, then stores the account type and TLV extensions
+const MINT_SIZE = 82
+const ACCOUNT_TYPE_OFFSET = 165
+const ACCOUNT_TYPE_MINT = 1
+
+// Token-2022 extension types, by their TLV type number
+const EXTENSION_NAMES = {
+  1: 'TransferFeeConfig',
+  3: 'MintCloseAuthority',
+  4: 'ConfidentialTransferMint',
+  6: 'DefaultAccountState',
+  9: 'NonTransferable',
+  10: 'InterestBearingConfig',
+  12: 'PermanentDelegate',
+  14: 'TransferHook',
+  16: 'ConfidentialTransferFeeConfig',
+  18: 'MetadataPointer',
+  19: 'TokenMetadata',
+  20: 'GroupPointer',
+  21: 'TokenGroup',
+  22: 'GroupMemberPointer',
+  23: 'TokenGroupMember',
+  24: 'ConfidentialMintBurn',
+  25: 'ScaledUiAmount',
+  26: 'Pausable'
+}
+
+// Reads fixed-size and length-prefixed fields from a byte array
+function reader(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  let offset = 0
+
+  return {
+    u8: () => view.getUint8(offset++),
+    u16: () => { offset += 2; return view.getUint16(offset - 2, true) },
+    u32: () => { offset += 4; return view.getUint32(offset - 4, true) },
+    u64: () => { offset += 8; return view.getBigUint64(offset - 8, true) },
+    pubkey: () => { offset += 32; return publicKey(bytes.slice(offset - 32, offset)).toString() },
+    // Token-2022 stores "no authority" as the all-zero key
+    optionalPubkey() {
+      const key = this.pubkey()
+      return key === '11111111111111111111111111111111' ? null : key
+    },
+    // COption<Pubkey>: a u32 tag, then the key (present even when unset)
+    coptionPubkey() {
+      const tag = this.u32()
+      const key = this.pubkey()
+      return tag === 1 ? key : null
+    },
+    string() {
+      const length = this.u32()
+      offset += length
+      return new TextDecoder().decode(bytes.slice(offset - length, offset))
+    }
+  }
+}
+
+// Authorities and settings of the extensions worth reporting; the others
+// are listed by name only
+const EXTENSION_DECODERS = {
+  TransferFeeConfig: (read) => {
+    const transferFeeConfigAuthority = read.optionalPubkey()
+    const withdrawWithheldAuthority = read.optionalPubkey()
+    read.u64() // withheld amount
+    read.u64(); read.u64(); read.u16() // older fee
+    const epoch = read.u64()
+    const maximumFee = read.u64()
+    const basisPoints = read.u16()
+    return { transferFeeConfigAuthority, withdrawWithheldAuthority, transferFee: { epoch, maximumFee, basisPoints } }
+  },
+  MintCloseAuthority: (read) => ({ closeAuthority: read.optionalPubkey() }),
+  DefaultAccountState: (read) => ({ state: ['uninitialized', 'initialized', 'frozen'][read.u8()] || 'unknown' }),
+  InterestBearingConfig: (read) => ({ rateAuthority: read.optionalPubkey() }),
+  PermanentDelegate: (read) => ({ delegate: read.optionalPubkey() }),
+  TransferHook: (read) => ({ authority: read.optionalPubkey(), programId: read.optionalPubkey() }),
+  MetadataPointer: (read) => ({ authority: read.optionalPubkey(), metadataAddress: read.optionalPubkey() }),
+  TokenMetadata: (read) => ({
+    updateAuthority: read.optionalPubkey(),
+    mint: read.pubkey(),
+    name: read.string(),
+    symbol: read.string(),
+    uri: read.string()
+  }),
+  Pausable: (read) => ({ authority: read.optionalPubkey(), paused: read.u8() === 1 })
+}
+
+// Token-2022 extensions after the base mint: { type, name, ...decoded fields }
+function decodeExtensions(data) {
+  const extensions = []
+  if (data.length <= ACCOUNT_TYPE_OFFSET || data[ACCOUNT_TYPE_OFFSET] !== ACCOUNT_TYPE_MINT) {
+    return extensions
+  }
+
+  let offset = ACCOUNT_TYPE_OFFSET + 1
+  while (offset + 4 <= data.length) {
+    const view = new DataView(data.buffer, data.byteOffset + offset, 4)
+    const type = view.getUint16(0, true)
+    const length = view.getUint16(2, true)
+    if (type === 0) break
+
+    const value = data.slice(offset + 4, offset + 4 + length)
+    const name = EXTENSION_NAMES[type] || `Unknown (${type})`
+    let fields = {}
+    try {
+      fields = EXTENSION_DECODERS[name]?.(reader(value)) || {}
+    } catch {
+      // A layout this tool does not know is still listed by name
+    }
+
+    extensions.push({ type, name, ...fields })
+    offset += 4 + length
+  }
+
+  return extensions
+}
+
+// Decode a mint account owned by `owner`: supply (base units and with
+// decimals applied), decimals, initialization, the mint and freeze authority
+// (null when revoked), the token program and any Token-2022 extensions.
+// Returns null when the data is not a mint
+export function decodeMint(data, owner) {
+  const program = owner === TOKEN_2022_PROGRAM_ID ? 'token-2022' : owner === TOKEN_PROGRAM_ID ? 'spl-token' : null
+  if (!program || data.length < MINT_SIZE) {
+    return null
+  }
+
+  const read = reader(data)
+  const mintAuthority = read.coptionPubkey()
+  const supply = read.u64()
+  const decimals = read.u8()
+  const isInitialized = read.u8() === 1
+  const freezeAuthority = read.coptionPubkey()
+
+  return {
+    program,
+    programId: owner,
+    supply,
+    uiSupply: formatAmount(supply, decimals, { grouping: false }),
+    decimals,
+    isInitialized,
+    mintAuthority,
+    freezeAuthority,
+    extensions: program === 'token-2022' ? decodeExtensions(data) : []
+  }
+}
+
+// Every authority over a decoded mint that is set, by role: mint and freeze,
+// plus those of Token-2022 extensions (close, permanent delegate, ...)
+export function mintAuthorities(mint) {
+  const roles = {
+    mint: mint.mintAuthority,
+    freeze: mint.freezeAuthority
+  }
+
+  mint.extensions.forEach(extension => {
+    const fields = {
+      TransferFeeConfig: { transferFeeConfig: extension.transferFeeConfigAuthority, withdrawWithheld: extension.withdrawWithheldAuthority },
+      MintCloseAuthority: { close: extension.closeAuthority },
+      InterestBearingConfig: { interestRate: extension.rateAuthority },
+      PermanentDelegate: { permanentDelegate: extension.delegate },
+      TransferHook: { transferHook: extension.authority },
+      MetadataPointer: { metadataPointer: extension.authority },
+      Pausable: { pause: extension.authority }
+    }[extension.name] || {}
+
+    Object.assign(roles, fields)
+  })
+
+  return roles
+}
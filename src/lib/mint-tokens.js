@@ -0,0 +1,120 @@
+import {
+  createIdempotentAssociatedToken,
+  fetchMint,
+  fetchToken,
+  findAssociatedTokenPda,
+  mintTokensTo,
+} from '@metaplex-foundation/mpl-toolbox'
+import { publicKey, transactionBuilder } from '@metaplex-foundation/umi'
+
+import { fileUtils, tokenUtils, validators } from '../utils.js'
+import { addAmounts, formatAmount, parseAmount, validateAmount } from './amount.js'
+import { createContext, encodeSignature, noProgress, SEND_OPTIONS } from './context.js'
+import { simulateBuilder } from './simulate.js'
+
+// Transaction minting `amount` tokens (a decimal amount such as "1000.5") to
+// the owner's associated token account, creating the account when it does
+// not exist. The mint's decimals are fetched unless given
+export async function buildMintTransaction(umi, { mint, amount, owner, decimals }) {
+  decimals = decimals ?? (await fetchMint(umi, publicKey(mint))).decimals
+  const [token] = findAssociatedTokenPda(umi, { mint: publicKey(mint), owner: publicKey(owner) })
+
+  return transactionBuilder()
+    .add(createIdempotentAssociatedToken(umi, {
+      ata: token,
+      owner: publicKey(owner),
+      mint: publicKey(mint),
+    }))
+    .add(mintTokensTo(umi, {
+      mint: publicKey(mint),
+      token,
+      amount: parseAmount(amount, decimals),
+    }))
+}
+
+// Mint `amount` tokens of `mint` to the wallet, or to `recipient` when given,
+// creating the recipient's associated token account when needed. Amounts are
+// decimal strings (numbers are accepted when they are exact); the result
+// reports them the same way.
+// With `dryRun` the mint is simulated instead and nothing is sent.
+export async function mintTokens({ wallet, network, mint, amount, recipient = null, dryRun = false, onProgress = noProgress }) {
+  if (!validators.validateAddress(mint)) {
+    throw new Error(`Invalid token address: ${mint}`)
+  }
+
+  if (recipient && !validators.validateAddress(recipient)) {
+    throw new Error(`Invalid recipient address: ${recipient}`)
+  }
+
+  const amountError = validateAmount(amount)
+  if (amountError !== true) {
+    throw new Error(amountError)
+  }
+
+  if (!wallet) {
+    throw new Error('A wallet is required to mint tokens')
+  }
+
+  onProgress('Setting up Umi and wallet...')
+  const { umi, keypair, network: networkKey } = createContext({ network, wallet })
+  const owner = recipient || keypair.publicKey.toString()
+
+  onProgress('Preparing mint transaction...')
+  const { decimals } = await fetchMint(umi, publicKey(mint))
+  const amountMinted = formatAmount(parseAmount(amount, decimals), decimals, { grouping: false })
+  const builder = await buildMintTransaction(umi, { mint, amount, owner, decimals })
+
+  if (dryRun) {
+    onProgress('Simulating mint...')
+    return {
+      dryRun: true,
+      mintAddress: mint,
+      amount: amountMinted,
+      decimals,
+      recipient,
+      network: networkKey,
+      simulation: await simulateBuilder(umi, builder)
+    }
+  }
+
+  onProgress('Minting tokens...')
+  const mintTx = await builder.sendAndConfirm(umi, SEND_OPTIONS)
+  const signature = encodeSignature(mintTx.signature)
+
+  // Check balance
+  onProgress('Checking token balance...')
+  const [tokenAccount] = findAssociatedTokenPda(umi, { mint: publicKey(mint), owner: publicKey(owner) })
+
+  let balance = null
+  try {
+    const token = await fetchToken(umi, tokenAccount)
+    balance = formatAmount(token.amount, decimals, { grouping: false })
+  } catch {
+    balance = null
+  }
+
+  // Update token info if we have it
+  const tokenInfoFile = tokenUtils.findTokenFile(mint)
+  if (tokenInfoFile) {
+    const tokenInfo = fileUtils.loadJson(tokenInfoFile)
+    fileUtils.saveJson(tokenInfoFile, {
+      ...tokenInfo,
+      lastMintAmount: amountMinted,
+      lastMintDate: new Date().toISOString(),
+      lastMintTransaction: signature,
+      totalMinted: addAmounts(tokenInfo.totalMinted, amountMinted, decimals)
+    })
+  }
+
+  return {
+    mintAddress: mint,
+    amount: amountMinted,
+    decimals,
+    recipient,
+    network: networkKey,
+    signature,
+    tokenAccount: tokenAccount.toString(),
+    balance,
+    tokenInfoFile
+  }
+}
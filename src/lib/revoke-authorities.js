@@ -0,0 +1,130 @@
+import { fetchMint, setAuthority } from '@metaplex-foundation/mpl-toolbox'
+import { publicKey, transactionBuilder } from '@metaplex-foundation/umi'
+
+import { fileUtils, tokenUtils, validators } from '../utils.js'
+import { AUTHORITY_TYPES, getAuthority } from './authorities.js'
+import { createContext, encodeSignature, noProgress, SEND_OPTIONS } from './context.js'
+import { simulateBuilder } from './simulate.js'
+
+const AUTHORITIES = Object.keys(AUTHORITY_TYPES)
+
+// Transaction disabling each of `authorities` on the mint, signed by the
+// current authority (the umi identity)
+export function buildRevokeTransaction(umi, { mint, authorities }) {
+  return authorities.reduce((builder, authority) => builder.add(setAuthority(umi, {
+    owned: publicKey(mint),
+    owner: umi.identity,
+    authorityType: AUTHORITY_TYPES[authority],
+    newAuthority: null,
+  })), transactionBuilder())
+}
+
+// Throw unless `wallet` holds every one of `authorities` on the mint
+function checkAuthorities(mintAccount, authorities, wallet) {
+  authorities.forEach(authority => {
+    const holder = getAuthority(mintAccount, authority)
+    if (!holder) {
+      throw new Error(`The ${authority} authority of ${mintAccount.publicKey} is already revoked`)
+    }
+    if (holder !== wallet) {
+      throw new Error(`Wallet ${wallet} does not hold the ${authority} authority (current authority: ${holder})`)
+    }
+  })
+}
+
+// Permanently revoke the mint and/or freeze authority of `mint`.
+// The wallet must hold every selected authority, which is checked on-chain
+// before anything is sent. All revocations go in one transaction, then the
+// mint is read again and each authority reported as mintRevoked/freezeRevoked
+// only once it is confirmed to be None (mintError/freezeError otherwise).
+// With `dryRun` the revocations are simulated instead and nothing is sent.
+export async function revokeAuthorities({ wallet, network, mint, authorities, dryRun = false, onProgress = noProgress }) {
+  if (!validators.validateAddress(mint)) {
+    throw new Error(`Invalid token address: ${mint}`)
+  }
+
+  if (!Array.isArray(authorities) || authorities.length === 0) {
+    throw new Error('Select at least one authority to revoke')
+  }
+
+  const unknown = authorities.filter(authority => !AUTHORITIES.includes(authority))
+  if (unknown.length > 0) {
+    throw new Error(`Unknown authorities: ${unknown.join(', ')}`)
+  }
+
+  if (!wallet) {
+    throw new Error('A wallet is required to revoke authorities')
+  }
+
+  onProgress('Setting up Umi and wallet...')
+  const { umi, keypair, network: networkKey } = createContext({ network, wallet })
+
+  onProgress('Checking current authorities...')
+  checkAuthorities(await fetchMint(umi, publicKey(mint)), authorities, keypair.publicKey.toString())
+
+  const builder = buildRevokeTransaction(umi, { mint, authorities })
+
+  if (dryRun) {
+    onProgress('Simulating authority revocation...')
+    return {
+      dryRun: true,
+      mintAddress: mint,
+      network: networkKey,
+      authorities,
+      simulation: await simulateBuilder(umi, builder)
+    }
+  }
+
+  onProgress(`Revoking ${authorities.join(' and ')} authority...`)
+  const results = {}
+
+  let signature = null
+  try {
+    const revokeTx = await builder.sendAndConfirm(umi, SEND_OPTIONS)
+    signature = encodeSignature(revokeTx.signature)
+  } catch (error) {
+    // The transaction is atomic: nothing was revoked
+    authorities.forEach(authority => {
+      results[`${authority}Revoked`] = false
+      results[`${authority}Error`] = error.message
+    })
+  }
+
+  if (signature) {
+    onProgress('Verifying revocation on-chain...')
+    const mintAccount = await fetchMint(umi, publicKey(mint))
+
+    authorities.forEach(authority => {
+      results[`${authority}RevokeSignature`] = signature
+      results[`${authority}Revoked`] = getAuthority(mintAccount, authority) === null
+      if (!results[`${authority}Revoked`]) {
+        results[`${authority}Error`] = `The ${authority} authority is still set after transaction ${signature}`
+      }
+    })
+  }
+
+  // Update token info if we have it
+  const tokenInfoFile = tokenUtils.findTokenFile(mint)
+  if (tokenInfoFile && signature) {
+    const tokenInfo = fileUtils.loadJson(tokenInfoFile)
+    const verifiedAt = new Date().toISOString()
+    fileUtils.saveJson(tokenInfoFile, {
+      ...tokenInfo,
+      mintAuthorityRevoked: results.mintRevoked || tokenInfo.mintAuthorityRevoked,
+      freezeAuthorityRevoked: results.freezeRevoked || tokenInfo.freezeAuthorityRevoked,
+      mintRevokeTransaction: results.mintRevokeSignature || tokenInfo.mintRevokeTransaction,
+      freezeRevokeTransaction: results.freezeRevokeSignature || tokenInfo.freezeRevokeTransaction,
+      mintAuthorityVerifiedAt: results.mintRevoked ? verifiedAt : tokenInfo.mintAuthorityVerifiedAt,
+      freezeAuthorityVerifiedAt: results.freezeRevoked ? verifiedAt : tokenInfo.freezeAuthorityVerifiedAt,
+      lastRevokeDate: verifiedAt
+    })
+  }
+
+  return {
+    mintAddress: mint,
+    network: networkKey,
+    signature,
+    ...results,
+    tokenInfoFile: signature ? tokenInfoFile : null
+  }
+}
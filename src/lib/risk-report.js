@@ -0,0 +1,163 @@
+import { unwrapOption } from '@metaplex-foundation/umi'
+
+import { checkToken, fetchOffChainMetadata } from './check-token.js'
+import { noProgress } from './context.js'
+import { analyzeHolders } from './holders.js'
+
+// Severity of a finding, most severe first, and the points each one takes
+// off the score of 100
+export const SEVERITIES = ['high', 'medium', 'low', 'info']
+const PENALTIES = { high: 30, medium: 15, low: 5, info: 0 }
+
+// Checks in report order, with the label shown in the summary table
+export const RISK_CHECKS = {
+  mintAuthority: 'Mint authority',
+  freezeAuthority: 'Freeze authority',
+  mutableMetadata: 'Mutable metadata',
+  updateAuthority: 'Update authority',
+  creators: 'Creators',
+  offChainMetadata: 'Off-chain metadata',
+  concentration: 'Holder concentration',
+  extensions: 'Token-2022 extensions'
+}
+
+// Top 10 holders' share of supply (%) from which concentration is a finding
+const CONCENTRATION_THRESHOLDS = { high: 80, medium: 50 }
+
+// Findings for the Token-2022 extensions that let someone move, block, tax
+// or take tokens: [severity, message], or nothing when the extension is inert
+const EXTENSION_RISKS = {
+  PermanentDelegate: (extension) => extension.delegate &&
+    ['high', `Permanent delegate ${extension.delegate} can transfer or burn tokens from any account`],
+  TransferHook: (extension) => extension.programId &&
+    ['high', `Every transfer runs program ${extension.programId}, which can block it`],
+  NonTransferable: () => ['high', 'Tokens can never be transferred'],
+  DefaultAccountState: (extension) => extension.state === 'frozen' &&
+    ['high', 'New token accounts start frozen and must be thawed by the freeze authority'],
+  Pausable: (extension) => extension.paused
+    ? ['high', 'Transfers are paused']
+    : extension.authority && ['high', `Pause authority ${extension.authority} can stop all transfers`],
+  TransferFeeConfig: (extension) => extension.transferFee?.basisPoints > 0
+    ? ['medium', `Transfers pay a ${extension.transferFee.basisPoints / 100}% fee`]
+    : extension.transferFeeConfigAuthority && ['low', `Fee authority ${extension.transferFeeConfigAuthority} can add a transfer fee`],
+  MintCloseAuthority: (extension) => extension.closeAuthority &&
+    ['low', `Close authority ${extension.closeAuthority} can close the mint once the supply is zero`],
+  InterestBearingConfig: (extension) => extension.rateAuthority &&
+    ['low', `Rate authority ${extension.rateAuthority} can change the displayed interest rate`],
+  ConfidentialTransferMint: () => ['info', 'Balances and transfers can be confidential']
+}
+
+// Findings for the mint's authorities, metadata and extensions
+function tokenFindings(report, offChainMetadata) {
+  const { authorities, metadata, mint } = report
+  const tokenMetadata = mint.extensions.find(extension => extension.name === 'TokenMetadata')
+  const uri = metadata?.uri || tokenMetadata?.uri
+  const mutable = metadata ? metadata.isMutable : Boolean(tokenMetadata?.updateAuthority)
+  const findings = []
+  const add = (check, severity, message) => findings.push({ check, severity, message })
+
+  if (authorities.mint) {
+    add('mintAuthority', 'high', `Mint authority ${authorities.mint} can mint unlimited new tokens`)
+  }
+
+  if (authorities.freeze) {
+    add('freezeAuthority', 'high', `Freeze authority ${authorities.freeze} can freeze any holder's tokens`)
+  }
+
+  if (!metadata && !tokenMetadata) {
+    add('offChainMetadata', 'medium', 'The token has no metadata, so wallets cannot show its name or image')
+  } else {
+    if (mutable && authorities.update) {
+      add('mutableMetadata', 'medium', 'Name, symbol, image and description can still be changed')
+    }
+
+    if (authorities.update) {
+      add('updateAuthority', mutable ? 'medium' : 'low', `Update authority ${authorities.update} is not revoked`)
+    }
+
+    if (uri && !offChainMetadata) {
+      add('offChainMetadata', 'medium', `The off-chain JSON at ${uri} could not be fetched`)
+    }
+  }
+
+  const creators = metadata ? unwrapOption(metadata.creators) || [] : []
+  creators.filter(creator => !creator.verified).forEach(creator => {
+    add('creators', 'low', `Creator ${creator.address} (${creator.share}%) is listed but not verified`)
+  })
+
+  mint.extensions.forEach(extension => {
+    const risk = EXTENSION_RISKS[extension.name]?.(extension)
+    if (risk) {
+      add('extensions', risk[0], `${extension.name}: ${risk[1]}`)
+    }
+  })
+
+  return findings
+}
+
+// Finding for how much of the supply the 10 largest holders own
+function concentrationFinding(holders) {
+  if (holders.top10Share === null) {
+    return { check: 'concentration', severity: 'info', message: 'The token has no supply' }
+  }
+
+  const share = `${holders.top10Share}%${holders.complete ? '' : ' or more'}`
+  const severity = SEVERITIES.find(level => holders.top10Share >= CONCENTRATION_THRESHOLDS[level])
+  return severity
+    ? { check: 'concentration', severity, message: `The top 10 holders own ${share} of the supply` }
+    : null
+}
+
+// Score a mint's risks for holders: live mint and freeze authority, mutable
+// metadata and a non-revoked update authority, unverified creators, off-chain
+// JSON that cannot be fetched, holder concentration and Token-2022
+// extensions such as a permanent delegate or a transfer hook.
+// Each finding has a check, a severity (high, medium, low or info) and a
+// message. `score` starts at 100 and drops with every finding; `level` is
+// the most severe finding's, or 'none'. `passed` lists the checks without
+// findings. Works for any mint, not only tokens created with this tool.
+// Concentration comes from the largest accounts unless `scan` asks for a
+// full scan of the holders (see analyzeHolders)
+export async function assessRisk({ network, mint, scan = false, onProgress = noProgress }) {
+  const report = await checkToken({ network, mint, onProgress })
+
+  // Token-2022 metadata lives in the mint, so checkToken did not fetch its JSON
+  let offChainMetadata = report.offChainMetadata
+  const tokenMetadata = report.mint.extensions.find(extension => extension.name === 'TokenMetadata')
+  if (!report.metadata && tokenMetadata?.uri) {
+    onProgress('Fetching off-chain metadata...')
+    offChainMetadata = await fetchOffChainMetadata(tokenMetadata.uri)
+  }
+
+  const findings = tokenFindings(report, offChainMetadata)
+
+  let holders = null
+  try {
+    holders = await analyzeHolders({ network, mint, top: 10, scan, onProgress })
+    const finding = concentrationFinding(holders)
+    if (finding) {
+      findings.push(finding)
+    }
+  } catch (error) {
+    findings.push({ check: 'concentration', severity: 'info', message: `Holders could not be analyzed: ${error.message}` })
+  }
+
+  findings.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity))
+
+  return {
+    mintAddress: mint,
+    network: report.network,
+    name: report.metadata?.name || tokenMetadata?.name || null,
+    symbol: report.metadata?.symbol || tokenMetadata?.symbol || null,
+    score: Math.max(0, findings.reduce((score, finding) => score - PENALTIES[finding.severity], 100)),
+    level: findings[0]?.severity === 'info' ? 'none' : findings[0]?.severity || 'none',
+    findings,
+    passed: Object.keys(RISK_CHECKS).filter(check => !findings.some(finding => finding.check === check)),
+    holders: holders && {
+      holderCount: holders.holderCount,
+      top10Share: holders.top10Share,
+      gini: holders.gini,
+      complete: holders.complete
+    }
+  }
+}
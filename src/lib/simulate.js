@@ -0,0 +1,77 @@
+const LAMPORTS_PER_SIGNATURE = 5000
+
+// Whether the account at `index` of a compiled message is writable
+function isWritable(header, index, accountCount) {
+  const { numRequiredSignatures, numReadonlySignedAccounts, numReadonlyUnsignedAccounts } = header
+
+  if (index < numRequiredSignatures) {
+    return index < numRequiredSignatures - numReadonlySignedAccounts
+  }
+
+  return index < accountCount - numReadonlyUnsignedAccounts
+}
+
+// Network fee for a message, falling back to the per-signature fee
+async function getMessageFee(umi, transaction) {
+  try {
+    const message = Buffer.from(transaction.serializedMessage).toString('base64')
+    const { value } = await umi.rpc.call('getFeeForMessage', [message], { commitment: 'confirmed' })
+    if (value !== null && value !== undefined) {
+      return Number(value)
+    }
+  } catch {
+    // Older RPC nodes do not support getFeeForMessage
+  }
+
+  return transaction.message.header.numRequiredSignatures * LAMPORTS_PER_SIGNATURE
+}
+
+// Build `builder` and simulate it against the RPC without sending it.
+// Reports the accounts the transaction touches, compute units, the network
+// fee and the rent locked in accounts it creates, plus any program error.
+// Amounts are in lamports.
+export async function simulateBuilder(umi, builder) {
+  const transaction = await builder.buildWithLatestBlockhash(umi)
+  const { header, accounts: keys } = transaction.message
+
+  const accounts = keys.map((key, index) => ({
+    address: key.toString(),
+    signer: index < header.numRequiredSignatures,
+    writable: isWritable(header, index, keys.length),
+    created: false
+  }))
+
+  const writableKeys = keys.filter((key, index) => accounts[index].writable)
+  const before = await umi.rpc.getAccounts(writableKeys)
+
+  const result = await umi.rpc.simulateTransaction(transaction, {
+    verifySignatures: false,
+    replaceRecentBlockhash: true,
+    accounts: writableKeys
+  })
+
+  // Accounts that only exist after the transaction hold the rent it pays
+  let rent = 0
+  writableKeys.forEach((key, index) => {
+    const after = result.accounts?.[index]
+    if (before[index].exists || !after) {
+      return
+    }
+
+    const account = accounts.find(entry => entry.address === key.toString())
+    account.created = true
+    account.lamports = Number(after.lamports)
+    rent += account.lamports
+  })
+
+  return {
+    success: !result.err,
+    error: result.err ? JSON.stringify(result.err) : null,
+    programErrors: (result.logs || []).filter(line => /failed|Error/.test(line)),
+    logs: result.logs || [],
+    unitsConsumed: result.unitsConsumed ?? null,
+    fee: await getMessageFee(umi, transaction),
+    rent,
+    accounts
+  }
+}
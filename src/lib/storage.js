@@ -0,0 +1,141 @@
+import crypto from 'crypto'
+import fs from 'fs'
+import path from 'path'
+import { pathToFileURL } from 'url'
+import fetch, { Blob, fileFrom, FormData } from 'node-fetch'
+import { createGenericFile } from '@metaplex-foundation/umi'
+
+import { getStorageConfig } from '../../config/config.js'
+import { fileUtils, pinataUtils } from '../utils.js'
+
+// Storage backends for metadata JSON and images
+export const STORAGE_PROVIDERS = ['pinata', 'ipfs', 'arweave', 'local']
+
+// Package providing Arweave uploads
+const IRYS_UPLOADER = '@metaplex-foundation/umi-uploader-irys'
+
+// Irys node used for Arweave uploads when IRYS_URL is not set
+const IRYS_URLS = {
+  DEVNET: 'https://devnet.irys.xyz',
+  DEFAULT: 'https://node1.irys.xyz'
+}
+
+// Pinata's pinning API
+function pinataStorage() {
+  return {
+    uploadJson: (data, name) => pinataUtils.uploadJson(data, name),
+    uploadFile: (filePath, name) => pinataUtils.uploadImage(filePath, name)
+  }
+}
+
+// A self-hosted IPFS node, through the Kubo HTTP API
+function ipfsStorage(settings) {
+  const add = async (content, filename) => {
+    const form = new FormData()
+    form.append('file', content, filename)
+
+    let response
+    try {
+      response = await fetch(`${settings.IPFS_API_URL.replace(/\/$/, '')}/api/v0/add?pin=true&cid-version=1`, {
+        method: 'POST',
+        body: form
+      })
+    } catch (error) {
+      throw new Error(`IPFS node not reachable at ${settings.IPFS_API_URL}: ${error.message}`)
+    }
+
+    if (!response.ok) {
+      throw new Error(`IPFS upload failed: ${response.status} - ${await response.text()}`)
+    }
+
+    const result = await response.json()
+    return `${settings.IPFS_GATEWAY}${result.Hash}`
+  }
+
+  return {
+    uploadJson: (data, name) => add(new Blob([JSON.stringify(data)], { type: 'application/json' }), `${name}.json`),
+    uploadFile: async (filePath) => add(await fileFrom(filePath, fileUtils.getImageType(filePath)), path.basename(filePath))
+  }
+}
+
+// Arweave through Irys, paid in SOL by the umi identity. Needs
+// @metaplex-foundation/umi-uploader-irys, an optional dependency that may
+// not have been installed
+function arweaveStorage(settings, { umi, network }) {
+  if (!umi) {
+    throw new Error('Arweave storage needs a wallet to pay for uploads')
+  }
+
+  let uploader
+  const getUploader = async () => {
+    if (!uploader) {
+      let irys
+      try {
+        irys = await import(IRYS_UPLOADER)
+      } catch (error) {
+        if (error.code === 'ERR_MODULE_NOT_FOUND' && error.message.includes(IRYS_UPLOADER)) {
+          throw new Error(`Install ${IRYS_UPLOADER} to use arweave storage: npm install ${IRYS_UPLOADER}`)
+        }
+        throw error
+      }
+
+      const address = settings.IRYS_URL || (network === 'DEVNET' ? IRYS_URLS.DEVNET : IRYS_URLS.DEFAULT)
+      uploader = irys.createIrysUploader(umi, { address })
+    }
+    return uploader
+  }
+
+  return {
+    uploadJson: async (data) => (await getUploader()).uploadJson(data),
+    uploadFile: async (filePath) => {
+      const file = createGenericFile(fs.readFileSync(filePath), path.basename(filePath), {
+        contentType: fileUtils.getImageType(filePath)
+      })
+      const [uri] = await (await getUploader()).upload([file])
+      return uri
+    }
+  }
+}
+
+// Plain files in LOCAL_DIR, named by content hash so uploads never clash
+function localFileStorage(settings) {
+  const write = (content, name, extension) => {
+    const hash = crypto.createHash('sha256').update(content).digest('hex').slice(0, 16)
+    const filename = `${name}-${hash}${extension}`
+
+    fileUtils.ensureDir(settings.LOCAL_DIR)
+    const filePath = path.join(settings.LOCAL_DIR, filename)
+    fs.writeFileSync(filePath, content)
+
+    return settings.LOCAL_BASE_URL
+      ? `${settings.LOCAL_BASE_URL.replace(/\/$/, '')}/${filename}`
+      : pathToFileURL(path.resolve(filePath)).href
+  }
+
+  return {
+    uploadJson: async (data, name) => write(JSON.stringify(data, null, 2), name, '.json'),
+    uploadFile: async (filePath, name) => write(fs.readFileSync(filePath), name, path.extname(filePath).toLowerCase())
+  }
+}
+
+const PROVIDERS = {
+  pinata: pinataStorage,
+  ipfs: ipfsStorage,
+  arweave: arweaveStorage,
+  local: localFileStorage
+}
+
+// Storage backend `provider` (the active profile's by default), with
+// uploadJson(data, name) and uploadFile(filePath, name) both resolving to the
+// URI of what was stored. Arweave also needs the `umi` paying for uploads
+// and the `network` key
+export function getStorage({ provider, umi, network } = {}) {
+  const settings = getStorageConfig()
+  const name = (provider || settings.PROVIDER).toLowerCase()
+
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown storage provider: ${name}. Available providers: ${STORAGE_PROVIDERS.join(', ')}`)
+  }
+
+  return { name, ...PROVIDERS[name](settings, { umi, network }) }
+}
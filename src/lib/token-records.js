@@ -0,0 +1,31 @@
+import { fileUtils, tokenUtils } from '../utils.js'
+
+// The token records saved in tokens/ by create, each with its file and
+// explorer URLs, optionally only those on `network`. Records that cannot be
+// read are listed in `errors` instead
+export function listCreatedTokens({ network } = {}) {
+  const tokens = []
+  const errors = []
+
+  tokenUtils.listTokens().forEach(file => {
+    try {
+      const record = fileUtils.loadJson(file)
+      if (network && record.network?.toLowerCase() !== network.toLowerCase()) {
+        return
+      }
+
+      let explorerUrls = null
+      try {
+        explorerUrls = tokenUtils.getExplorerUrls(record.mintAddress, 'address', record.network)
+      } catch {
+        // The record's network is no longer configured
+      }
+
+      tokens.push({ file, ...record, explorerUrls })
+    } catch (error) {
+      errors.push({ file, error: error.message })
+    }
+  })
+
+  return { tokens, errors }
+}
@@ -0,0 +1,152 @@
+import { updateV1 } from '@metaplex-foundation/mpl-token-metadata'
+import { setAuthority } from '@metaplex-foundation/mpl-toolbox'
+import { publicKey, some, transactionBuilder } from '@metaplex-foundation/umi'
+
+import { fileUtils, tokenUtils, validators } from '../utils.js'
+import { AUTHORITY_TYPES, fetchAuthorities } from './authorities.js'
+import { createContext, encodeSignature, noProgress, SEND_OPTIONS } from './context.js'
+import { simulateBuilder } from './simulate.js'
+
+// Authorities that can be handed to another address: the mint's mint and
+// freeze authorities and the metadata update authority
+export const TRANSFERABLE_AUTHORITIES = ['mint', 'freeze', 'update']
+
+// Transaction moving each of `authorities` to `newAuthority`, signed by the
+// current holder (the umi identity)
+export function buildTransferAuthorityTransaction(umi, { mint, authorities, newAuthority }) {
+  return authorities.reduce((builder, authority) => builder.add(authority === 'update'
+    ? updateV1(umi, {
+      mint: publicKey(mint),
+      authority: umi.identity,
+      newUpdateAuthority: some(publicKey(newAuthority)),
+    })
+    : setAuthority(umi, {
+      owned: publicKey(mint),
+      owner: umi.identity,
+      authorityType: AUTHORITY_TYPES[authority],
+      newAuthority: some(publicKey(newAuthority)),
+    })), transactionBuilder())
+}
+
+// Throw unless `wallet` holds every one of `authorities`
+function checkHolder(holders, authorities, wallet) {
+  authorities.forEach(authority => {
+    const holder = holders[authority]
+    if (!holder) {
+      throw new Error(authority === 'update'
+        ? 'The update authority is revoked or the token has no metadata, so it cannot be transferred'
+        : `The ${authority} authority is revoked and cannot be transferred`)
+    }
+    if (holder !== wallet) {
+      throw new Error(`Wallet ${wallet} does not hold the ${authority} authority (current authority: ${holder})`)
+    }
+  })
+
+  if (authorities.includes('update') && !holders.isMutable) {
+    throw new Error('The metadata is immutable, so its update authority cannot be transferred')
+  }
+}
+
+// Move the mint, freeze and/or update authority of `mint` to `newAuthority`
+// (e.g. a multisig or treasury wallet). The wallet must hold every selected
+// authority, which is checked on-chain before anything is sent. All transfers
+// go in one transaction; afterwards the authorities are read again and each
+// reported as mintTransferred/freezeTransferred/updateTransferred once the new
+// holder is confirmed. The token record keeps an `authorityHistory`.
+// With `dryRun` the transfer is simulated instead and nothing is sent.
+export async function transferAuthorities({ wallet, network, mint, authorities, newAuthority, dryRun = false, onProgress = noProgress }) {
+  if (!validators.validateAddress(mint)) {
+    throw new Error(`Invalid token address: ${mint}`)
+  }
+
+  if (!validators.validateAddress(newAuthority)) {
+    throw new Error(`Invalid new authority address: ${newAuthority}`)
+  }
+
+  if (!Array.isArray(authorities) || authorities.length === 0) {
+    throw new Error('Select at least one authority to transfer')
+  }
+
+  const unknown = authorities.filter(authority => !TRANSFERABLE_AUTHORITIES.includes(authority))
+  if (unknown.length > 0) {
+    throw new Error(`Unknown authorities: ${unknown.join(', ')}`)
+  }
+
+  if (!wallet) {
+    throw new Error('A wallet is required to transfer authorities')
+  }
+
+  onProgress('Setting up Umi and wallet...')
+  const { umi, keypair, network: networkKey } = createContext({ network, wallet })
+  const walletAddress = keypair.publicKey.toString()
+
+  if (newAuthority === walletAddress) {
+    throw new Error('The new authority is the wallet that already holds it')
+  }
+
+  onProgress('Checking current authorities...')
+  const before = await fetchAuthorities(umi, mint)
+  checkHolder(before, authorities, walletAddress)
+
+  const builder = buildTransferAuthorityTransaction(umi, { mint, authorities, newAuthority })
+
+  if (dryRun) {
+    onProgress('Simulating authority transfer...')
+    return {
+      dryRun: true,
+      mintAddress: mint,
+      network: networkKey,
+      authorities,
+      newAuthority,
+      simulation: await simulateBuilder(umi, builder)
+    }
+  }
+
+  onProgress(`Transferring ${authorities.join(', ')} authority...`)
+  const tx = await builder.sendAndConfirm(umi, SEND_OPTIONS)
+  const signature = encodeSignature(tx.signature)
+
+  onProgress('Verifying new authorities on-chain...')
+  const after = await fetchAuthorities(umi, mint)
+
+  const results = {}
+  authorities.forEach(authority => {
+    results[`${authority}Transferred`] = after[authority] === newAuthority
+    if (!results[`${authority}Transferred`]) {
+      results[`${authority}Error`] = `The ${authority} authority is held by ${after[authority]} after transaction ${signature}`
+    }
+  })
+
+  // Update token info if we have it
+  const tokenInfoFile = tokenUtils.findTokenFile(mint)
+  if (tokenInfoFile) {
+    const tokenInfo = fileUtils.loadJson(tokenInfoFile)
+    const date = new Date().toISOString()
+    const transferred = authorities.filter(authority => results[`${authority}Transferred`])
+
+    fileUtils.saveJson(tokenInfoFile, {
+      ...tokenInfo,
+      ...Object.fromEntries(transferred.map(authority => [`${authority}Authority`, newAuthority])),
+      authorityHistory: [
+        ...(tokenInfo.authorityHistory || []),
+        ...transferred.map(authority => ({
+          authority,
+          from: before[authority],
+          to: newAuthority,
+          transaction: signature,
+          date
+        }))
+      ]
+    })
+  }
+
+  return {
+    mintAddress: mint,
+    network: networkKey,
+    newAuthority,
+    previousAuthorities: before,
+    signature,
+    ...results,
+    tokenInfoFile
+  }
+}
@@ -0,0 +1,349 @@
+import { updateV1 } from '@metaplex-foundation/mpl-token-metadata'
+import { publicKey, some } from '@metaplex-foundation/umi'
+
+import { fileUtils, tokenUtils, validators } from '../utils.js'
+import { fetchMetadata, fetchOffChainMetadata } from './check-token.js'
+import { imageFiles, resolveImage } from './image.js'
+import { appendVersion, metadataHash, recordedHistory } from './metadata-history.js'
+import { createContext, DRY_RUN_URI, encodeSignature, noProgress, SEND_OPTIONS } from './context.js'
+import { simulateBuilder } from './simulate.js'
+import { getStorage } from './storage.js'
+
+const UPDATABLE_FIELDS = ['name', 'symbol', 'description', 'image', 'externalUrl', 'attributes', 'extensions']
+
+// Token record fields kept in step with updates, and their off-chain JSON key
+const RECORD_FIELDS = {
+  name: 'name',
+  symbol: 'symbol',
+  description: 'description',
+  externalUrl: 'external_url',
+  attributes: 'attributes',
+  extensions: 'extensions'
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+// Throw for updates that cannot be applied
+function validateUpdates(updates) {
+  const fields = Object.keys(updates).filter(field => updates[field] !== undefined)
+  const unknown = fields.filter(field => !UPDATABLE_FIELDS.includes(field))
+
+  if (fields.length === 0) {
+    throw new Error('Select at least one field to update')
+  }
+
+  if (unknown.length > 0) {
+    throw new Error(`Fields cannot be updated: ${unknown.join(', ')}`)
+  }
+
+  if (updates.symbol !== undefined && (!updates.symbol || updates.symbol.length > 10)) {
+    throw new Error('Token symbol should be 10 characters or less')
+  }
+
+  if (updates.image) {
+    const image = validators.validateImage(updates.image)
+    if (image !== true) {
+      throw new Error(image)
+    }
+  }
+
+  if (updates.externalUrl && !validators.validateUrl(updates.externalUrl)) {
+    throw new Error(`Invalid external URL: ${updates.externalUrl}`)
+  }
+
+  if (updates.attributes !== undefined) {
+    validators.validateAttributes(updates.attributes)
+  }
+
+  if (updates.extensions !== undefined) {
+    validators.normalizeExtensions(updates.extensions)
+  }
+}
+
+// The off-chain JSON the update starts from. When it cannot be fetched the
+// update would lose its contents, so it is only rebuilt from the on-chain
+// metadata and the local token record with `rebuild`
+async function fetchCurrentJson(currentMetadata, tokenInfo, rebuild) {
+  const json = await fetchOffChainMetadata(currentMetadata.uri)
+  if (isObject(json)) {
+    return { json, rebuilt: false }
+  }
+
+  if (currentMetadata.uri && !rebuild) {
+    throw new Error(`Current off-chain metadata could not be fetched from ${currentMetadata.uri}`)
+  }
+
+  const image = tokenInfo?.imageUri
+  return {
+    json: {
+      name: currentMetadata.name,
+      symbol: currentMetadata.symbol,
+      ...(tokenInfo?.description && { description: tokenInfo.description }),
+      ...(image && { image }),
+      ...(tokenInfo?.externalUrl && { external_url: tokenInfo.externalUrl }),
+      ...(tokenInfo?.attributes && { attributes: tokenInfo.attributes }),
+      ...(tokenInfo?.extensions && { extensions: tokenInfo.extensions }),
+      properties: {
+        category: 'fungible',
+        files: image ? imageFiles({ uri: image, type: fileUtils.getImageType(new URL(image).pathname) }) : []
+      }
+    },
+    rebuilt: true
+  }
+}
+
+// Token record fields (as create writes them), by default all of them, with
+// their values in the off-chain JSON `metadata`. The image is recorded as
+// imageUri and imageFile instead
+export function recordFields(metadata, fields = Object.keys(RECORD_FIELDS)) {
+  return Object.fromEntries(fields.map(field => [field, metadata[RECORD_FIELDS[field]]]))
+}
+
+// Apply `updates` to the off-chain JSON `current`; every other key,
+// attribute and extension is kept as it is
+function mergeMetadata(current, updates, image) {
+  const metadata = { ...current }
+
+  if (updates.name !== undefined) metadata.name = updates.name
+  if (updates.symbol !== undefined) metadata.symbol = updates.symbol
+  if (updates.description !== undefined) metadata.description = updates.description
+
+  if (updates.externalUrl) {
+    metadata.external_url = updates.externalUrl
+  } else if (updates.externalUrl !== undefined) {
+    delete metadata.external_url
+  }
+
+  // Attributes are replaced as a list; extensions one key at a time, with an
+  // empty value removing the key
+  if (updates.attributes !== undefined) metadata.attributes = updates.attributes
+
+  if (updates.extensions !== undefined) {
+    const extensions = { ...(isObject(current.extensions) ? current.extensions : {}) }
+    Object.entries(validators.normalizeExtensions(updates.extensions)).forEach(([key, value]) => {
+      if (value) {
+        extensions[key] = value
+      } else {
+        delete extensions[key]
+      }
+    })
+
+    if (Object.keys(extensions).length > 0) {
+      metadata.extensions = extensions
+    } else {
+      delete metadata.extensions
+    }
+  }
+
+  // The new image replaces the old one in properties.files too
+  if (image) {
+    const properties = isObject(current.properties) ? current.properties : {}
+    const files = (Array.isArray(properties.files) ? properties.files : [])
+      .filter(file => file?.uri !== current.image && file?.uri !== image.uri)
+
+    metadata.image = image.uri
+    metadata.properties = { ...properties, files: [...imageFiles(image), ...files] }
+  }
+
+  return metadata
+}
+
+// Field-by-field differences between two off-chain JSON documents, as
+// { field, before, after } with nested objects reported by their dotted
+// path (e.g. properties.files). Arrays are compared as a whole
+export function diffMetadata(before = {}, after = {}, prefix = '') {
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+
+  return keys.flatMap(key => {
+    const field = `${prefix}${key}`
+    if (isObject(before[key]) && isObject(after[key])) {
+      return diffMetadata(before[key], after[key], `${field}.`)
+    }
+
+    return JSON.stringify(before[key]) === JSON.stringify(after[key])
+      ? []
+      : [{ field, before: before[key], after: after[key] }]
+  })
+}
+
+// Fetch what an update of `mint` would change without uploading or sending
+// anything: the current and updated off-chain JSON and the `changes`
+// between them. A local image file appears as its path until it is uploaded
+export async function previewMetadataUpdate({ network, mint, updates = {}, rebuild = false }) {
+  if (!validators.validateAddress(mint)) {
+    throw new Error(`Invalid token address: ${mint}`)
+  }
+
+  validateUpdates(updates)
+
+  const { umi } = createContext({ network })
+  const currentMetadata = await fetchMetadata({ mint, umi })
+  if (!currentMetadata) {
+    throw new Error('Metadata account not found for this token')
+  }
+
+  const { json, rebuilt } = await fetchCurrentJson(currentMetadata, tokenUtils.loadTokenInfoByMint(mint), rebuild)
+  const image = updates.image && (validators.validateUrl(updates.image)
+    ? { uri: updates.image, type: fileUtils.getImageType(new URL(updates.image).pathname) }
+    : { uri: updates.image, type: fileUtils.getImageType(updates.image) })
+  const metadata = mergeMetadata(json, updates, image)
+
+  return {
+    mintAddress: mint,
+    previousOffChainMetadata: json,
+    rebuilt,
+    metadata,
+    changes: diffMetadata(json, metadata)
+  }
+}
+
+// Update the metadata of `mint`. `updates` may contain name, symbol,
+// description, image, externalUrl, attributes (the new list) and extensions
+// (social links to set, '' to remove one); the wallet must be the update
+// authority. Only the updated fields of the current off-chain JSON change,
+// and an empty externalUrl removes it. When the JSON cannot be fetched the update
+// fails, unless `rebuild` recreates it from the on-chain metadata and the
+// token record. A local image file is uploaded like in createToken, to the
+// `storage` provider (the active profile's storage by default).
+// With `dryRun` the update is simulated instead of uploaded and sent.
+export async function updateMetadata({ wallet, network, mint, updates = {}, storage, rebuild = false, dryRun = false, onProgress = noProgress }) {
+  if (!wallet) {
+    throw new Error('A wallet is required to update metadata')
+  }
+
+  if (!validators.validateAddress(mint)) {
+    throw new Error(`Invalid token address: ${mint}`)
+  }
+
+  validateUpdates(updates)
+
+  onProgress('Fetching current metadata...')
+  const { umi, keypair, network: networkKey } = createContext({ network, wallet })
+  const store = getStorage({ provider: storage, umi, network: networkKey })
+
+  const currentMetadata = await fetchMetadata({ mint, umi })
+  if (!currentMetadata) {
+    throw new Error('Metadata account not found for this token')
+  }
+
+  // Check if wallet is update authority
+  if (currentMetadata.updateAuthority.toString() !== keypair.publicKey.toString()) {
+    throw new Error(`Wallet ${keypair.publicKey.toString()} is not the update authority (${currentMetadata.updateAuthority.toString()})`)
+  }
+
+  if (!currentMetadata.isMutable) {
+    throw new Error('This token metadata is locked (immutable) and cannot be updated')
+  }
+
+  const tokenInfoFile = tokenUtils.findTokenFile(mint)
+  const tokenInfo = tokenInfoFile ? fileUtils.loadJson(tokenInfoFile) : null
+
+  onProgress('Fetching current off-chain metadata...')
+  const { json: previousOffChainMetadata, rebuilt } = await fetchCurrentJson(currentMetadata, tokenInfo, rebuild)
+
+  // A new local image file is pinned before the metadata that points to it
+  const image = updates.image && await resolveImage(updates.image, {
+    storage: store,
+    name: `${updates.symbol || currentMetadata.symbol}-image`,
+    dryRun,
+    onProgress
+  })
+
+  const updatedMetadata = mergeMetadata(previousOffChainMetadata, updates, image)
+  const changes = diffMetadata(previousOffChainMetadata, updatedMetadata)
+
+  // Upload new metadata
+  let metadataUri = DRY_RUN_URI
+  if (!dryRun) {
+    onProgress(`Uploading updated metadata (${store.name})...`)
+    metadataUri = await store.uploadJson(
+      updatedMetadata,
+      `${updates.symbol || currentMetadata.symbol}-updated-metadata`
+    )
+  }
+
+  const updateIx = updateV1(umi, {
+    mint: publicKey(mint),
+    authority: keypair,
+    data: some({
+      name: updates.name || currentMetadata.name,
+      symbol: updates.symbol || currentMetadata.symbol,
+      uri: metadataUri,
+      sellerFeeBasisPoints: currentMetadata.sellerFeeBasisPoints,
+      creators: currentMetadata.creators,
+      collection: currentMetadata.collection,
+      uses: currentMetadata.uses,
+    }),
+    discriminator: currentMetadata.discriminator,
+    primarySaleHappened: currentMetadata.primarySaleHappened,
+  })
+
+  const previousMetadata = {
+    name: currentMetadata.name,
+    symbol: currentMetadata.symbol,
+    uri: currentMetadata.uri
+  }
+
+  if (dryRun) {
+    onProgress('Simulating metadata update...')
+    return {
+      dryRun: true,
+      mintAddress: mint,
+      network: networkKey,
+      previousMetadata,
+      previousOffChainMetadata,
+      rebuilt,
+      metadata: updatedMetadata,
+      changes,
+      simulation: await simulateBuilder(umi, updateIx)
+    }
+  }
+
+  // Update on-chain metadata
+  onProgress('Updating on-chain metadata...')
+  const tx = await updateIx.sendAndConfirm(umi, SEND_OPTIONS)
+  const signature = encodeSignature(tx.signature)
+
+  // Update token info file if we have it, adding the new metadata version.
+  // A version recorded without a hash gets the one of the JSON just fetched
+  if (tokenInfoFile) {
+    const date = new Date().toISOString()
+    const history = recordedHistory(tokenInfo).map(entry => !entry.hash && !rebuilt && entry.uri === currentMetadata.uri
+      ? { ...entry, hash: metadataHash(previousOffChainMetadata) }
+      : entry)
+
+    fileUtils.saveJson(tokenInfoFile, {
+      ...tokenInfo,
+      ...recordFields(updatedMetadata, Object.keys(RECORD_FIELDS).filter(field => updates[field] !== undefined)),
+      ...(image && { imageUri: image.uri, imageFile: image.file }),
+      metadataUri: metadataUri,
+      lastUpdateTransaction: signature,
+      lastUpdateDate: date,
+      metadataHistory: appendVersion(history, {
+        action: 'update',
+        uri: metadataUri,
+        hash: metadataHash(updatedMetadata),
+        name: updates.name || currentMetadata.name,
+        symbol: updates.symbol || currentMetadata.symbol,
+        signature,
+        date,
+        changes: changes.map(change => change.field)
+      })
+    })
+  }
+
+  return {
+    mintAddress: mint,
+    network: networkKey,
+    previousMetadata,
+    previousOffChainMetadata,
+    rebuilt,
+    metadata: updatedMetadata,
+    changes,
+    metadataUri,
+    signature,
+    tokenInfoFile
+  }
+}
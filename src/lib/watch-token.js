@@ -0,0 +1,166 @@
+import { findMetadataPda, getMetadataAccountDataSerializer } from '@metaplex-foundation/mpl-token-metadata'
+import { publicKey } from '@metaplex-foundation/umi'
+import { Connection, PublicKey } from '@solana/web3.js'
+import fetch from 'node-fetch'
+
+import { getNetworkUrl } from '../../config/config.js'
+import { validators } from '../utils.js'
+import { fetchMetadata, plainMetadata, tokenAuthorities } from './check-token.js'
+import { createContext, noProgress } from './context.js'
+import { decodeMint } from './mint-account.js'
+
+// Metadata fields that are reported when they change; the update authority
+// is reported with the other authorities
+const METADATA_FIELDS = ['name', 'symbol', 'uri', 'isMutable', 'sellerFeeBasisPoints', 'primarySaleHappened', 'tokenStandard', 'creators', 'collection']
+
+// What is watched of a token: supply, authorities and metadata
+function tokenState(mintInfo, metadata) {
+  const tokenMetadata = mintInfo.extensions.find(extension => extension.name === 'TokenMetadata')
+  const fields = plainMetadata(metadata) || tokenMetadata || {}
+
+  return {
+    supply: mintInfo.supply,
+    uiSupply: mintInfo.uiSupply,
+    decimals: mintInfo.decimals,
+    authorities: tokenAuthorities(mintInfo, metadata),
+    metadata: Object.fromEntries(METADATA_FIELDS.filter(field => field in fields).map(field => [field, fields[field]]))
+  }
+}
+
+// Events for what changed between two states of a token
+function diffStates(before, after) {
+  const events = []
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+
+  if (before.supply !== after.supply) {
+    events.push({
+      type: 'supply',
+      field: 'supply',
+      before: before.uiSupply,
+      after: after.uiSupply,
+      minted: after.supply > before.supply
+    })
+  }
+
+  const roles = new Set([...Object.keys(before.authorities), ...Object.keys(after.authorities)])
+  roles.forEach(role => {
+    if ((before.authorities[role] ?? null) !== (after.authorities[role] ?? null)) {
+      events.push({ type: 'authority', field: role, before: before.authorities[role] ?? null, after: after.authorities[role] ?? null })
+    }
+  })
+
+  METADATA_FIELDS.forEach(field => {
+    if (!same(before.metadata[field], after.metadata[field])) {
+      events.push({ type: 'metadata', field, before: before.metadata[field] ?? null, after: after.metadata[field] ?? null })
+    }
+  })
+
+  return events
+}
+
+// Whether a webhook URL is HTTP(S)
+function isHttpUrl(url) {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol)
+  } catch {
+    return false
+  }
+}
+
+// POST an event to a webhook as JSON
+async function sendWebhook(webhookUrl, event) {
+  const response = await fetch(webhookUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(event)
+  })
+
+  if (!response.ok) {
+    throw new Error(`Webhook ${webhookUrl} answered ${response.status} ${response.statusText}`)
+  }
+}
+
+// Watch `mint` live: the mint account and its metadata account (the
+// Token Metadata PDA) are subscribed to over the RPC's websocket. Every
+// change of supply, of an authority or of a metadata field calls
+// `onEvent({ date, mintAddress, slot, type, field, before, after })` with
+// `type` 'supply', 'authority' or 'metadata'. With `webhookUrl` each event is
+// also POSTed there as JSON; delivery failures go to `onError`.
+// Resolves once subscribed with the `initial` state and `stop()`, which
+// ends the subscriptions
+export async function watchToken({ network, mint, webhookUrl, onEvent = noProgress, onError = noProgress, onProgress = noProgress }) {
+  if (!validators.validateAddress(mint)) {
+    throw new Error(`Invalid token address: ${mint}`)
+  }
+
+  if (webhookUrl && !isHttpUrl(webhookUrl)) {
+    throw new Error(`Invalid webhook URL: ${webhookUrl}`)
+  }
+
+  const { umi, network: networkKey } = createContext({ network })
+
+  onProgress('Fetching current token state...')
+  const mintAccount = await umi.rpc.getAccount(publicKey(mint))
+  if (!mintAccount.exists) {
+    throw new Error('Token mint account not found on this network')
+  }
+
+  const owner = mintAccount.owner.toString()
+  let mintInfo = decodeMint(mintAccount.data, owner)
+  if (!mintInfo) {
+    throw new Error(`${mint} is not a token mint (owned by ${owner})`)
+  }
+
+  const [metadataAddress] = findMetadataPda(umi, { mint: publicKey(mint) })
+  let metadata = await fetchMetadata({ mint, umi })
+  let state = tokenState(mintInfo, metadata)
+  const initial = state
+
+  // Both subscriptions feed the same state, so each change is reported once
+  const update = (slot) => {
+    const next = tokenState(mintInfo, metadata)
+    const events = diffStates(state, next)
+    state = next
+
+    events.forEach(change => {
+      const event = { date: new Date().toISOString(), mintAddress: mint, slot, ...change }
+      onEvent(event)
+      if (webhookUrl) {
+        sendWebhook(webhookUrl, event).catch(onError)
+      }
+    })
+  }
+
+  onProgress('Subscribing to account changes...')
+  const connection = new Connection(getNetworkUrl(networkKey), 'confirmed')
+
+  const subscriptions = [
+    connection.onAccountChange(new PublicKey(mint), (account, { slot }) => {
+      const decoded = decodeMint(new Uint8Array(account.data), account.owner.toBase58())
+      if (decoded) {
+        mintInfo = decoded
+        update(slot)
+      }
+    }),
+    connection.onAccountChange(new PublicKey(metadataAddress.toString()), (account, { slot }) => {
+      try {
+        const [data] = getMetadataAccountDataSerializer().deserialize(new Uint8Array(account.data))
+        metadata = { ...data, publicKey: metadataAddress }
+      } catch {
+        // Closed or not a metadata account
+        metadata = null
+      }
+      update(slot)
+    })
+  ]
+
+  return {
+    mintAddress: mint,
+    network: networkKey,
+    metadataAddress: metadataAddress.toString(),
+    initial,
+    stop: async () => {
+      await Promise.all(subscriptions.map(id => connection.removeAccountChangeListener(id)))
+    }
+  }
+}
@@ -0,0 +1,34 @@
+import chalk from 'chalk'
+
+import * as api from './lib/index.js'
+import { log, displayUtils } from './utils.js'
+
+// List created tokens
+export function listCreatedTokens(options = {}) {
+  const { json = false } = options
+  const result = api.listCreatedTokens({ network: options.network })
+
+  if (json) {
+    displayUtils.printJson(result)
+    return result
+  }
+
+  log.title('📋 CREATED TOKENS')
+
+  if (result.tokens.length === 0 && result.errors.length === 0) {
+    log.warning('No tokens created yet')
+    return result
+  }
+
+  result.tokens.forEach((tokenData, index) => {
+    console.log(chalk.cyan(`${index + 1}.`), chalk.white(tokenData.name),
+                chalk.gray(`(${tokenData.symbol})`),
+                chalk.yellow(tokenData.mintAddress))
+  })
+
+  result.errors.forEach(({ file, error }) => {
+    log.error(`Error reading ${file}: ${error}`)
+  })
+
+  return result
+}
@@ -0,0 +1,198 @@
+import ora from 'ora'
+
+import { checkNetworkAllowed, getClusterChoices, getProfile, resolveNetwork } from '../config/config.js'
+import * as api from './lib/index.js'
+import {
+  log,
+  promptUtils,
+  walletUtils,
+  displayUtils
+} from './utils.js'
+
+export async function lockMetadata(options = {}) {
+  const { interactive = true } = options
+
+  try {
+    log.title('🔏 LOCK TOKEN METADATA')
+
+    log.info('⚠️  WARNING: Locking metadata is PERMANENT and cannot be undone!')
+    log.info('- Make Immutable: Name, symbol and URI can never change again')
+    log.info('- Drop Update Authority: No wallet can update the metadata any more')
+
+    // Check if wallets exist
+    const walletFiles = walletUtils.listWallets()
+    if (interactive && walletFiles.length === 0 && !options.walletFile && !getProfile().WALLET) {
+      log.error('No wallet files found!')
+      log.info('Please add your wallet.json file to the ./wallets directory')
+      return
+    }
+
+    const token = await promptUtils.selectToken(options, { message: 'Select token to lock metadata:' })
+    if (!token) {
+      return
+    }
+    const { tokenAddress, tokenInfo } = token
+
+    // Select what to lock
+    const { locksToApply } = await promptUtils.ask([
+      {
+        type: 'checkbox',
+        name: 'locksToApply',
+        message: 'How would you like to lock the metadata?',
+        choices: [
+          { name: '🔏 Make metadata immutable (isMutable = false)', value: 'immutable' },
+          { name: '🚫 Drop the update authority', value: 'updateAuthority' }
+        ],
+        validate: (input) => input.length > 0 ? true : 'Please select at least one lock'
+      }
+    ], options)
+
+    // Select wallet (must be update authority)
+    const { walletFile } = await promptUtils.ask([
+      walletUtils.walletQuestion('Select wallet to use (must be update authority):')
+    ], options)
+
+    // Select network
+    const { network } = await promptUtils.ask([
+      {
+        type: 'list',
+        name: 'network',
+        message: 'Select network:',
+        choices: getClusterChoices(),
+        default: tokenInfo?.network?.toUpperCase() || resolveNetwork()
+      }
+    ], options)
+
+    // The active profile may rule out some networks
+    checkNetworkAllowed(network)
+
+    // Show summary and final warning
+    log.separator()
+    log.title('📋 LOCK METADATA SUMMARY')
+    console.log('Token Address:', tokenAddress)
+    if (tokenInfo) {
+      console.log('Token Name:', `${tokenInfo.name} (${tokenInfo.symbol})`)
+    }
+    console.log('Locks:', locksToApply.map(lock =>
+      lock === 'immutable' ? 'Make Immutable' : 'Drop Update Authority'
+    ).join(', '))
+    console.log('Network:', network)
+    console.log('Authority Wallet:', walletFile.split('/').pop())
+    log.separator()
+
+    // Simulate before anything is sent
+    const preview = await displayUtils.previewSimulation(() => api.lockMetadata({
+      wallet: walletFile,
+      network,
+      mint: tokenAddress,
+      locks: locksToApply,
+      dryRun: true
+    }), options)
+
+    if (options.dryRun) {
+      log.info('Dry run: the metadata lock was not sent')
+      return preview
+    }
+
+    log.warning('⚠️  FINAL WARNING: This action is PERMANENT and IRREVERSIBLE!')
+    log.warning('🔏 After locking, the token name, symbol, image and description can NEVER be changed')
+
+    const { confirmLock } = await promptUtils.ask([
+      {
+        type: 'confirm',
+        name: 'confirmLock',
+        message: '🔏 Are you absolutely sure you want to lock this token\'s metadata?',
+        default: false
+      }
+    ], options)
+
+    if (!confirmLock) {
+      log.info('Metadata lock cancelled')
+      return
+    }
+
+    // Double confirmation for safety
+    await promptUtils.ask([
+      {
+        type: 'input',
+        name: 'doubleConfirm',
+        message: 'Type "LOCK" in capital letters to confirm:',
+        validate: (input) => input === 'LOCK' ? true : 'Please type "LOCK" exactly as shown'
+      }
+    ], options)
+
+    // Start locking
+    const spinner = ora()
+
+    try {
+      const results = await api.lockMetadata({
+        wallet: walletFile,
+        network,
+        mint: tokenAddress,
+        locks: locksToApply,
+        onProgress: displayUtils.spinnerProgress(spinner)
+      })
+
+      if (results.immutableLocked === false || results.updateAuthorityLocked === false) {
+        spinner.warn('The metadata lock could not be verified on-chain')
+      } else {
+        spinner.succeed('Metadata locked')
+      }
+
+      // Show final results
+      log.success('🎉 METADATA LOCK COMPLETE!')
+      log.separator()
+      console.log('Token Address:', tokenAddress)
+
+      if (results.immutableLocked) {
+        console.log('✅ Metadata: IMMUTABLE (verified on-chain)')
+      } else if (locksToApply.includes('immutable')) {
+        console.log('❌ Metadata: STILL MUTABLE')
+      }
+
+      if (results.updateAuthorityLocked) {
+        console.log('✅ Update Authority: DROPPED (verified on-chain)')
+      } else if (locksToApply.includes('updateAuthority')) {
+        console.log('❌ Update Authority: NOT DROPPED')
+      }
+
+      console.log('Transaction:', results.signature)
+      console.log('Network:', network)
+      log.separator()
+
+      displayUtils.displayExplorerLinks(results.signature, 'tx', network)
+
+      if (results.tokenInfoFile) {
+        log.info('Token info updated with lock details')
+      }
+
+      if (results.metadataLocked) {
+        log.success('✅ Your token metadata is now locked forever!')
+      }
+
+      return results
+
+    } catch (error) {
+      spinner.fail('Metadata lock failed')
+      throw error
+    }
+
+  } catch (error) {
+    log.error(`Metadata lock failed: ${error.message}`)
+
+    // Provide helpful error messages
+    if (error.message.includes('insufficient funds')) {
+      log.info('💡 Solution: Add SOL to your wallet for transaction fees')
+      log.info('   For devnet: solana airdrop 1 --url devnet')
+    } else if (error.message.includes('already locked')) {
+      log.info('💡 Info: Nothing to do, this token\'s metadata can no longer change')
+    } else if (error.message.includes('update authority')) {
+      log.info('💡 Solution: Make sure you\'re using the update authority wallet')
+      log.info('   Only the update authority can lock the metadata')
+    } else if (error.message.includes('Metadata account not found')) {
+      log.info('💡 Info: This token has no Metaplex metadata to lock')
+    }
+
+    throw error
+  }
+}
@@ -0,0 +1,251 @@
+import ora from 'ora'
+
+import { checkNetworkAllowed, getClusterChoices, getProfile, resolveNetwork } from '../config/config.js'
+import * as api from './lib/index.js'
+import {
+  log,
+  promptUtils,
+  walletUtils,
+  displayUtils
+} from './utils.js'
+
+// One line describing a recorded metadata version
+function describeVersion(entry, current) {
+  const action = entry.action === 'rollback' ? `rollback to v${entry.rollbackOf}` : entry.action
+  const date = entry.date ? new Date(entry.date).toLocaleString() : 'Unknown date'
+  return `v${entry.version} - ${action} - ${date}${entry.version === current ? ' (current)' : ''}`
+}
+
+export async function metadataHistory(options = {}) {
+  const { interactive = true } = options
+
+  try {
+    log.title('🕘 METADATA HISTORY')
+
+    const { action } = await promptUtils.ask([
+      {
+        type: 'list',
+        name: 'action',
+        message: 'What would you like to do?',
+        choices: [
+          { name: '📋 List metadata versions', value: 'list' },
+          { name: '🔍 Compare two versions', value: 'diff' },
+          { name: '⏪ Roll back to a previous version', value: 'rollback' }
+        ]
+      }
+    ], options)
+
+    // Check if wallets exist
+    const walletFiles = walletUtils.listWallets()
+    if (action === 'rollback' && interactive && walletFiles.length === 0 && !options.walletFile && !getProfile().WALLET) {
+      log.error('No wallet files found!')
+      log.info('Please add your wallet.json file to the ./wallets directory')
+      return
+    }
+
+    const token = await promptUtils.selectToken(options, {
+      emptyHint: 'Only tokens created with this tool have a metadata history'
+    })
+    if (!token) {
+      return
+    }
+    const { tokenAddress } = token
+
+    const history = await api.getMetadataHistory({ mint: tokenAddress })
+    const versionChoices = [...history.versions].reverse().map(entry => ({
+      name: describeVersion(entry, history.current),
+      value: entry.version
+    }))
+
+    if (action === 'list') {
+      log.separator()
+      log.title('🕘 METADATA VERSIONS')
+      console.log('Token Address:', tokenAddress)
+      history.versions.forEach(entry => {
+        console.log(describeVersion(entry, history.current))
+        console.log(`   Name: ${entry.name} (${entry.symbol})`)
+        console.log(`   URI: ${entry.uri}`)
+        console.log(`   Hash: ${entry.hash || 'Not recorded'}`)
+        if (entry.changes.length > 0) {
+          console.log(`   Changed: ${entry.changes.join(', ')}`)
+        }
+        if (entry.signature) {
+          console.log(`   Transaction: ${entry.signature}`)
+        }
+      })
+      log.separator()
+      return history
+    }
+
+    if (action === 'diff') {
+      const latest = history.versions[history.versions.length - 1]?.version
+      const { from, to } = await promptUtils.ask([
+        {
+          type: 'list',
+          name: 'from',
+          message: 'Compare version:',
+          choices: versionChoices,
+          default: history.versions.length > 1 ? latest - 1 : latest
+        },
+        {
+          type: 'list',
+          name: 'to',
+          message: 'With version:',
+          choices: versionChoices,
+          default: latest
+        }
+      ], options)
+
+      const spinner = ora()
+
+      try {
+        const result = await api.diffMetadataVersions({
+          mint: tokenAddress,
+          from,
+          to,
+          onProgress: displayUtils.spinnerProgress(spinner)
+        })
+        spinner.stop()
+
+        log.separator()
+        log.title(`🔍 METADATA v${result.from.version} → v${result.to.version}`)
+        displayUtils.displayChanges(result.changes)
+        Object.entries({ [result.from.version]: result.verified.from, [result.to.version]: result.verified.to })
+          .filter(([, verified]) => verified === false)
+          .forEach(([version]) => log.warning(`Version ${version} no longer matches its recorded content hash`))
+        log.separator()
+
+        return result
+
+      } catch (error) {
+        spinner.fail('Failed to compare metadata versions')
+        throw error
+      }
+    }
+
+    // Version to roll back to
+    const { version } = await promptUtils.ask([
+      {
+        type: 'list',
+        name: 'version',
+        message: 'Roll back to version:',
+        choices: versionChoices.filter(choice => choice.value !== history.current)
+      }
+    ], options)
+
+    // Select wallet (must be update authority)
+    const { walletFile } = await promptUtils.ask([
+      walletUtils.walletQuestion('Select wallet to use (must be update authority):')
+    ], options)
+
+    // Select network
+    const { network } = await promptUtils.ask([
+      {
+        type: 'list',
+        name: 'network',
+        message: 'Select network:',
+        choices: getClusterChoices(),
+        default: history.network?.toUpperCase() || resolveNetwork()
+      }
+    ], options)
+
+    // The active profile may rule out some networks
+    checkNetworkAllowed(network)
+
+    const entry = history.versions.find(item => item.version === Number(version))
+
+    // Show summary
+    log.separator()
+    log.title('📋 ROLLBACK SUMMARY')
+    console.log('Token Address:', tokenAddress)
+    console.log('Version:', entry ? describeVersion(entry, history.current) : version)
+    if (entry) {
+      console.log('Name:', `${entry.name} (${entry.symbol})`)
+      console.log('URI:', entry.uri)
+    }
+    console.log('Network:', network)
+    console.log('Update Authority Wallet:', walletFile.split('/').pop())
+    log.separator()
+
+    // Simulate before anything is sent
+    const preview = await displayUtils.previewSimulation(() => api.rollbackMetadata({
+      wallet: walletFile,
+      network,
+      mint: tokenAddress,
+      version,
+      dryRun: true
+    }), options)
+
+    if (preview) {
+      log.title('📋 CHANGES')
+      displayUtils.displayChanges(preview.changes)
+      log.separator()
+    }
+
+    if (options.dryRun) {
+      log.info('Dry run: the rollback was not sent')
+      return preview
+    }
+
+    const { confirmRollback } = await promptUtils.ask([
+      {
+        type: 'confirm',
+        name: 'confirmRollback',
+        message: `⏪ Point the token's metadata back to version ${version}?`,
+        default: false
+      }
+    ], options)
+
+    if (!confirmRollback) {
+      log.info('Rollback cancelled')
+      return
+    }
+
+    const spinner = ora()
+
+    try {
+      const result = await api.rollbackMetadata({
+        wallet: walletFile,
+        network,
+        mint: tokenAddress,
+        version,
+        onProgress: displayUtils.spinnerProgress(spinner)
+      })
+
+      spinner.succeed(`Metadata rolled back to version ${result.version.version}`)
+
+      log.separator()
+      console.log('Token Address:', tokenAddress)
+      console.log('Metadata URI:', result.metadataUri)
+      console.log('Transaction Signature:', result.signature)
+      console.log('Network:', network)
+      log.separator()
+
+      displayUtils.displayExplorerLinks(result.signature, 'tx', network)
+
+      return result
+
+    } catch (error) {
+      spinner.fail('Rollback failed')
+      throw error
+    }
+
+  } catch (error) {
+    log.error(`Metadata history failed: ${error.message}`)
+
+    // Provide helpful error messages
+    if (error.message.includes('insufficient funds')) {
+      log.info('💡 Solution: Add SOL to your wallet for transaction fees')
+    } else if (error.message.includes('No token record')) {
+      log.info('💡 Info: Versions are recorded in tokens/ by create and update, on the machine that ran them')
+    } else if (error.message.includes('not the update authority')) {
+      log.info('💡 Solution: Make sure you\'re using the update authority wallet')
+    } else if (error.message.includes('could not be fetched')) {
+      log.info('💡 Solution: Check that the version\'s metadata URI is still reachable')
+    } else if (error.message.includes('content hash')) {
+      log.info('💡 Info: The JSON at that URI changed since it was recorded, so it is not rolled back to')
+    }
+
+    throw error
+  }
+}
@@ -1,158 +1,79 @@
-import { exec } from 'child_process'
-import { promisify } from 'util'
-import inquirer from 'inquirer'
 import ora from 'ora'
-import path from 'path'
 
-import { CONFIG } from '../config/config.js'
+import { checkNetworkAllowed, getClusterChoices, getProfile, resolveNetwork } from '../config/config.js'
+import * as api from './lib/index.js'
+import { displayAmount, validateAmount } from './lib/amount.js'
 import { 
   log, 
+  promptUtils, 
   walletUtils, 
-  tokenUtils, 
   validators, 
-  displayUtils,
-  fileUtils 
+  displayUtils
 } from './utils.js'
 
-const execAsync = promisify(exec)
+export async function mintTokens(options = {}) {
+  const { interactive = true } = options
 
-export async function mintTokens() {
   try {
     log.title('🪙 MINT TOKENS')
 
     // Check if wallets exist
     const walletFiles = walletUtils.listWallets()
-    if (walletFiles.length === 0) {
+    if (interactive && walletFiles.length === 0 && !options.walletFile && !getProfile().WALLET) {
       log.error('No wallet files found!')
       log.info('Please add your wallet.json file to the ./wallets directory')
       return
     }
 
-    // Option to use existing token or enter new address
-    const { tokenSource } = await inquirer.prompt([
-      {
-        type: 'list',
-        name: 'tokenSource',
-        message: 'How would you like to specify the token?',
-        choices: [
-          { name: '📋 Select from created tokens', value: 'created' },
-          { name: '✏️  Enter token address manually', value: 'manual' }
-        ]
-      }
-    ])
-
-    let tokenAddress, tokenInfo = null
-
-    if (tokenSource === 'created') {
-      // Select from created tokens
-      const tokenFiles = tokenUtils.listTokens()
-      
-      if (tokenFiles.length === 0) {
-        log.error('No tokens found!')
-        log.info('Create a token first or use manual address entry')
-        return
-      }
-
-      const tokenChoices = tokenFiles.map(file => {
-        try {
-          const data = fileUtils.loadJson(file)
-          return {
-            name: `${data.name} (${data.symbol}) - ${data.mintAddress}`,
-            value: { address: data.mintAddress, info: data }
-          }
-        } catch (error) {
-          return {
-            name: `Error loading ${file}`,
-            value: null
-          }
-        }
-      }).filter(choice => choice.value !== null)
-
-      const { selectedToken } = await inquirer.prompt([
-        {
-          type: 'list',
-          name: 'selectedToken',
-          message: 'Select token to mint:',
-          choices: tokenChoices
-        }
-      ])
-
-      tokenAddress = selectedToken.address
-      tokenInfo = selectedToken.info
-
-    } else {
-      // Manual address entry
-      const { address } = await inquirer.prompt([
-        {
-          type: 'input',
-          name: 'address',
-          message: 'Enter token mint address:',
-          validate: (input) => {
-            if (!validators.validateAddress(input)) {
-              return 'Please enter a valid Solana address'
-            }
-            return true
-          }
-        }
-      ])
-      
-      tokenAddress = address
+    const token = await promptUtils.selectToken(options, { message: 'Select token to mint:' })
+    if (!token) {
+      return
     }
+    const { tokenAddress, tokenInfo } = token
 
     // Select wallet
-    const { walletFile } = await inquirer.prompt([
-      {
-        type: 'list',
-        name: 'walletFile',
-        message: 'Select wallet to use (must be mint authority):',
-        choices: walletFiles.map(file => ({
-          name: file.split('/').pop(),
-          value: file
-        }))
-      }
-    ])
+    const { walletFile } = await promptUtils.ask([
+      walletUtils.walletQuestion('Select wallet to use (must be mint authority):')
+    ], options)
 
     // Select network
-    const { network } = await inquirer.prompt([
+    const { network } = await promptUtils.ask([
       {
         type: 'list',
         name: 'network',
         message: 'Select network:',
-        choices: [
-          { name: 'Devnet', value: 'devnet' },
-          { name: 'Mainnet', value: 'mainnet-beta' },
-          { name: 'Testnet', value: 'testnet' }
-        ],
-        default: tokenInfo?.network || 'devnet'
+        choices: getClusterChoices(),
+        default: tokenInfo?.network?.toUpperCase() || resolveNetwork()
       }
-    ])
+    ], options)
+
+    // The active profile may rule out some networks
+    checkNetworkAllowed(network)
 
     // Get mint amount
-    const { amount } = await inquirer.prompt([
+    const { amount } = await promptUtils.ask([
       {
-        type: 'number',
+        type: 'input',
         name: 'amount',
         message: 'How many tokens to mint?',
-        validate: (input) => {
-          if (input <= 0) return 'Amount must be greater than 0'
-          return true
-        }
+        // The registry knows the decimals of our own tokens; others are checked when minting
+        validate: (input) => validateAmount(input, tokenInfo?.decimals)
       }
-    ])
+    ], options)
 
     // Get recipient (optional)
-    const { useRecipient } = await inquirer.prompt([
+    const { useRecipient } = await promptUtils.ask([
       {
         type: 'confirm',
         name: 'useRecipient',
         message: 'Mint to a different address? (default: your wallet)',
         default: false
       }
-    ])
+    ], options)
 
     let recipient = null
     if (useRecipient) {
-      const { recipientAddress } = await inquirer.prompt([
+      const { recipientAddress } = await promptUtils.ask([
         {
           type: 'input',
           name: 'recipientAddress',
@@ -164,7 +85,7 @@ export async function mintTokens() {
             return true
           }
         }
-      ])
+      ], options)
       recipient = recipientAddress
     }
 
@@ -175,7 +96,7 @@ export async function mintTokens() {
     if (tokenInfo) {
       console.log('Token Name:', `${tokenInfo.name} (${tokenInfo.symbol})`)
     }
-    console.log('Amount:', amount.toLocaleString())
+    console.log('Amount:', tokenInfo ? displayAmount(amount, tokenInfo.decimals) : amount)
     console.log('Network:', network)
     console.log('Mint Authority:', walletFile.split('/').pop())
     if (recipient) {
@@ -183,14 +104,29 @@ export async function mintTokens() {
     }
     log.separator()
 
-    const { confirmMint } = await inquirer.prompt([
+    // Simulate before anything is sent
+    const preview = await displayUtils.previewSimulation(() => api.mintTokens({
+      wallet: walletFile,
+      network,
+      mint: tokenAddress,
+      amount,
+      recipient,
+      dryRun: true
+    }), options)
+
+    if (options.dryRun) {
+      log.info('Dry run: the mint was not sent')
+      return preview
+    }
+
+    const { confirmMint } = await promptUtils.ask([
       {
         type: 'confirm',
         name: 'confirmMint',
         message: '🪙 Proceed with minting?',
         default: true
       }
-    ])
+    ], options)
 
     if (!confirmMint) {
       log.info('Minting cancelled')
@@ -198,151 +134,52 @@ export async function mintTokens() {
     }
 
     // Start minting process
-    const spinner = ora('Setting up Solana configuration...').start()
+    const spinner = ora()
 
     try {
-      // Get absolute path to wallet file
-      const absoluteWalletPath = path.resolve(walletFile)
-      
-      // Set up Solana config with the wallet
-      spinner.text = 'Configuring Solana CLI with wallet...'
-      
-      const configSetCmd = `solana config set --keypair ${absoluteWalletPath} --url ${network}`
-      log.info(`Setting config: ${configSetCmd}`)
-      
-      const { stdout: configStdout, stderr: configStderr } = await execAsync(configSetCmd)
-      
-      if (configStderr) {
-        log.warning(`Config warning: ${configStderr}`)
-      }
-      
-      if (configStdout) {
-        log.info(`Config set: ${configStdout.trim()}`)
-      }
-      
-      spinner.succeed('Solana CLI configured successfully')
-
-      // Verify configuration
-      spinner.start('Verifying configuration...')
-      
-      const { stdout: verifyStdout } = await execAsync('solana config get')
-      log.info(`Current config:\n${verifyStdout}`)
-      
-      spinner.succeed('Configuration verified')
+      const minted = await api.mintTokens({
+        wallet: walletFile,
+        network,
+        mint: tokenAddress,
+        amount,
+        recipient,
+        onProgress: displayUtils.spinnerProgress(spinner)
+      })
 
-      // Create associated token account if needed
-      spinner.start('Creating associated token account (if needed)...')
-      
-      let createAtaCmd = `spl-token create-account ${tokenAddress} --url ${network}`
-      if (recipient) {
-        createAtaCmd += ` --owner ${recipient}`
+      if (minted.balance !== null) {
+        spinner.succeed(`Current token balance: ${displayAmount(minted.balance, minted.decimals)}`)
+      } else {
+        spinner.warn('Could not check balance')
       }
 
-      try {
-        const { stdout: createStdout, stderr: createStderr } = await execAsync(createAtaCmd)
-        
-        if (createStderr && !createStderr.includes('Error: Account already exists')) {
-          spinner.warn(`ATA creation output: ${createStderr}`)
-        } else {
-          spinner.succeed('Associated token account ready')
-        }
-      } catch (createError) {
-        if (createError.message.includes('Account already exists')) {
-          spinner.succeed('Associated token account already exists')
-        } else {
-          spinner.warn(`ATA creation issue (continuing): ${createError.message}`)
-        }
-      }
-
-      // Mint tokens
-      spinner.start('Minting tokens...')
-      
-      let mintCmd = `spl-token mint ${tokenAddress} ${amount} --url ${network}`
-      if (recipient) {
-        mintCmd += ` ${recipient}`
-      }
-
-      log.info(`Executing: ${mintCmd}`)
-      
-      const { stdout, stderr } = await execAsync(mintCmd)
-      
-      if (stderr && !stderr.includes('Signature:')) {
-        spinner.warn(`Command output: ${stderr}`)
-      }
-      
-      if (stdout) {
-        spinner.succeed('Tokens minted successfully!')
-        log.info(`Output: ${stdout}`)
-        
-        // Extract transaction signature from output if present
-        const signatureMatch = stdout.match(/Signature: ([A-Za-z0-9]+)/i)
-        if (signatureMatch) {
-          const signature = signatureMatch[1]
-          log.success(`Transaction signature: ${signature}`)
-        }
-      }
-
-      // Check balance
-      spinner.start('Checking token balance...')
-      
-      try {
-        let balanceCmd = `spl-token balance ${tokenAddress} --url ${network}`
-        if (recipient) {
-          balanceCmd += ` --owner ${recipient}`
-        }
-        
-        const { stdout: balanceStdout } = await execAsync(balanceCmd)
-        spinner.succeed(`Current token balance: ${balanceStdout.trim()}`)
-      } catch (balanceError) {
-        spinner.warn(`Could not check balance: ${balanceError.message}`)
+      if (minted.signature) {
+        log.success(`Transaction signature: ${minted.signature}`)
       }
 
       // Show results
       log.success('🎉 TOKENS MINTED SUCCESSFULLY!')
       log.separator()
       console.log('Token Address:', tokenAddress)
-      console.log('Amount Minted:', amount.toLocaleString())
-      console.log('Network:', network.toUpperCase())
+      console.log('Amount Minted:', displayAmount(minted.amount, minted.decimals))
+      console.log('Network:', network)
       if (recipient) {
         console.log('Recipient:', recipient)
       }
       log.separator()
 
       // Display explorer links
-      displayUtils.displayExplorerLinks(tokenAddress, 'address', network.toUpperCase())
+      displayUtils.displayExplorerLinks(tokenAddress, 'address', network)
 
-      // Update token info if we have it
-      if (tokenInfo) {
-        try {
-          // Find and update the token info file
-          const tokenFiles = tokenUtils.listTokens()
-          const tokenFile = tokenFiles.find(file => {
-            try {
-              const data = fileUtils.loadJson(file)
-              return data.mintAddress === tokenAddress
-            } catch {
-              return false
-            }
-          })
+      if (minted.tokenInfoFile) {
+        log.info('Token info updated with minting details')
+      }
 
-          if (tokenFile) {
-            const updatedInfo = {
-              ...tokenInfo,
-              lastMintAmount: amount,
-              lastMintDate: new Date().toISOString(),
-              totalMinted: (tokenInfo.totalMinted || 0) + amount
-            }
-            
-            fileUtils.saveJson(tokenFile, updatedInfo)
-            log.info('Token info updated with minting details')
-          }
-        } catch (error) {
-          log.warning('Could not update token info file')
-        }
+      if (!interactive) {
+        return minted
       }
 
       // Show additional actions
-      const { nextAction } = await inquirer.prompt([
+      const { nextAction } = await promptUtils.ask([
         {
           type: 'list',
           name: 'nextAction',
@@ -360,12 +197,11 @@ export async function mintTokens() {
         log.info('Starting another minting session...')
         await mintTokens() // Recursive call for another mint
       } else if (nextAction === 'explorer') {
-        const urls = tokenUtils.getExplorerUrls(tokenAddress, 'address', network.toUpperCase())
-        log.info('🔗 Explorer URLs:')
-        console.log('Solana Explorer:', urls.solana)
-        console.log('SolScan:', urls.solscan)
+        displayUtils.displayExplorerLinks(tokenAddress, 'address', network)
       }
 
+      return minted
+
     } catch (error) {
       spinner.fail('Token minting failed')
       throw error
@@ -378,18 +214,12 @@ export async function mintTokens() {
     if (error.message.includes('insufficient funds')) {
       log.info('💡 Solution: Add SOL to your wallet for transaction fees')
       log.info('   For devnet: solana airdrop 2 --url devnet')
-    } else if (error.message.includes('not found')) {
-      log.info('💡 Solution: Make sure Solana CLI tools are installed')
-      log.info('   Install from: https://docs.solana.com/cli/install-solana-cli-tools')
-    } else if (error.message.includes('authority')) {
+    } else if (error.message.includes('authority') || error.message.includes('Owner does not match')) {
       log.info('💡 Solution: Make sure you\'re using the mint authority wallet')
       log.info('   The wallet must be the same one used to create the token')
-    } else if (error.message.includes('Invalid mint')) {
+    } else if (error.message.includes('Invalid mint') || error.message.includes('was not found')) {
       log.info('💡 Solution: Check the token address is correct')
       log.info('   Make sure the token exists on the selected network')
-    } else if (error.message.includes('config')) {
-      log.info('💡 Solution: Solana CLI configuration issue')
-      log.info('   Try running: solana config get')
     }
     
     throw error
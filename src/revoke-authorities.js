@@ -1,22 +1,17 @@
-import { exec } from 'child_process'
-import { promisify } from 'util'
-import inquirer from 'inquirer'
 import ora from 'ora'
-import path from 'path'
 
-import { CONFIG } from '../config/config.js'
+import { checkNetworkAllowed, getClusterChoices, getProfile, resolveNetwork } from '../config/config.js'
+import * as api from './lib/index.js'
 import { 
   log, 
+  promptUtils, 
   walletUtils, 
-  tokenUtils, 
-  validators, 
-  displayUtils,
-  fileUtils 
+  displayUtils
 } from './utils.js'
 
-const execAsync = promisify(exec)
+export async function revokeAuthorities(options = {}) {
+  const { interactive = true } = options
 
-export async function revokeAuthorities() {
   try {
     log.title('🔒 REVOKE TOKEN AUTHORITIES')
     
@@ -26,85 +21,20 @@ export async function revokeAuthorities() {
 
     // Check if wallets exist
     const walletFiles = walletUtils.listWallets()
-    if (walletFiles.length === 0) {
+    if (interactive && walletFiles.length === 0 && !options.walletFile && !getProfile().WALLET) {
       log.error('No wallet files found!')
       log.info('Please add your wallet.json file to the ./wallets directory')
       return
     }
 
-    // Option to use existing token or enter new address
-    const { tokenSource } = await inquirer.prompt([
-      {
-        type: 'list',
-        name: 'tokenSource',
-        message: 'How would you like to specify the token?',
-        choices: [
-          { name: '📋 Select from created tokens', value: 'created' },
-          { name: '✏️  Enter token address manually', value: 'manual' }
-        ]
-      }
-    ])
-
-    let tokenAddress, tokenInfo = null
-
-    if (tokenSource === 'created') {
-      // Select from created tokens
-      const tokenFiles = tokenUtils.listTokens()
-      
-      if (tokenFiles.length === 0) {
-        log.error('No tokens found!')
-        log.info('Create a token first or use manual address entry')
-        return
-      }
-
-      const tokenChoices = tokenFiles.map(file => {
-        try {
-          const data = fileUtils.loadJson(file)
-          return {
-            name: `${data.name} (${data.symbol}) - ${data.mintAddress}`,
-            value: { address: data.mintAddress, info: data }
-          }
-        } catch (error) {
-          return {
-            name: `Error loading ${file}`,
-            value: null
-          }
-        }
-      }).filter(choice => choice.value !== null)
-
-      const { selectedToken } = await inquirer.prompt([
-        {
-          type: 'list',
-          name: 'selectedToken',
-          message: 'Select token to revoke authorities:',
-          choices: tokenChoices
-        }
-      ])
-
-      tokenAddress = selectedToken.address
-      tokenInfo = selectedToken.info
-
-    } else {
-      // Manual address entry
-      const { address } = await inquirer.prompt([
-        {
-          type: 'input',
-          name: 'address',
-          message: 'Enter token mint address:',
-          validate: (input) => {
-            if (!validators.validateAddress(input)) {
-              return 'Please enter a valid Solana address'
-            }
-            return true
-          }
-        }
-      ])
-      
-      tokenAddress = address
+    const token = await promptUtils.selectToken(options, { message: 'Select token to revoke authorities:' })
+    if (!token) {
+      return
     }
+    const { tokenAddress, tokenInfo } = token
 
     // Select what to revoke
-    const { authoritiesToRevoke } = await inquirer.prompt([
+    const { authoritiesToRevoke } = await promptUtils.ask([
       {
         type: 'checkbox',
         name: 'authoritiesToRevoke',
@@ -115,35 +45,26 @@ export async function revokeAuthorities() {
         ],
         validate: (input) => input.length > 0 ? true : 'Please select at least one authority to revoke'
       }
-    ])
+    ], options)
 
     // Select wallet (must be current authority)
-    const { walletFile } = await inquirer.prompt([
-      {
-        type: 'list',
-        name: 'walletFile',
-        message: 'Select wallet to use (must be current authority):',
-        choices: walletFiles.map(file => ({
-          name: file.split('/').pop(),
-          value: file
-        }))
-      }
-    ])
+    const { walletFile } = await promptUtils.ask([
+      walletUtils.walletQuestion('Select wallet to use (must be current authority):')
+    ], options)
 
     // Select network
-    const { network } = await inquirer.prompt([
+    const { network } = await promptUtils.ask([
       {
         type: 'list',
         name: 'network',
         message: 'Select network:',
-        choices: [
-          { name: 'Devnet', value: 'devnet' },
-          { name: 'Mainnet', value: 'mainnet-beta' },
-          { name: 'Testnet', value: 'testnet' }
-        ],
-        default: tokenInfo?.network || 'devnet'
+        choices: getClusterChoices(),
+        default: tokenInfo?.network?.toUpperCase() || resolveNetwork()
       }
-    ])
+    ], options)
+
+    // The active profile may rule out some networks
+    checkNetworkAllowed(network)
 
     // Show summary and final warning
     log.separator()
@@ -159,6 +80,20 @@ export async function revokeAuthorities() {
     console.log('Authority Wallet:', walletFile.split('/').pop())
     log.separator()
 
+    // Simulate before anything is sent
+    const preview = await displayUtils.previewSimulation(() => api.revokeAuthorities({
+      wallet: walletFile,
+      network,
+      mint: tokenAddress,
+      authorities: authoritiesToRevoke,
+      dryRun: true
+    }), options)
+
+    if (options.dryRun) {
+      log.info('Dry run: the revocation was not sent')
+      return preview
+    }
+
     log.warning('⚠️  FINAL WARNING: This action is PERMANENT and IRREVERSIBLE!')
     
     if (authoritiesToRevoke.includes('mint')) {
@@ -169,14 +104,14 @@ export async function revokeAuthorities() {
       log.warning('❄️  After revoking freeze authority, NO ACCOUNTS can be frozen/unfrozen')
     }
 
-    const { confirmRevoke } = await inquirer.prompt([
+    const { confirmRevoke } = await promptUtils.ask([
       {
         type: 'confirm',
         name: 'confirmRevoke',
         message: '🔒 Are you absolutely sure you want to proceed with revoking these authorities?',
         default: false
       }
-    ])
+    ], options)
 
     if (!confirmRevoke) {
       log.info('Authority revocation cancelled')
@@ -184,109 +119,31 @@ export async function revokeAuthorities() {
     }
 
     // Double confirmation for safety
-    const { doubleConfirm } = await inquirer.prompt([
+    const { doubleConfirm } = await promptUtils.ask([
       {
         type: 'input',
         name: 'doubleConfirm',
         message: 'Type "REVOKE" in capital letters to confirm:',
         validate: (input) => input === 'REVOKE' ? true : 'Please type "REVOKE" exactly as shown'
       }
-    ])
+    ], options)
 
     // Start revocation process
-    const spinner = ora('Setting up Solana configuration...').start()
+    const spinner = ora()
 
     try {
-      // Get absolute path to wallet file
-      const absoluteWalletPath = path.resolve(walletFile)
-      
-      // Set up Solana config with the wallet
-      spinner.text = 'Configuring Solana CLI with wallet...'
-      
-      const configSetCmd = `solana config set --keypair ${absoluteWalletPath} --url ${network}`
-      log.info(`Setting config: ${configSetCmd}`)
-      
-      const { stdout: configStdout, stderr: configStderr } = await execAsync(configSetCmd)
-      
-      if (configStderr) {
-        log.warning(`Config warning: ${configStderr}`)
-      }
-      
-      spinner.succeed('Solana CLI configured successfully')
-
-      // Process each authority revocation
-      const results = {}
-
-      for (const authority of authoritiesToRevoke) {
-        if (authority === 'mint') {
-          spinner.start('Revoking mint authority...')
-          
-          try {
-            const revokeMintCmd = `spl-token authorize ${tokenAddress} mint --disable --url ${network}`
-            log.info(`Executing: ${revokeMintCmd}`)
-            
-            const { stdout, stderr } = await execAsync(revokeMintCmd)
-            
-            if (stderr && !stderr.includes('Signature:')) {
-              spinner.warn(`Mint authority revocation output: ${stderr}`)
-            }
-            
-            if (stdout) {
-              spinner.succeed('🚫 Mint authority revoked successfully!')
-              log.info(`Output: ${stdout}`)
-              
-              // Extract transaction signature
-              const signatureMatch = stdout.match(/Signature: ([A-Za-z0-9]+)/i)
-              if (signatureMatch) {
-                results.mintRevokeSignature = signatureMatch[1]
-                log.success(`Mint revoke transaction: ${signatureMatch[1]}`)
-              }
-            }
-            
-            results.mintRevoked = true
-            
-          } catch (error) {
-            spinner.fail('Failed to revoke mint authority')
-            log.error(`Mint authority revocation failed: ${error.message}`)
-            results.mintRevoked = false
-            results.mintError = error.message
-          }
-        }
+      const results = await api.revokeAuthorities({
+        wallet: walletFile,
+        network,
+        mint: tokenAddress,
+        authorities: authoritiesToRevoke,
+        onProgress: displayUtils.spinnerProgress(spinner)
+      })
 
-        if (authority === 'freeze') {
-          spinner.start('Revoking freeze authority...')
-          
-          try {
-            const revokeFreezeCmd = `spl-token authorize ${tokenAddress} freeze --disable --url ${network}`
-            log.info(`Executing: ${revokeFreezeCmd}`)
-            
-            const { stdout, stderr } = await execAsync(revokeFreezeCmd)
-            
-            if (stderr && !stderr.includes('Signature:')) {
-              spinner.warn(`Freeze authority revocation output: ${stderr}`)
-            }
-            
-            if (stdout) {
-              spinner.succeed('❄️  Freeze authority revoked successfully!')
-              log.info(`Output: ${stdout}`)
-              
-              // Extract transaction signature
-              const signatureMatch = stdout.match(/Signature: ([A-Za-z0-9]+)/i)
-              if (signatureMatch) {
-                results.freezeRevokeSignature = signatureMatch[1]
-                log.success(`Freeze revoke transaction: ${signatureMatch[1]}`)
-              }
-            }
-            
-            results.freezeRevoked = true
-            
-          } catch (error) {
-            spinner.fail('Failed to revoke freeze authority')
-            log.error(`Freeze authority revocation failed: ${error.message}`)
-            results.freezeRevoked = false
-            results.freezeError = error.message
-          }
-        }
+      if (results.mintRevoked === false || results.freezeRevoked === false) {
+        spinner.warn('Some authorities could not be revoked')
+      } else {
+        spinner.succeed('Authorities revoked')
       }
 
       // Show final results
@@ -295,7 +152,7 @@ export async function revokeAuthorities() {
       console.log('Token Address:', tokenAddress)
       
       if (results.mintRevoked) {
-        console.log('✅ Mint Authority: REVOKED')
+        console.log('✅ Mint Authority: REVOKED (verified on-chain)')
         if (results.mintRevokeSignature) {
           console.log('   Transaction:', results.mintRevokeSignature)
         }
@@ -307,7 +164,7 @@ export async function revokeAuthorities() {
       }
       
       if (results.freezeRevoked) {
-        console.log('✅ Freeze Authority: REVOKED')
+        console.log('✅ Freeze Authority: REVOKED (verified on-chain)')
         if (results.freezeRevokeSignature) {
           console.log('   Transaction:', results.freezeRevokeSignature)
         }
@@ -318,47 +175,20 @@ export async function revokeAuthorities() {
         }
       }
       
-      console.log('Network:', network.toUpperCase())
+      console.log('Network:', network)
       log.separator()
 
       // Display explorer links for transactions
       if (results.mintRevokeSignature) {
-        displayUtils.displayExplorerLinks(results.mintRevokeSignature, 'tx', network.toUpperCase())
+        displayUtils.displayExplorerLinks(results.mintRevokeSignature, 'tx', network)
       }
       
       if (results.freezeRevokeSignature && results.freezeRevokeSignature !== results.mintRevokeSignature) {
-        displayUtils.displayExplorerLinks(results.freezeRevokeSignature, 'tx', network.toUpperCase())
+        displayUtils.displayExplorerLinks(results.freezeRevokeSignature, 'tx', network)
       }
 
-      // Update token info if we have it
-      if (tokenInfo) {
-        try {
-          const tokenFiles = tokenUtils.listTokens()
-          const tokenFile = tokenFiles.find(file => {
-            try {
-              const data = fileUtils.loadJson(file)
-              return data.mintAddress === tokenAddress
-            } catch {
-              return false
-            }
-          })
-
-          if (tokenFile) {
-            const updatedInfo = {
-              ...tokenInfo,
-              mintAuthorityRevoked: results.mintRevoked || tokenInfo.mintAuthorityRevoked,
-              freezeAuthorityRevoked: results.freezeRevoked || tokenInfo.freezeAuthorityRevoked,
-              mintRevokeTransaction: results.mintRevokeSignature || tokenInfo.mintRevokeTransaction,
-              freezeRevokeTransaction: results.freezeRevokeSignature || tokenInfo.freezeRevokeTransaction,
-              lastRevokeDate: new Date().toISOString()
-            }
-            
-            fileUtils.saveJson(tokenFile, updatedInfo)
-            log.info('Token info updated with revocation details')
-          }
-        } catch (error) {
-          log.warning('Could not update token info file')
-        }
+      if (results.tokenInfoFile) {
+        log.info('Token info updated with revocation details')
       }
 
       // Final status summary
@@ -381,6 +211,8 @@ export async function revokeAuthorities() {
         log.success('✅ Your token is now more decentralized!')
       }
 
+      return results
+
     } catch (error) {
       spinner.fail('Authority revocation failed')
       throw error
@@ -393,15 +225,14 @@ export async function revokeAuthorities() {
     if (error.message.includes('insufficient funds')) {
       log.info('💡 Solution: Add SOL to your wallet for transaction fees')
       log.info('   For devnet: solana airdrop 1 --url devnet')
-    } else if (error.message.includes('not found')) {
-      log.info('💡 Solution: Make sure Solana CLI tools are installed')
+    } else if (error.message.includes('already revoked')) {
+      log.info('💡 Info: Deselect the authorities that are already revoked')
     } else if (error.message.includes('authority')) {
       log.info('💡 Solution: Make sure you\'re using the current authority wallet')
       log.info('   Only the current authority can revoke authorities')
-    } else if (error.message.includes('Invalid mint')) {
+    } else if (error.message.includes('Invalid mint') || error.message.includes('was not found')) {
       log.info('💡 Solution: Check the token address is correct')
-    } else if (error.message.includes('already disabled')) {
-      log.info('💡 Info: The authority may already be revoked')
+      log.info('   Make sure the token exists on the selected network')
     }
     
     throw error
@@ -0,0 +1,113 @@
+import ora from 'ora'
+import chalk from 'chalk'
+
+import { getClusterChoices, resolveNetwork } from '../config/config.js'
+import * as api from './lib/index.js'
+import {
+  log,
+  promptUtils,
+  displayUtils
+} from './utils.js'
+
+// Colour of each severity in the summary table
+const SEVERITY_COLORS = {
+  high: chalk.red,
+  medium: chalk.yellow,
+  low: chalk.blue,
+  info: chalk.gray
+}
+
+// Print one row of the summary table
+function printRow(check, status, message) {
+  console.log(`${check.padEnd(22)} ${status} ${message}`)
+}
+
+export async function riskReport(options = {}) {
+  const { json = false } = options
+
+  try {
+    if (!json) {
+      log.title('🛡️  TOKEN RISK REPORT')
+    }
+
+    const token = await promptUtils.selectToken(options)
+    if (!token) {
+      return
+    }
+    const { tokenAddress, tokenInfo } = token
+
+    // Select network and how holders are counted
+    const { network, scan } = await promptUtils.ask([
+      {
+        type: 'list',
+        name: 'network',
+        message: 'Select network:',
+        choices: getClusterChoices(),
+        default: tokenInfo?.network?.toUpperCase() || resolveNetwork()
+      },
+      {
+        type: 'confirm',
+        name: 'scan',
+        message: 'Scan every holder for the concentration check? (slow for widely held tokens)',
+        default: false
+      }
+    ], options)
+
+    const spinner = ora()
+
+    try {
+      const report = await api.assessRisk({
+        network,
+        mint: tokenAddress,
+        scan,
+        onProgress: json ? undefined : displayUtils.spinnerProgress(spinner)
+      })
+
+      if (json) {
+        displayUtils.printJson(report)
+        return report
+      }
+
+      spinner.succeed('Risk report ready')
+
+      log.separator()
+      log.title('🛡️  RISK SUMMARY')
+      console.log(chalk.cyan('Token Address:'), chalk.yellow(tokenAddress))
+      if (report.name) {
+        console.log(chalk.cyan('Token:'), chalk.white(`${report.name} (${report.symbol})`))
+      }
+      console.log(chalk.cyan('Network:'), chalk.white(network))
+      console.log(chalk.cyan('Score:'), chalk.white(`${report.score}/100`))
+      console.log(chalk.cyan('Risk Level:'), (SEVERITY_COLORS[report.level] || chalk.green)(report.level.toUpperCase()))
+
+      log.separator()
+      printRow('CHECK', 'SEVERITY', 'FINDING')
+      report.findings.forEach(finding => {
+        const color = SEVERITY_COLORS[finding.severity]
+        printRow(api.RISK_CHECKS[finding.check], color(finding.severity.toUpperCase().padEnd(8)), finding.message)
+      })
+      report.passed.forEach(check => {
+        printRow(api.RISK_CHECKS[check], chalk.green('OK'.padEnd(8)), chalk.gray('No findings'))
+      })
+      log.separator()
+
+      return report
+
+    } catch (error) {
+      spinner.fail('Failed to assess token risk')
+      throw error
+    }
+
+  } catch (error) {
+    log.error(`Risk report failed: ${error.message}`)
+
+    // Provide helpful error messages
+    if (error.message.includes('not found')) {
+      log.info('💡 Solution: Check the token address and network')
+    } else if (error.message.includes('not a token mint')) {
+      log.info('💡 Info: The address is a wallet or another account, not a token mint')
+    }
+
+    throw error
+  }
+}
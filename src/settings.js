@@ -0,0 +1,451 @@
+import inquirer from 'inquirer'
+import chalk from 'chalk'
+import fs from 'fs'
+
+import {
+  CONFIG,
+  DEFAULT_CONFIG,
+  getClusterChoices,
+  getNetworkUrl,
+  getProfile,
+  getProfileName,
+  getSettingsFile,
+  getStorageConfig,
+  isPinataConfigured,
+  PROFILE_DEFAULTS,
+  resetSettings,
+  saveSettings,
+  useProfile
+} from '../config/config.js'
+import { displayAmount, validateAmount } from './lib/amount.js'
+import { STORAGE_PROVIDERS } from './lib/storage.js'
+import { log, walletUtils } from './utils.js'
+
+// Clusters that ship with the tool and cannot be removed
+const BUILT_IN_CLUSTERS = Object.keys(DEFAULT_CONFIG.CLUSTERS)
+
+function validateHttpUrl(input) {
+  try {
+    const url = new URL(input)
+    return ['http:', 'https:'].includes(url.protocol) ? true : 'URL must start with http:// or https://'
+  } catch {
+    return 'Please enter a valid URL'
+  }
+}
+
+// Display current settings
+function showSettings() {
+  const settingsFile = getSettingsFile()
+  const profile = getProfile()
+
+  log.title('⚙️  CURRENT SETTINGS')
+  console.log(chalk.cyan('Active Profile:'), chalk.white(profile.NAME))
+  console.log(chalk.cyan('  Network:'), chalk.white(profile.NETWORK))
+  console.log(chalk.cyan('  RPC URL:'), chalk.white(getNetworkUrl(profile.NETWORK)))
+  console.log(chalk.cyan('  Wallet:'), chalk.white(profile.WALLET || 'Not set'))
+  console.log(chalk.cyan('  Mainnet Allowed:'), chalk.white(profile.SAFETY.ALLOW_MAINNET ? 'Yes' : 'No'))
+  console.log(chalk.cyan('  Simulate First:'), chalk.white(profile.SAFETY.SIMULATE ? 'Yes' : 'No'))
+  console.log(chalk.cyan('  Storage:'), chalk.white(getStorageConfig().PROVIDER))
+  console.log(chalk.cyan('Profiles:'), chalk.white(Object.keys(CONFIG.PROFILES).join(', ')))
+  Object.entries(CONFIG.CLUSTERS).forEach(([network, cluster]) => {
+    console.log(chalk.cyan(`RPC URL (${network}):`), chalk.white(cluster.RPC_URL))
+  })
+  console.log(chalk.cyan('Pinata Configured:'), chalk.white(isPinataConfigured() ? 'Yes' : 'No'))
+  console.log(chalk.cyan('Pinata Gateway:'), chalk.white(CONFIG.PINATA.GATEWAY))
+  console.log(chalk.cyan('Default Decimals:'), chalk.white(CONFIG.DEFAULTS.DECIMALS))
+  console.log(chalk.cyan('Default Supply:'), chalk.white(displayAmount(CONFIG.DEFAULTS.INITIAL_SUPPLY, CONFIG.DEFAULTS.DECIMALS)))
+  console.log(chalk.cyan('Seller Fee:'), chalk.white(`${CONFIG.DEFAULTS.SELLER_FEE_BASIS_POINTS / 100}%`))
+  console.log(chalk.cyan('Mutable Metadata:'), chalk.white(CONFIG.DEFAULTS.IS_MUTABLE ? 'Yes' : 'No'))
+  console.log(chalk.cyan('Settings File:'), chalk.white(fs.existsSync(settingsFile) ? settingsFile : 'None (using defaults)'))
+}
+
+// Ask for the settings of a new or existing profile
+async function promptProfile(name) {
+  const current = name ? getProfile(name) : PROFILE_DEFAULTS
+  const walletFiles = walletUtils.listWallets()
+
+  const answers = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'name',
+      message: 'Profile name:',
+      when: () => !name,
+      validate: (input) => {
+        if (!/^[a-z0-9_-]+$/i.test(input)) return 'Use letters, numbers, "-" and "_" only'
+        if (CONFIG.PROFILES[input]) return `Profile "${input}" already exists`
+        return true
+      }
+    },
+    {
+      type: 'list',
+      name: 'NETWORK',
+      message: 'Network:',
+      choices: getClusterChoices(),
+      default: current.NETWORK
+    },
+    {
+      type: 'input',
+      name: 'RPC_URL',
+      message: 'RPC URL (leave empty for the network default):',
+      default: current.RPC_URL || '',
+      validate: (input) => input === '' || validateHttpUrl(input)
+    },
+    {
+      type: 'list',
+      name: 'WALLET',
+      message: 'Default wallet:',
+      choices: [
+        { name: 'None (ask every time)', value: null },
+        ...walletFiles.map(file => ({ name: file.split('/').pop(), value: file }))
+      ],
+      default: walletFiles.includes(current.WALLET) ? current.WALLET : null
+    },
+    {
+      type: 'password',
+      name: 'JWT',
+      message: 'Pinata JWT for this profile (leave empty to use the global one):',
+      mask: '*'
+    },
+    {
+      type: 'list',
+      name: 'STORAGE_PROVIDER',
+      message: 'Metadata storage for this profile:',
+      choices: [
+        { name: `Global setting (${CONFIG.STORAGE.PROVIDER})`, value: null },
+        ...STORAGE_PROVIDERS
+      ],
+      default: current.STORAGE.PROVIDER || null
+    },
+    {
+      type: 'confirm',
+      name: 'ALLOW_MAINNET',
+      message: 'Allow mainnet transactions?',
+      default: current.SAFETY.ALLOW_MAINNET
+    },
+    {
+      type: 'confirm',
+      name: 'SIMULATE',
+      message: 'Simulate transactions before asking for confirmation?',
+      default: current.SAFETY.SIMULATE
+    }
+  ])
+
+  const profileName = name || answers.name
+  const pinata = answers.JWT ? { JWT: answers.JWT } : (name ? current.PINATA : {})
+  const { PROVIDER, ...storage } = current.STORAGE
+
+  return {
+    PROFILES: {
+      [profileName]: {
+        NETWORK: answers.NETWORK,
+        RPC_URL: answers.RPC_URL || null,
+        WALLET: answers.WALLET,
+        PINATA: pinata,
+        STORAGE: answers.STORAGE_PROVIDER ? { ...storage, PROVIDER: answers.STORAGE_PROVIDER } : storage,
+        SAFETY: {
+          ALLOW_MAINNET: answers.ALLOW_MAINNET,
+          SIMULATE: answers.SIMULATE
+        }
+      }
+    }
+  }
+}
+
+// Switch, create, edit or delete profiles
+async function manageProfiles() {
+  const names = Object.keys(CONFIG.PROFILES)
+  const active = getProfileName()
+
+  const { action } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'action',
+      message: 'Profiles:',
+      choices: [
+        { name: '🔀 Switch Active Profile', value: 'switch' },
+        { name: '➕ Create Profile', value: 'create' },
+        { name: '✏️  Edit Profile', value: 'edit' },
+        { name: '🗑️  Delete Profile', value: 'delete', disabled: names.length === 1 && 'only one profile' }
+      ]
+    }
+  ])
+
+  if (action === 'create') {
+    return promptProfile()
+  }
+
+  const { name } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'name',
+      message: 'Select profile:',
+      choices: names
+        .filter(profileName => action !== 'delete' || profileName !== active)
+        .map(profileName => ({ name: profileName === active ? `${profileName} (active)` : profileName, value: profileName })),
+      default: active
+    }
+  ])
+
+  if (action === 'switch') {
+    // Also switch this session, which may have started with another profile
+    useProfile(name)
+    return { ACTIVE_PROFILE: name }
+  }
+
+  if (action === 'edit') {
+    return promptProfile(name)
+  }
+
+  const { confirmDelete } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'confirmDelete',
+      message: `Delete profile "${name}"?`,
+      default: false
+    }
+  ])
+
+  return confirmDelete ? { PROFILES: { [name]: null } } : null
+}
+
+// Ask for the changes of one settings section
+async function promptChanges(action) {
+  if (action === 'profiles') {
+    return manageProfiles()
+  }
+
+  if (action === 'rpc') {
+    const { network, url } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'network',
+        message: 'Which network\'s RPC URL?',
+        choices: getClusterChoices()
+      },
+      {
+        type: 'input',
+        name: 'url',
+        message: 'RPC URL:',
+        default: (answers) => CONFIG.CLUSTERS[answers.network].RPC_URL,
+        validate: validateHttpUrl
+      }
+    ])
+    return { CLUSTERS: { [network]: { RPC_URL: url } } }
+  }
+
+  if (action === 'add-cluster') {
+    const { key, label, url } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'key',
+        message: 'Cluster name (used with --network):',
+        filter: (input) => input.trim().toUpperCase(),
+        validate: (input) => {
+          if (!/^[A-Z0-9_-]+$/.test(input)) return 'Use letters, numbers, "-" and "_" only'
+          if (CONFIG.CLUSTERS[input]) return `Cluster "${input}" already exists`
+          return true
+        }
+      },
+      {
+        type: 'input',
+        name: 'label',
+        message: 'Label shown in network prompts:',
+        default: (answers) => answers.key
+      },
+      {
+        type: 'input',
+        name: 'url',
+        message: 'RPC URL:',
+        validate: validateHttpUrl
+      }
+    ])
+    return { CLUSTERS: { [key]: { LABEL: label, RPC_URL: url } } }
+  }
+
+  if (action === 'remove-cluster') {
+    // Clusters a profile uses stay until the profile moves to another one
+    const inUse = Object.values(CONFIG.PROFILES).map(profile => profile.NETWORK?.toUpperCase())
+    const custom = Object.keys(CONFIG.CLUSTERS)
+      .filter(key => !BUILT_IN_CLUSTERS.includes(key) && !inUse.includes(key))
+    if (custom.length === 0) {
+      log.info('There are no custom clusters that can be removed')
+      return null
+    }
+
+    const { key } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'key',
+        message: 'Remove which cluster?',
+        choices: custom
+      }
+    ])
+    return { CLUSTERS: { [key]: null } }
+  }
+
+  if (action === 'pinata') {
+    const { jwt, gateway } = await inquirer.prompt([
+      {
+        type: 'password',
+        name: 'jwt',
+        message: 'Pinata JWT (leave empty to keep the current one):',
+        mask: '*'
+      },
+      {
+        type: 'input',
+        name: 'gateway',
+        message: 'IPFS gateway URL:',
+        default: CONFIG.PINATA.GATEWAY,
+        validate: validateHttpUrl
+      }
+    ])
+    return { PINATA: { ...(jwt ? { JWT: jwt } : {}), GATEWAY: gateway } }
+  }
+
+  if (action === 'storage') {
+    const answers = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'PROVIDER',
+        message: 'Where should metadata and images be stored?',
+        choices: [
+          { name: '📌 Pinata (IPFS pinning service)', value: 'pinata' },
+          { name: '🛰️  Own IPFS node (Kubo HTTP API)', value: 'ipfs' },
+          { name: '🗄️  Arweave via Irys (paid in SOL from the wallet)', value: 'arweave' },
+          { name: '📁 Local files (devnet and testing only)', value: 'local' }
+        ],
+        default: CONFIG.STORAGE.PROVIDER
+      },
+      {
+        type: 'input',
+        name: 'IPFS_API_URL',
+        message: 'IPFS node API URL:',
+        default: CONFIG.STORAGE.IPFS_API_URL,
+        when: (answers) => answers.PROVIDER === 'ipfs',
+        validate: validateHttpUrl
+      },
+      {
+        type: 'input',
+        name: 'IPFS_GATEWAY',
+        message: 'IPFS gateway URL:',
+        default: CONFIG.STORAGE.IPFS_GATEWAY,
+        when: (answers) => answers.PROVIDER === 'ipfs',
+        validate: validateHttpUrl
+      },
+      {
+        type: 'input',
+        name: 'IRYS_URL',
+        message: 'Irys node URL (leave empty for the network default):',
+        default: CONFIG.STORAGE.IRYS_URL || '',
+        when: (answers) => answers.PROVIDER === 'arweave',
+        validate: (input) => input === '' || validateHttpUrl(input)
+      },
+      {
+        type: 'input',
+        name: 'LOCAL_DIR',
+        message: 'Directory for stored files:',
+        default: CONFIG.STORAGE.LOCAL_DIR,
+        when: (answers) => answers.PROVIDER === 'local'
+      },
+      {
+        type: 'input',
+        name: 'LOCAL_BASE_URL',
+        message: 'URL the directory is served from (leave empty for file:// URLs):',
+        default: CONFIG.STORAGE.LOCAL_BASE_URL || '',
+        when: (answers) => answers.PROVIDER === 'local',
+        validate: (input) => input === '' || validateHttpUrl(input)
+      }
+    ])
+
+    // Empty answers fall back to the defaults
+    if (answers.IRYS_URL === '') answers.IRYS_URL = null
+    if (answers.LOCAL_BASE_URL === '') answers.LOCAL_BASE_URL = null
+    return { STORAGE: answers }
+  }
+
+  if (action === 'defaults') {
+    const defaults = await inquirer.prompt([
+      {
+        type: 'number',
+        name: 'DECIMALS',
+        message: 'Default decimals:',
+        default: CONFIG.DEFAULTS.DECIMALS,
+        validate: (input) => Number.isInteger(input) && input >= 0 && input <= 18 ? true : 'Decimals must be a whole number between 0 and 18'
+      },
+      {
+        type: 'input',
+        name: 'INITIAL_SUPPLY',
+        message: 'Default initial supply:',
+        default: String(CONFIG.DEFAULTS.INITIAL_SUPPLY),
+        validate: (input, answers) => validateAmount(input, answers.DECIMALS, { allowZero: true })
+      },
+      {
+        type: 'number',
+        name: 'SELLER_FEE_BASIS_POINTS',
+        message: 'Seller fee in basis points (100 = 1%):',
+        default: CONFIG.DEFAULTS.SELLER_FEE_BASIS_POINTS,
+        validate: (input) => Number.isInteger(input) && input >= 0 && input <= 10000 ? true : 'Seller fee must be between 0 and 10000 basis points'
+      },
+      {
+        type: 'confirm',
+        name: 'IS_MUTABLE',
+        message: 'Create tokens with mutable metadata?',
+        default: CONFIG.DEFAULTS.IS_MUTABLE
+      }
+    ])
+    return { DEFAULTS: defaults }
+  }
+}
+
+// Display settings menu
+export async function displaySettings() {
+  showSettings()
+
+  const { action } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'action',
+      message: 'What would you like to do?',
+      choices: [
+        { name: '🔙 Back to Main Menu', value: 'back' },
+        { name: '👤 Profiles', value: 'profiles' },
+        { name: '🔌 Change Network RPC URL', value: 'rpc' },
+        { name: '➕ Add Custom Cluster', value: 'add-cluster' },
+        { name: '➖ Remove Custom Cluster', value: 'remove-cluster' },
+        { name: '📌 Pinata Credentials', value: 'pinata' },
+        { name: '🗄️  Metadata Storage', value: 'storage' },
+        { name: '🪙 Token Defaults', value: 'defaults' },
+        { name: '♻️  Reset to Defaults', value: 'reset' }
+      ]
+    }
+  ])
+
+  if (action === 'back') {
+    return
+  }
+
+  if (action === 'reset') {
+    const { confirmReset } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirmReset',
+        message: `Remove saved settings in ${getSettingsFile()}?`,
+        default: false
+      }
+    ])
+
+    if (confirmReset) {
+      const file = resetSettings()
+      log.success(`Settings reset (${file} removed)`)
+    }
+    return
+  }
+
+  const changes = await promptChanges(action)
+  if (!changes) {
+    return
+  }
+
+  const file = saveSettings(changes)
+  log.success(`Settings saved to ${file}`)
+}
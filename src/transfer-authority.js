@@ -0,0 +1,216 @@
+import ora from 'ora'
+
+import { checkNetworkAllowed, getClusterChoices, getProfile, resolveNetwork } from '../config/config.js'
+import * as api from './lib/index.js'
+import {
+  log,
+  promptUtils,
+  walletUtils,
+  validators,
+  displayUtils
+} from './utils.js'
+
+const AUTHORITY_NAMES = {
+  mint: 'Mint Authority',
+  freeze: 'Freeze Authority',
+  update: 'Update Authority'
+}
+
+export async function transferAuthority(options = {}) {
+  const { interactive = true } = options
+
+  try {
+    log.title('🔑 TRANSFER TOKEN AUTHORITIES')
+
+    log.info('⚠️  WARNING: Only the new authority can use or transfer it afterwards!')
+    log.info('- Mint Authority: Can mint new tokens')
+    log.info('- Freeze Authority: Can freeze and thaw token accounts')
+    log.info('- Update Authority: Can update the token metadata')
+
+    // Check if wallets exist
+    const walletFiles = walletUtils.listWallets()
+    if (interactive && walletFiles.length === 0 && !options.walletFile && !getProfile().WALLET) {
+      log.error('No wallet files found!')
+      log.info('Please add your wallet.json file to the ./wallets directory')
+      return
+    }
+
+    const token = await promptUtils.selectToken(options)
+    if (!token) {
+      return
+    }
+    const { tokenAddress, tokenInfo } = token
+
+    // Select what to transfer and to whom
+    const { authoritiesToTransfer, newAuthority } = await promptUtils.ask([
+      {
+        type: 'checkbox',
+        name: 'authoritiesToTransfer',
+        message: 'Which authorities would you like to transfer?',
+        choices: [
+          { name: '🪙 Mint Authority', value: 'mint' },
+          { name: '❄️  Freeze Authority', value: 'freeze' },
+          { name: '📝 Update Authority (metadata)', value: 'update' }
+        ],
+        validate: (input) => input.length > 0 ? true : 'Please select at least one authority to transfer'
+      },
+      {
+        type: 'input',
+        name: 'newAuthority',
+        message: 'Address to transfer to (e.g. a multisig or treasury wallet):',
+        validate: (input) => {
+          if (!validators.validateAddress(input)) {
+            return 'Please enter a valid Solana address'
+          }
+          return true
+        }
+      }
+    ], options)
+
+    // Select wallet (must be current authority)
+    const { walletFile } = await promptUtils.ask([
+      walletUtils.walletQuestion('Select wallet to use (must be current authority):')
+    ], options)
+
+    // Select network
+    const { network } = await promptUtils.ask([
+      {
+        type: 'list',
+        name: 'network',
+        message: 'Select network:',
+        choices: getClusterChoices(),
+        default: tokenInfo?.network?.toUpperCase() || resolveNetwork()
+      }
+    ], options)
+
+    // The active profile may rule out some networks
+    checkNetworkAllowed(network)
+
+    // Show summary
+    log.separator()
+    log.title('📋 TRANSFER AUTHORITIES SUMMARY')
+    console.log('Token Address:', tokenAddress)
+    if (tokenInfo) {
+      console.log('Token Name:', `${tokenInfo.name} (${tokenInfo.symbol})`)
+    }
+    console.log('Authorities to Transfer:', authoritiesToTransfer.map(auth => AUTHORITY_NAMES[auth]).join(', '))
+    console.log('New Authority:', newAuthority)
+    console.log('Network:', network)
+    console.log('Authority Wallet:', walletFile.split('/').pop())
+    log.separator()
+
+    // Simulate before anything is sent
+    const preview = await displayUtils.previewSimulation(() => api.transferAuthorities({
+      wallet: walletFile,
+      network,
+      mint: tokenAddress,
+      authorities: authoritiesToTransfer,
+      newAuthority,
+      dryRun: true
+    }), options)
+
+    if (options.dryRun) {
+      log.info('Dry run: the transfer was not sent')
+      return preview
+    }
+
+    log.warning('⚠️  This wallet will lose the selected authorities')
+    log.warning(`   Double-check that you control ${newAuthority}`)
+
+    const { confirmTransfer } = await promptUtils.ask([
+      {
+        type: 'confirm',
+        name: 'confirmTransfer',
+        message: '🔑 Are you sure you want to transfer these authorities?',
+        default: false
+      }
+    ], options)
+
+    if (!confirmTransfer) {
+      log.info('Authority transfer cancelled')
+      return
+    }
+
+    // Double confirmation for safety
+    await promptUtils.ask([
+      {
+        type: 'input',
+        name: 'doubleConfirm',
+        message: 'Type "TRANSFER" in capital letters to confirm:',
+        validate: (input) => input === 'TRANSFER' ? true : 'Please type "TRANSFER" exactly as shown'
+      }
+    ], options)
+
+    // Start transfer
+    const spinner = ora()
+
+    try {
+      const results = await api.transferAuthorities({
+        wallet: walletFile,
+        network,
+        mint: tokenAddress,
+        authorities: authoritiesToTransfer,
+        newAuthority,
+        onProgress: displayUtils.spinnerProgress(spinner)
+      })
+
+      if (authoritiesToTransfer.some(auth => !results[`${auth}Transferred`])) {
+        spinner.warn('Some authorities could not be verified on-chain')
+      } else {
+        spinner.succeed('Authorities transferred')
+      }
+
+      // Show final results
+      log.success('🎉 AUTHORITY TRANSFER COMPLETE!')
+      log.separator()
+      console.log('Token Address:', tokenAddress)
+
+      authoritiesToTransfer.forEach(auth => {
+        if (results[`${auth}Transferred`]) {
+          console.log(`✅ ${AUTHORITY_NAMES[auth]}: ${newAuthority} (verified on-chain)`)
+          console.log('   Previous:', results.previousAuthorities[auth])
+        } else {
+          console.log(`❌ ${AUTHORITY_NAMES[auth]}: NOT TRANSFERRED`)
+          console.log('   Error:', results[`${auth}Error`])
+        }
+      })
+
+      console.log('Transaction:', results.signature)
+      console.log('Network:', network)
+      log.separator()
+
+      displayUtils.displayExplorerLinks(results.signature, 'tx', network)
+
+      if (results.tokenInfoFile) {
+        log.info('Token info updated with the new authorities')
+      }
+
+      return results
+
+    } catch (error) {
+      spinner.fail('Authority transfer failed')
+      throw error
+    }
+
+  } catch (error) {
+    log.error(`Authority transfer failed: ${error.message}`)
+
+    // Provide helpful error messages
+    if (error.message.includes('insufficient funds')) {
+      log.info('💡 Solution: Add SOL to your wallet for transaction fees')
+      log.info('   For devnet: solana airdrop 1 --url devnet')
+    } else if (error.message.includes('revoked') || error.message.includes('immutable') || error.message.includes('no metadata')) {
+      log.info('💡 Info: Deselect the authorities that can no longer be transferred')
+    } else if (error.message.includes('already holds')) {
+      log.info('💡 Solution: Enter the address that should receive the authorities')
+    } else if (error.message.includes('authority')) {
+      log.info('💡 Solution: Make sure you\'re using the current authority wallet')
+      log.info('   Only the current authority can transfer it')
+    } else if (error.message.includes('Invalid mint') || error.message.includes('was not found')) {
+      log.info('💡 Solution: Check the token address is correct')
+      log.info('   Make sure the token exists on the selected network')
+    }
+
+    throw error
+  }
+}
@@ -1,156 +1,66 @@
-import {
-  updateV1,
-  mplTokenMetadata,
-  findMetadataPda,
-  fetchMetadataFromSeeds,
-} from '@metaplex-foundation/mpl-token-metadata'
-import {
-  publicKey,
-  some,
-} from '@metaplex-foundation/umi'
-import { createUmi } from '@metaplex-foundation/umi-bundle-defaults'
-import { keypairIdentity } from '@metaplex-foundation/umi'
-import inquirer from 'inquirer'
 import ora from 'ora'
 
-import { CONFIG, getNetworkUrl } from '../config/config.js'
+import { checkNetworkAllowed, getClusterChoices, getProfile, getStorageConfig, resolveNetwork } from '../config/config.js'
+import * as api from './lib/index.js'
 import { 
   log, 
-  pinataUtils, 
+  promptUtils, 
   walletUtils, 
-  tokenUtils, 
   validators, 
-  displayUtils,
-  fileUtils 
+  displayUtils
 } from './utils.js'
 
-export async function updateMetadata() {
+export async function updateMetadata(options = {}) {
+  const { interactive = true } = options
+
   try {
     log.title('📝 UPDATE TOKEN METADATA')
 
     // Check if wallets exist
     const walletFiles = walletUtils.listWallets()
-    if (walletFiles.length === 0) {
+    if (interactive && walletFiles.length === 0 && !options.walletFile && !getProfile().WALLET) {
       log.error('No wallet files found!')
       log.info('Please add your wallet.json file to the ./wallets directory')
       return
     }
 
-    // Option to use existing token or enter new address
-    const { tokenSource } = await inquirer.prompt([
-      {
-        type: 'list',
-        name: 'tokenSource',
-        message: 'How would you like to specify the token?',
-        choices: [
-          { name: '📋 Select from created tokens', value: 'created' },
-          { name: '✏️  Enter token address manually', value: 'manual' }
-        ]
-      }
-    ])
-
-    let tokenAddress, tokenInfo = null
-
-    if (tokenSource === 'created') {
-      // Select from created tokens
-      const tokenFiles = tokenUtils.listTokens()
-      
-      if (tokenFiles.length === 0) {
-        log.error('No tokens found!')
-        log.info('Create a token first or use manual address entry')
-        return
-      }
-
-      const tokenChoices = tokenFiles.map(file => {
-        try {
-          const data = fileUtils.loadJson(file)
-          return {
-            name: `${data.name} (${data.symbol}) - ${data.mintAddress}`,
-            value: { address: data.mintAddress, info: data }
-          }
-        } catch (error) {
-          return {
-            name: `Error loading ${file}`,
-            value: null
-          }
-        }
-      }).filter(choice => choice.value !== null)
-
-      const { selectedToken } = await inquirer.prompt([
-        {
-          type: 'list',
-          name: 'selectedToken',
-          message: 'Select token to update:',
-          choices: tokenChoices
-        }
-      ])
-
-      tokenAddress = selectedToken.address
-      tokenInfo = selectedToken.info
-
-    } else {
-      // Manual address entry
-      const { address } = await inquirer.prompt([
-        {
-          type: 'input',
-          name: 'address',
-          message: 'Enter token mint address:',
-          validate: (input) => {
-            if (!validators.validateAddress(input)) {
-              return 'Please enter a valid Solana address'
-            }
-            return true
-          }
-        }
-      ])
-      
-      tokenAddress = address
+    const token = await promptUtils.selectToken(options, { message: 'Select token to update:' })
+    if (!token) {
+      return
     }
+    const { tokenAddress, tokenInfo } = token
 
     // Select wallet (must be update authority)
-    const { walletFile } = await inquirer.prompt([
-      {
-        type: 'list',
-        name: 'walletFile',
-        message: 'Select wallet to use (must be update authority):',
-        choices: walletFiles.map(file => ({
-          name: file.split('/').pop(),
-          value: file
-        }))
-      }
-    ])
+    const { walletFile } = await promptUtils.ask([
+      walletUtils.walletQuestion('Select wallet to use (must be update authority):')
+    ], options)
 
     // Select network
-    const { network } = await inquirer.prompt([
+    const { network } = await promptUtils.ask([
       {
         type: 'list',
         name: 'network',
         message: 'Select network:',
-        choices: [
-          { name: 'Devnet', value: 'DEVNET' },
-          { name: 'Mainnet', value: 'MAINNET' },
-          { name: 'Testnet', value: 'TESTNET' }
-        ],
-        default: tokenInfo?.network?.toUpperCase() || 'DEVNET'
+        choices: getClusterChoices(),
+        default: tokenInfo?.network?.toUpperCase() || resolveNetwork()
       }
-    ])
+    ], options)
+
+    // The active profile may rule out some networks
+    checkNetworkAllowed(network)
 
     // Setup Umi and fetch current metadata
     const spinner = ora('Fetching current metadata...').start()
 
     try {
-      const umi = createUmi(getNetworkUrl(network))
-        .use(mplTokenMetadata())
-
-      // Load wallet
-      const walletData = walletUtils.loadWallet(walletFile)
-      const keypair = umi.eddsa.createKeypairFromSecretKey(new Uint8Array(walletData))
-      umi.use(keypairIdentity(keypair))
+      const walletAddress = api.getWalletAddress(walletFile)
 
-      const mintAddress = publicKey(tokenAddress)
-      
       // Fetch current metadata
-      const currentMetadata = await fetchMetadataFromSeeds(umi, { mint: mintAddress })
+      const currentMetadata = await api.fetchMetadata({ network, mint: tokenAddress })
+
+      if (!currentMetadata) {
+        throw new Error('Metadata account not found for this token')
+      }
       
       spinner.succeed('Current metadata fetched')
 
@@ -165,12 +75,12 @@ export async function updateMetadata() {
       log.separator()
 
       // Check if user is update authority
-      const isUpdateAuthority = currentMetadata.updateAuthority.toString() === keypair.publicKey.toString()
+      const isUpdateAuthority = currentMetadata.updateAuthority.toString() === walletAddress
       
       if (!isUpdateAuthority) {
         log.error('❌ You are not the update authority for this token!')
         log.info(`Update authority: ${currentMetadata.updateAuthority.toString()}`)
-        log.info(`Your wallet: ${keypair.publicKey.toString()}`)
+        log.info(`Your wallet: ${walletAddress}`)
         return
       }
 
@@ -182,7 +92,7 @@ export async function updateMetadata() {
       log.success('✅ You are authorized to update this token metadata')
 
       // Get what to update
-      const { fieldsToUpdate } = await inquirer.prompt([
+      const { fieldsToUpdate } = await promptUtils.ask([
         {
           type: 'checkbox',
           name: 'fieldsToUpdate',
@@ -191,18 +101,20 @@ export async function updateMetadata() {
             { name: 'Token Name', value: 'name' },
             { name: 'Token Symbol', value: 'symbol' },
             { name: 'Description', value: 'description' },
-            { name: 'Image URL', value: 'image' },
-            { name: 'External URL', value: 'externalUrl' }
+            { name: 'Image (URL or local file)', value: 'image' },
+            { name: 'External URL', value: 'externalUrl' },
+            { name: 'Attributes', value: 'attributes' },
+            { name: 'Social Links (website, Twitter, Telegram, ...)', value: 'extensions' }
           ],
           validate: (input) => input.length > 0 ? true : 'Please select at least one field to update'
         }
-      ])
+      ], options)
 
       // Get new values
       const updates = {}
       
       if (fieldsToUpdate.includes('name')) {
-        const { name } = await inquirer.prompt([
+        const { name } = await promptUtils.ask([
           {
             type: 'input',
             name: 'name',
@@ -210,12 +122,12 @@ export async function updateMetadata() {
             default: currentMetadata.name,
             validate: (input) => input.length > 0 ? true : 'Token name is required'
           }
-        ])
+        ], options)
         updates.name = name
       }
 
       if (fieldsToUpdate.includes('symbol')) {
-        const { symbol } = await inquirer.prompt([
+        const { symbol } = await promptUtils.ask([
           {
             type: 'input',
             name: 'symbol',
@@ -228,12 +140,12 @@ export async function updateMetadata() {
             },
             transformer: (input) => input.toUpperCase()
           }
-        ])
+        ], options)
         updates.symbol = symbol
       }
 
       if (fieldsToUpdate.includes('description')) {
-        const { description } = await inquirer.prompt([
+        const { description } = await promptUtils.ask([
           {
             type: 'input',
             name: 'description',
@@ -241,179 +153,137 @@ export async function updateMetadata() {
             default: tokenInfo?.description || '',
             validate: (input) => input.length > 0 ? true : 'Description is required'
           }
-        ])
+        ], options)
         updates.description = description
       }
 
       if (fieldsToUpdate.includes('image')) {
-        const { image } = await inquirer.prompt([
+        const { image } = await promptUtils.ask([
           {
             type: 'input',
             name: 'image',
-            message: 'New image URL:',
-            default: tokenInfo?.imageUri || 'https://ipfs.io/ipfs/bafkreia4mu5q7xpmajldouuuvv6kgiac6bxisy4ekg5hdijbscki5oloo4'
+            message: 'New image URL or local file (PNG, JPG, SVG, GIF):',
+            default: tokenInfo?.imageUri || 'https://ipfs.io/ipfs/bafkreia4mu5q7xpmajldouuuvv6kgiac6bxisy4ekg5hdijbscki5oloo4',
+            validate: (input) => validators.validateImage(input)
           }
-        ])
+        ], options)
         updates.image = image
       }
 
       if (fieldsToUpdate.includes('externalUrl')) {
-        const { externalUrl } = await inquirer.prompt([
+        const { externalUrl } = await promptUtils.ask([
           {
             type: 'input',
             name: 'externalUrl',
-            message: 'New external URL:',
-            default: tokenInfo?.externalUrl || ''
+            message: 'New external URL (leave empty to remove it):',
+            default: tokenInfo?.externalUrl || '',
+            validate: (input) => !input || validators.validateUrl(input) ? true : 'Please enter a valid URL'
           }
-        ])
+        ], options)
         updates.externalUrl = externalUrl
       }
 
-      // Create updated metadata
-      const updatedMetadata = {
-        name: updates.name || currentMetadata.name,
-        symbol: updates.symbol || currentMetadata.symbol,
-        description: updates.description || tokenInfo?.description || 'Updated token metadata',
-        image: updates.image || tokenInfo?.imageUri || 'https://ipfs.io/ipfs/bafkreia4mu5q7xpmajldouuuvv6kgiac6bxisy4ekg5hdijbscki5oloo4',
-        external_url: updates.externalUrl || tokenInfo?.externalUrl || undefined,
-        attributes: [
-          {
-            trait_type: "Type",
-            value: "Utility Token"
-          },
-          {
-            trait_type: "Network",
-            value: "Solana"
-          },
-          {
-            trait_type: "Standard",
-            value: "SPL Token"
-          },
+      // Attributes and links are edited starting from the current off-chain JSON
+      const editors = fieldsToUpdate.filter(field => ['attributes', 'extensions'].includes(field) && options[field] === undefined)
+      const currentJson = editors.length > 0 ? await api.fetchOffChainMetadata(currentMetadata.uri) : null
+
+      if (fieldsToUpdate.includes('attributes')) {
+        updates.attributes = options.attributes ?? await promptUtils.editAttributes(currentJson?.attributes || tokenInfo?.attributes)
+      }
+
+      if (fieldsToUpdate.includes('extensions')) {
+        updates.extensions = options.extensions ?? await promptUtils.editExtensions(currentJson?.extensions || tokenInfo?.extensions)
+      }
+
+      const storage = options.storage || getStorageConfig().PROVIDER
+
+      // Merge the updates into the current off-chain JSON
+      spinner.start('Fetching current off-chain metadata...')
+      let preview
+
+      try {
+        preview = await api.previewMetadataUpdate({ network, mint: tokenAddress, updates })
+        spinner.stop()
+      } catch (error) {
+        if (!error.message.includes('could not be fetched')) {
+          throw error
+        }
+
+        spinner.warn(error.message)
+        const { rebuild } = await promptUtils.ask([
           {
-            trait_type: "Last Updated",
-            value: new Date().toISOString().split('T')[0]
+            type: 'confirm',
+            name: 'rebuild',
+            message: 'Rebuild it from the on-chain metadata and token record? (anything else it held is lost)',
+            default: false
           }
-        ],
-        properties: {
-          category: "fungible",
-          creators: [
-            {
-              address: keypair.publicKey.toString(),
-              share: 100
-            }
-          ]
+        ], options)
+
+        if (!rebuild) {
+          throw error
         }
+
+        preview = await api.previewMetadataUpdate({ network, mint: tokenAddress, updates, rebuild })
       }
 
       // Show preview of changes
       log.separator()
       log.title('📋 PREVIEW OF CHANGES')
-      
-      if (updates.name) {
-        console.log('Name:', currentMetadata.name, '→', updates.name)
-      }
-      if (updates.symbol) {
-        console.log('Symbol:', currentMetadata.symbol, '→', updates.symbol)
-      }
-      if (updates.description) {
-        console.log('Description: [Updated]')
+      if (preview.rebuilt) {
+        log.warning('The off-chain JSON is rebuilt from the on-chain metadata and token record')
       }
-      if (updates.image) {
-        console.log('Image: [Updated]')
+      displayUtils.displayChanges(preview.changes)
+      if (updates.image && !validators.validateUrl(updates.image)) {
+        console.log('Image:', `${updates.image} (uploaded to ${storage})`)
       }
-      if (updates.externalUrl) {
-        console.log('External URL: [Updated]')
-      }
-      
+      console.log('Storage:', storage)
+
       log.separator()
 
-      const { confirmUpdate } = await inquirer.prompt([
+      // Simulate before anything is sent
+      const simulation = await displayUtils.previewSimulation(() => api.updateMetadata({
+        wallet: walletFile,
+        network,
+        mint: tokenAddress,
+        updates,
+        storage,
+        rebuild: preview.rebuilt,
+        dryRun: true
+      }), options)
+
+      if (options.dryRun) {
+        log.info('Dry run: the update was not sent')
+        return simulation
+      }
+
+      const { confirmUpdate } = await promptUtils.ask([
         {
           type: 'confirm',
           name: 'confirmUpdate',
           message: '📝 Proceed with metadata update?',
           default: true
         }
-      ])
+      ], options)
 
       if (!confirmUpdate) {
         log.info('Metadata update cancelled')
         return
       }
 
-      // Upload new metadata to Pinata
-      spinner.start('Uploading updated metadata to IPFS...')
-      const metadataUri = await pinataUtils.uploadJson(
-        updatedMetadata, 
-        `${updatedMetadata.symbol}-updated-metadata`
-      )
-      spinner.succeed('Updated metadata uploaded to IPFS')
-
-      // Update on-chain metadata
-      spinner.start('Updating on-chain metadata...')
-      
-      const updateIx = updateV1(umi, {
-        mint: mintAddress,
-        authority: keypair,
-        data: some({
-          name: updatedMetadata.name,
-          symbol: updatedMetadata.symbol,
-          uri: metadataUri,
-          sellerFeeBasisPoints: currentMetadata.sellerFeeBasisPoints,
-          creators: currentMetadata.creators,
-          collection: currentMetadata.collection,
-          uses: currentMetadata.uses,
-        }),
-        discriminator: currentMetadata.discriminator,
-        isMutable: some(true),
-        newUpdateAuthority: some(keypair.publicKey),
-        primarySaleHappened: currentMetadata.primarySaleHappened,
+      const { metadataUri, signature, tokenInfoFile, changes } = await api.updateMetadata({
+        wallet: walletFile,
+        network,
+        mint: tokenAddress,
+        updates,
+        storage,
+        rebuild: preview.rebuilt,
+        onProgress: displayUtils.spinnerProgress(spinner)
       })
 
-      const tx = await updateIx.sendAndConfirm(umi, {
-        send: { 
-          skipPreflight: false,
-          maxRetries: 3,
-        },
-        confirm: { 
-          commitment: 'confirmed'
-        }
-      })
-
-      const signature = Array.from(tx.signature)
-        .map(byte => byte.toString(16).padStart(2, '0'))
-        .join('')
-
       spinner.succeed('Metadata updated successfully!')
 
-      // Update token info file if we have it
-      if (tokenInfo) {
-        try {
-          const tokenFiles = tokenUtils.listTokens()
-          const tokenFile = tokenFiles.find(file => {
-            try {
-              const data = fileUtils.loadJson(file)
-              return data.mintAddress === tokenAddress
-            } catch {
-              return false
-            }
-          })
-
-          if (tokenFile) {
-            const updatedInfo = {
-              ...tokenInfo,
-              ...updates,
-              metadataUri: metadataUri,
-              lastUpdateTransaction: signature,
-              lastUpdateDate: new Date().toISOString()
-            }
-            
-            fileUtils.saveJson(tokenFile, updatedInfo)
-            log.success('Token info file updated')
-          }
-        } catch (error) {
-          log.warning('Could not update token info file')
-        }
+      if (tokenInfoFile) {
+        log.success('Token info file updated')
       }
 
       // Show results
@@ -429,6 +299,14 @@ export async function updateMetadata() {
       displayUtils.displayExplorerLinks(signature, 'tx', network)
       displayUtils.displayExplorerLinks(tokenAddress, 'address', network)
 
+      return {
+        tokenAddress,
+        network,
+        metadataUri,
+        signature,
+        changes
+      }
+
     } catch (error) {
       spinner.fail('Metadata update failed')
       throw error
@@ -444,8 +322,15 @@ export async function updateMetadata() {
       log.info('💡 Solution: Make sure you\'re using the update authority wallet')
     } else if (error.message.includes('account not found')) {
       log.info('💡 Solution: Check if the token and metadata exist on the selected network')
+    } else if (error.message.includes('could not be fetched')) {
+      log.info('💡 Solution: Check that the metadata URI is reachable, or rebuild the JSON (--rebuild)')
     } else if (error.message.includes('Pinata')) {
-      log.info('💡 Solution: Check Pinata configuration in config/config.js')
+      log.info('💡 Solution: Set your Pinata JWT in Settings → Pinata Credentials')
+      log.info('   or use another storage provider (Settings → Metadata Storage, or --storage)')
+    } else if (error.message.includes('IPFS node')) {
+      log.info('💡 Solution: Start your IPFS node, or set its API URL in Settings → Metadata Storage')
+    } else if (error.message.includes('Irys')) {
+      log.info('💡 Solution: Install the Irys uploader, or use another storage provider')
     }
     
     throw error
@@ -1,8 +1,11 @@
 import fs from 'fs'
 import path from 'path'
-import fetch from 'node-fetch'
+import fetch, { fileFrom, FormData } from 'node-fetch'
 import chalk from 'chalk'
-import { CONFIG } from '../config/config.js'
+import inquirer from 'inquirer'
+import ora from 'ora'
+import { CONFIG, getExplorerUrls, getPinataConfig, getProfile, isPinataConfigured } from '../config/config.js'
+import { displayAmount, parseAmount } from './lib/amount.js'
 
 // Console styling functions
 export const log = {
@@ -15,6 +18,64 @@ export const log = {
   separator: () => console.log(chalk.gray('═'.repeat(50)))
 }
 
+// MIME type of each image file extension that can be uploaded
+const IMAGE_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+  '.gif': 'image/gif'
+}
+
+// Standard `extensions` keys of the off-chain JSON, which wallets and
+// aggregators read. Social links may be given as a handle (or invite code),
+// which is turned into a URL on one of the `hosts`
+export const EXTENSIONS = {
+  website: { label: 'Website', hint: 'URL' },
+  twitter: { label: 'Twitter / X', hint: '@handle or URL', handle: /^@?(\w{1,15})$/, url: 'https://x.com/', hosts: ['x.com', 'twitter.com'] },
+  telegram: { label: 'Telegram', hint: '@handle or URL', handle: /^@?([a-zA-Z]\w{4,31})$/, url: 'https://t.me/', hosts: ['t.me', 'telegram.me'] },
+  discord: { label: 'Discord', hint: 'invite code or URL', handle: /^([a-zA-Z0-9-]{2,32})$/, url: 'https://discord.gg/', hosts: ['discord.gg', 'discord.com'] },
+  medium: { label: 'Medium', hint: '@handle or URL', handle: /^@?([\w.-]{1,50})$/, url: 'https://medium.com/@', hosts: ['medium.com'] },
+  github: { label: 'GitHub', hint: 'organization or URL', handle: /^@?([a-zA-Z0-9-]{1,39})$/, url: 'https://github.com/', hosts: ['github.com'] },
+  coingeckoId: { label: 'CoinGecko ID', hint: 'e.g. my-token', id: /^[a-z0-9-]+$/ }
+}
+
+// Turn an extension value into what is stored: a URL, or the CoinGecko id.
+// Throws when the value does not fit the key
+function normalizeExtension(key, value) {
+  const extension = EXTENSIONS[key]
+  if (!extension) {
+    throw new Error(`Unknown extension: ${key} (available: ${Object.keys(EXTENSIONS).join(', ')})`)
+  }
+
+  const text = typeof value === 'string' ? value.trim() : ''
+  if (extension.id) {
+    if (!extension.id.test(text)) {
+      throw new Error(`Invalid ${extension.label}: "${value}" (use lowercase letters, numbers and "-")`)
+    }
+    return text
+  }
+
+  const handle = extension.handle && text.match(extension.handle)
+  if (handle) {
+    return extension.url + handle[1]
+  }
+
+  let url
+  try {
+    url = new URL(text)
+  } catch {
+    throw new Error(`Invalid ${extension.label}: "${value}" (use ${extension.hint})`)
+  }
+
+  const host = url.hostname.replace(/^www\./, '')
+  if (!['http:', 'https:'].includes(url.protocol) ||
+      (extension.hosts && !extension.hosts.some(allowed => host === allowed || host.endsWith(`.${allowed}`)))) {
+    throw new Error(`Invalid ${extension.label}: "${value}" (use ${extension.hint})`)
+  }
+  return url.href
+}
+
 // File system utilities
 export const fileUtils = {
   // Ensure directory exists
@@ -42,6 +103,9 @@ export const fileUtils = {
   // Check if file exists
   exists: (filePath) => fs.existsSync(filePath),
 
+  // MIME type of an image file or URL path, or null for unsupported types
+  getImageType: (filePath) => IMAGE_TYPES[path.extname(filePath).toLowerCase()] || null,
+
   // List files in directory
   listFiles: (dirPath, extension = '') => {
     if (!fs.existsSync(dirPath)) return []
@@ -51,45 +115,294 @@ export const fileUtils = {
   }
 }
 
+// Raised when a non-interactive run is missing an answer it would have prompted for
+export class PromptError extends Error {
+  constructor(message, { field, reason }) {
+    super(message)
+    this.name = 'PromptError'
+    this.field = field
+    this.reason = reason // 'missing' | 'invalid' | 'unconfirmed'
+  }
+}
+
+// Prompt utilities
+export const promptUtils = {
+  // Ask questions, skipping any already answered in options.
+  // With `interactive: false` nothing is prompted: defaults fill the gaps,
+  // confirmations must be answered explicitly and anything else missing or
+  // invalid raises a PromptError.
+  ask: async (questions, options = {}) => {
+    const { interactive = true, ...answers } = options
+
+    if (interactive) {
+      return inquirer.prompt(questions, answers)
+    }
+
+    const result = { ...answers }
+
+    for (const question of questions) {
+      if (question.when && !(await question.when(result))) continue
+
+      let value = result[question.name]
+
+      if (value === undefined) {
+        if (question.type === 'confirm') {
+          throw new PromptError(`Confirmation required: ${question.message}`, {
+            field: question.name,
+            reason: 'unconfirmed'
+          })
+        }
+
+        if (question.default === undefined) {
+          throw new PromptError(`Missing value for: ${question.message}`, {
+            field: question.name,
+            reason: 'missing'
+          })
+        }
+
+        value = typeof question.default === 'function'
+          ? await question.default(result)
+          : question.default
+      }
+
+      if (question.filter) {
+        value = await question.filter(value, result)
+      }
+
+      if (question.validate) {
+        const valid = await question.validate(value, result)
+        if (valid !== true) {
+          throw new PromptError(`Invalid value for: ${question.message} ${valid || ''}`.trim(), {
+            field: question.name,
+            reason: 'invalid'
+          })
+        }
+      }
+
+      result[question.name] = value
+    }
+
+    return result
+  },
+
+  // Ask for the token to work on: one of the tokens created with this tool
+  // or an address entered manually (answers tokenSource, selectedToken and
+  // address). Returns { tokenAddress, tokenInfo }, tokenInfo being the token
+  // record or null, or null when no token has been created yet, after
+  // showing `emptyHint`
+  selectToken: async (options = {}, { message = 'Select token:', emptyHint = 'Create a token first or use manual address entry' } = {}) => {
+    const { tokenSource } = await promptUtils.ask([
+      {
+        type: 'list',
+        name: 'tokenSource',
+        message: 'How would you like to specify the token?',
+        choices: [
+          { name: '📋 Select from created tokens', value: 'created' },
+          { name: '✏️  Enter token address manually', value: 'manual' }
+        ]
+      }
+    ], options)
+
+    if (tokenSource === 'created') {
+      const tokenFiles = tokenUtils.listTokens()
+
+      if (tokenFiles.length === 0) {
+        log.error('No tokens found!')
+        log.info(emptyHint)
+        return null
+      }
+
+      const tokenChoices = tokenFiles.map(file => {
+        try {
+          const data = fileUtils.loadJson(file)
+          return {
+            name: `${data.name} (${data.symbol}) - ${data.mintAddress}`,
+            value: { address: data.mintAddress, info: data }
+          }
+        } catch (error) {
+          return {
+            name: `Error loading ${file}`,
+            value: null
+          }
+        }
+      }).filter(choice => choice.value !== null)
+
+      const { selectedToken } = await promptUtils.ask([
+        {
+          type: 'list',
+          name: 'selectedToken',
+          message,
+          choices: tokenChoices
+        }
+      ], options)
+
+      return { tokenAddress: selectedToken.address, tokenInfo: selectedToken.info }
+    }
+
+    const { address } = await promptUtils.ask([
+      {
+        type: 'input',
+        name: 'address',
+        message: 'Enter token mint address:',
+        validate: (input) => {
+          if (!validators.validateAddress(input)) {
+            return 'Please enter a valid Solana address'
+          }
+          return true
+        }
+      }
+    ], options)
+
+    return { tokenAddress: address, tokenInfo: tokenUtils.loadTokenInfoByMint(address) }
+  },
+
+  // Add, edit and remove { trait_type, value } attributes until done, and
+  // return the new list. Interactive only
+  editAttributes: async (attributes = []) => {
+    const list = [...attributes]
+
+    while (true) {
+      const { action } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'action',
+          message: 'Attributes (select one to edit or remove it):',
+          choices: [
+            ...list.map((attribute, index) => ({ name: `✏️  ${attribute.trait_type}: ${attribute.value}`, value: index })),
+            { name: '➕ Add attribute', value: 'add' },
+            { name: '✅ Done', value: 'done' }
+          ]
+        }
+      ])
+
+      if (action === 'done') {
+        return list
+      }
+
+      const current = action === 'add' ? null : list[action]
+      if (current) {
+        const { remove } = await inquirer.prompt([
+          {
+            type: 'list',
+            name: 'remove',
+            message: `${current.trait_type}:`,
+            choices: [
+              { name: '✏️  Edit', value: false },
+              { name: '🗑️  Remove', value: true }
+            ]
+          }
+        ])
+
+        if (remove) {
+          list.splice(action, 1)
+          continue
+        }
+      }
+
+      const attribute = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'trait_type',
+          message: 'Trait name:',
+          default: current?.trait_type,
+          filter: (input) => input.trim(),
+          validate: (input) => {
+            if (!input) return 'Trait name is required'
+            if (list.some(other => other !== current && other.trait_type === input)) return `"${input}" is already listed`
+            return true
+          }
+        },
+        {
+          type: 'input',
+          name: 'value',
+          message: 'Value:',
+          default: current?.value === undefined ? undefined : String(current.value),
+          validate: (input) => input.length > 0 ? true : 'Value is required'
+        }
+      ])
+
+      if (current) {
+        list[action] = attribute
+      } else {
+        list.push(attribute)
+      }
+    }
+  },
+
+  // Ask for each standard extension (social links), starting from
+  // `extensions`. Empty answers are returned as '' (none). Interactive only
+  editExtensions: async (extensions = {}) => {
+    return inquirer.prompt(Object.entries(EXTENSIONS).map(([key, extension]) => ({
+      type: 'input',
+      name: key,
+      message: `${extension.label} (${extension.hint}, empty for none):`,
+      default: extensions[key] || '',
+      validate: (input) => input === '' || validators.validateExtension(key, input)
+    })))
+  }
+}
+
 // Pinata IPFS utilities
 export const pinataUtils = {
   // Upload JSON to Pinata
   uploadJson: async (jsonData, name) => {
-    try {
-      log.step(`Uploading ${name} to IPFS...`)
-      
-      const response = await fetch(CONFIG.PINATA.API_URL, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${CONFIG.PINATA.JWT}`
-        },
-        body: JSON.stringify({
-          pinataContent: jsonData,
-          pinataMetadata: { name }
-        })
-      })
+    if (!isPinataConfigured()) {
+      throw new Error('Pinata JWT is not configured. Set it in Settings → Pinata Credentials')
+    }
 
-      if (!response.ok) {
-        const errorData = await response.text()
-        throw new Error(`Pinata upload failed: ${response.status} - ${errorData}`)
-      }
+    const pinata = getPinataConfig()
+    const response = await fetch(pinata.API_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${pinata.JWT}`
+      },
+      body: JSON.stringify({
+        pinataContent: jsonData,
+        pinataMetadata: { name }
+      })
+    })
 
-      const result = await response.json()
-      const uri = `${CONFIG.PINATA.GATEWAY}${result.IpfsHash}`
-      
-      log.success(`Uploaded to IPFS: ${uri}`)
-      return uri
-    } catch (error) {
-      log.error(`Failed to upload to Pinata: ${error.message}`)
-      throw error
+    if (!response.ok) {
+      const errorData = await response.text()
+      throw new Error(`Pinata upload failed: ${response.status} - ${errorData}`)
     }
+
+    const result = await response.json()
+    return `${pinata.GATEWAY}${result.IpfsHash}`
   },
 
-  // Upload image to Pinata (placeholder for future implementation)
-  uploadImage: async (imagePath, imageName) => {
-    log.warning('Image upload not yet implemented')
-    return null
+  // Upload a local PNG, JPG, SVG or GIF file to Pinata
+  uploadImage: async (imagePath, name = path.basename(imagePath)) => {
+    if (!isPinataConfigured()) {
+      throw new Error('Pinata JWT is not configured. Set it in Settings → Pinata Credentials')
+    }
+
+    const type = fileUtils.getImageType(imagePath)
+    if (!type) {
+      throw new Error(`Unsupported image type: ${imagePath} (use a PNG, JPG, SVG or GIF file)`)
+    }
+
+    const form = new FormData()
+    form.append('file', await fileFrom(imagePath, type), path.basename(imagePath))
+    form.append('pinataMetadata', JSON.stringify({ name }))
+
+    const pinata = getPinataConfig()
+    const response = await fetch(pinata.FILE_API_URL, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${pinata.JWT}`
+      },
+      body: form
+    })
+
+    if (!response.ok) {
+      const errorData = await response.text()
+      throw new Error(`Pinata image upload failed: ${response.status} - ${errorData}`)
+    }
+
+    const result = await response.json()
+    return `${pinata.GATEWAY}${result.IpfsHash}`
   }
 }
 
@@ -97,28 +410,48 @@ export const pinataUtils = {
 export const walletUtils = {
   // Load wallet from file
   loadWallet: (walletPath) => {
-    try {
-      if (!fileUtils.exists(walletPath)) {
-        throw new Error(`Wallet file not found: ${walletPath}`)
-      }
-      
-      const walletData = fileUtils.loadJson(walletPath)
-      if (!Array.isArray(walletData) || walletData.length !== 64) {
-        throw new Error('Invalid wallet format. Expected array of 64 numbers.')
-      }
-      
-      log.success(`Wallet loaded: ${walletPath}`)
-      return walletData
-    } catch (error) {
-      log.error(`Failed to load wallet: ${error.message}`)
-      throw error
+    if (!fileUtils.exists(walletPath)) {
+      throw new Error(`Wallet file not found: ${walletPath}`)
+    }
+    
+    const walletData = fileUtils.loadJson(walletPath)
+    if (!Array.isArray(walletData) || walletData.length !== 64) {
+      throw new Error('Invalid wallet format. Expected array of 64 numbers.')
     }
+    
+    return walletData
   },
 
   // List available wallets
   listWallets: () => {
     const walletDir = CONFIG.PATHS.WALLETS
     return fileUtils.listFiles(walletDir, '.json')
+  },
+
+  // Wallet selection question, defaulting to the active profile's wallet
+  walletQuestion: (message = 'Select wallet to use:') => {
+    const profileWallet = getProfile().WALLET
+    const choices = walletUtils.listWallets().map(file => ({
+      name: file.split('/').pop(),
+      value: file
+    }))
+
+    let defaultWallet
+    if (profileWallet) {
+      defaultWallet = choices.find(choice => path.resolve(choice.value) === path.resolve(profileWallet))?.value
+      if (!defaultWallet) {
+        choices.unshift({ name: `${profileWallet.split('/').pop()} (profile)`, value: profileWallet })
+        defaultWallet = profileWallet
+      }
+    }
+
+    return {
+      type: 'list',
+      name: 'walletFile',
+      message,
+      choices,
+      default: defaultWallet
+    }
   }
 }
 
@@ -135,7 +468,6 @@ export const tokenUtils = {
       toolVersion: "1.0.0"
     })
     
-    log.success(`Token info saved: ${filePath}`)
     return filePath
   },
 
@@ -150,14 +482,26 @@ export const tokenUtils = {
     return fileUtils.listFiles(tokenDir, '.json')
   },
 
+  // Find the token info file for a mint address
+  findTokenFile: (mintAddress) => {
+    return tokenUtils.listTokens().find(file => {
+      try {
+        return fileUtils.loadJson(file).mintAddress === mintAddress
+      } catch {
+        return false
+      }
+    }) || null
+  },
+
+  // Load token information for a mint address, if we created it
+  loadTokenInfoByMint: (mintAddress) => {
+    const filePath = tokenUtils.findTokenFile(mintAddress)
+    return filePath ? fileUtils.loadJson(filePath) : null
+  },
+
   // Generate explorer URLs
-  getExplorerUrls: (address, type = 'address', network = CONFIG.DEFAULT_NETWORK) => {
-    const cluster = network.toLowerCase() === 'mainnet' ? '' : `?cluster=${network.toLowerCase()}`
-    
-    return {
-      solana: `https://explorer.solana.com/${type}/${address}${cluster}`,
-      solscan: `https://solscan.io/${type}/${address}${cluster}`
-    }
+  getExplorerUrls: (address, type = 'address', network = getProfile().NETWORK) => {
+    return getExplorerUrls(address, type, network)
   }
 }
 
@@ -172,14 +516,154 @@ export const validators = {
       throw new Error(`Missing required fields: ${missing.join(', ')}`)
     }
 
+    for (const field of ['name', 'symbol', 'description']) {
+      if (typeof config[field] !== 'string') {
+        throw new Error(`Token ${field} must be a string`)
+      }
+    }
+
+    if (config.name.length > 32) {
+      throw new Error('Token name should be 32 characters or less')
+    }
+
     if (config.symbol.length > 10) {
       throw new Error('Token symbol should be 10 characters or less')
     }
 
-    if (config.decimals < 0 || config.decimals > 18) {
+    if (config.decimals !== undefined &&
+        (!Number.isInteger(config.decimals) || config.decimals < 0 || config.decimals > 18)) {
       throw new Error('Decimals must be between 0 and 18')
     }
 
+    if (config.initialSupply !== undefined) {
+      try {
+        parseAmount(config.initialSupply, config.decimals ?? CONFIG.DEFAULTS.DECIMALS)
+      } catch (error) {
+        throw new Error(`Initial supply: ${error.message}`)
+      }
+    }
+
+    if (config.supplyRecipient && !validators.validateAddress(config.supplyRecipient)) {
+      throw new Error(`Invalid supply recipient address: ${config.supplyRecipient}`)
+    }
+
+    if (config.freezeAuthority !== undefined && typeof config.freezeAuthority !== 'boolean' &&
+        !validators.validateAddress(config.freezeAuthority)) {
+      throw new Error(`Freeze authority must be true, false or an address, got: ${config.freezeAuthority}`)
+    }
+
+    if (config.imageUrl) {
+      const image = validators.validateImage(config.imageUrl)
+      if (image !== true) {
+        throw new Error(image)
+      }
+    }
+
+    if (config.externalUrl && !validators.validateUrl(config.externalUrl)) {
+      throw new Error(`Invalid external URL: ${config.externalUrl}`)
+    }
+
+    if (config.attributes !== undefined) {
+      validators.validateAttributes(config.attributes)
+    }
+
+    if (config.extensions !== undefined) {
+      validators.normalizeExtensions(config.extensions)
+    }
+
+    if (config.creators !== undefined) {
+      if (!Array.isArray(config.creators) || config.creators.length === 0) {
+        throw new Error('Creators must be a non-empty list')
+      }
+
+      if (config.creators.length > 5) {
+        throw new Error('A token can have at most 5 creators')
+      }
+
+      config.creators.forEach((creator, index) => {
+        if (!validators.validateAddress(creator?.address)) {
+          throw new Error(`Creator ${index + 1} has an invalid address`)
+        }
+        if (!Number.isInteger(creator.share) || creator.share < 0 || creator.share > 100) {
+          throw new Error(`Creator ${creator.address} share must be a whole number between 0 and 100`)
+        }
+      })
+
+      const totalShare = config.creators.reduce((total, creator) => total + creator.share, 0)
+      if (totalShare !== 100) {
+        throw new Error(`Creator shares must add up to 100 (got ${totalShare})`)
+      }
+    }
+
+    return true
+  },
+
+  // Validate a list of { trait_type, value } attributes
+  validateAttributes: (attributes) => {
+    if (!Array.isArray(attributes)) {
+      throw new Error('Attributes must be a list')
+    }
+
+    attributes.forEach((attribute, index) => {
+      if (!attribute || typeof attribute.trait_type !== 'string' || !attribute.trait_type) {
+        throw new Error(`Attribute ${index + 1} is missing trait_type`)
+      }
+      if (attribute.value === undefined || attribute.value === null || typeof attribute.value === 'object') {
+        throw new Error(`Attribute "${attribute.trait_type}" must have a string or number value`)
+      }
+    })
+
+    const traits = attributes.map(attribute => attribute.trait_type)
+    const duplicate = traits.find((trait, index) => traits.indexOf(trait) !== index)
+    if (duplicate) {
+      throw new Error(`Attribute "${duplicate}" is listed more than once`)
+    }
+  },
+
+  // Validate and normalize an `extensions` object (see EXTENSIONS). Empty
+  // values are kept as '' so that updates can remove the key
+  normalizeExtensions: (extensions) => {
+    if (!extensions || typeof extensions !== 'object' || Array.isArray(extensions)) {
+      throw new Error('Extensions must be an object of links, e.g. { twitter: "@handle" }')
+    }
+
+    return Object.fromEntries(Object.entries(extensions).map(([key, value]) => [
+      key,
+      value === '' || value === null ? '' : normalizeExtension(key, value)
+    ]))
+  },
+
+  // Prompt validator for one extension: true, or the reason it is rejected
+  validateExtension: (key, value) => {
+    try {
+      normalizeExtension(key, value)
+      return true
+    } catch (error) {
+      return error.message
+    }
+  },
+
+  // Validate URL format (HTTP(S), IPFS or Arweave)
+  validateUrl: (url) => {
+    try {
+      return ['http:', 'https:', 'ipfs:', 'ar:'].includes(new URL(url).protocol)
+    } catch {
+      return false
+    }
+  },
+
+  // Validate an image: a URL, or a local PNG, JPG, SVG or GIF file to upload.
+  // Returns true or the reason it is rejected
+  validateImage: (image) => {
+    if (validators.validateUrl(image)) {
+      return true
+    }
+    if (!fileUtils.getImageType(image)) {
+      return `Invalid image: ${image} (use a URL or a PNG, JPG, SVG or GIF file)`
+    }
+    if (!fileUtils.exists(image)) {
+      return `Image file not found: ${image}`
+    }
     return true
   },
 
@@ -194,8 +678,22 @@ export const validators = {
   }
 }
 
+// Display names of the explorers in the cluster registry
+const EXPLORER_NAMES = {
+  solana: 'Solana Explorer',
+  solscan: 'SolScan'
+}
+
 // Display utilities
 export const displayUtils = {
+  // Report library progress on a spinner, one line per completed step
+  spinnerProgress: (spinner) => (message) => {
+    if (spinner.isSpinning) {
+      spinner.succeed()
+    }
+    spinner.start(message)
+  },
+
   // Display token information in a formatted way
   displayTokenInfo: (tokenData) => {
     log.separator()
@@ -204,8 +702,11 @@ export const displayUtils = {
     console.log(chalk.cyan('Symbol:'), chalk.white(tokenData.symbol))
     console.log(chalk.cyan('Mint Address:'), chalk.yellow(tokenData.mintAddress))
     console.log(chalk.cyan('Decimals:'), chalk.white(tokenData.decimals))
-    console.log(chalk.cyan('Supply:'), chalk.white(tokenData.initialSupply?.toLocaleString() || 'N/A'))
+    console.log(chalk.cyan('Supply:'), chalk.white(tokenData.initialSupply !== undefined ? displayAmount(tokenData.initialSupply, tokenData.decimals) : 'N/A'))
     console.log(chalk.cyan('Creator:'), chalk.white(tokenData.creator))
+    if (tokenData.freezeAuthority !== undefined) {
+      console.log(chalk.cyan('Freeze Authority:'), chalk.white(tokenData.freezeAuthority || 'None'))
+    }
     console.log(chalk.cyan('Network:'), chalk.white(tokenData.network?.toUpperCase() || 'DEVNET'))
     
     if (tokenData.metadataUri) {
@@ -220,12 +721,89 @@ export const displayUtils = {
   },
 
   // Display explorer links
-  displayExplorerLinks: (address, type = 'address', network = CONFIG.DEFAULT_NETWORK) => {
+  displayExplorerLinks: (address, type = 'address', network = getProfile().NETWORK) => {
     const urls = tokenUtils.getExplorerUrls(address, type, network)
     
     log.title('🔗 EXPLORER LINKS')
-    console.log(chalk.cyan('Solana Explorer:'), chalk.blue(urls.solana))
-    console.log(chalk.cyan('SolScan:'), chalk.blue(urls.solscan))
+    Object.entries(urls).forEach(([explorer, url]) => {
+      console.log(chalk.cyan(`${EXPLORER_NAMES[explorer] || explorer}:`), chalk.blue(url))
+    })
     log.separator()
+  },
+
+  // Simulate an operation before it is confirmed and show the result, unless
+  // the active profile turns simulation off. Outside
+  // a dry run a simulation that cannot run (RPC down, mint not found yet, ...)
+  // is only a warning, since sending reports the real error anyway.
+  previewSimulation: async (simulate, { dryRun = false } = {}) => {
+    if (!dryRun && !getProfile().SAFETY.SIMULATE) {
+      return null
+    }
+
+    const spinner = ora('Simulating transaction...').start()
+
+    try {
+      const preview = await simulate()
+      spinner.stop()
+      displayUtils.displaySimulation(preview.simulation)
+      return preview
+    } catch (error) {
+      if (dryRun) {
+        spinner.fail('Simulation failed')
+        throw error
+      }
+
+      spinner.warn(`Simulation unavailable: ${error.message}`)
+      return null
+    }
+  },
+
+  // Display the result of a transaction simulation
+  displaySimulation: (simulation) => {
+    const toSol = (lamports) => `${(lamports / 1e9).toFixed(9)} SOL`
+
+    log.title('🧪 SIMULATION')
+    if (simulation.success) {
+      log.success('Transaction simulated successfully')
+    } else {
+      log.error(`Simulation failed: ${simulation.error}`)
+      simulation.programErrors.forEach(line => console.log(chalk.red(`  ${line}`)))
+    }
+
+    console.log(chalk.cyan('Compute Units:'), chalk.white(simulation.unitsConsumed?.toLocaleString() ?? 'N/A'))
+    console.log(chalk.cyan('Network Fee:'), chalk.white(toSol(simulation.fee)))
+    console.log(chalk.cyan('Rent:'), chalk.white(toSol(simulation.rent)))
+    console.log(chalk.cyan('Total Cost:'), chalk.yellow(toSol(simulation.fee + simulation.rent)))
+    console.log(chalk.cyan('Accounts:'))
+    simulation.accounts.forEach(account => {
+      const flags = [
+        account.signer && 'signer',
+        account.writable && 'writable',
+        account.created && 'new'
+      ].filter(Boolean).join(', ')
+      console.log(`  ${chalk.white(account.address)}${flags ? chalk.gray(` (${flags})`) : ''}`)
+    })
+    log.separator()
+  },
+
+  // Display { field, before, after } metadata changes as a diff
+  displayChanges: (changes) => {
+    const format = (value) => value === undefined ? '(none)' : typeof value === 'string' ? value : JSON.stringify(value)
+
+    if (changes.length === 0) {
+      log.info('No changes to the current metadata')
+      return
+    }
+
+    changes.forEach(({ field, before, after }) => {
+      console.log(chalk.cyan(`${field}:`))
+      console.log(chalk.red(`  - ${format(before)}`))
+      console.log(chalk.green(`  + ${format(after)}`))
+    })
+  },
+
+  // Print a result as JSON for scripts, with u64 amounts as strings
+  printJson: (data) => {
+    console.log(JSON.stringify(data, (key, value) => typeof value === 'bigint' ? value.toString() : value, 2))
   }
 }
\ No newline at end of file
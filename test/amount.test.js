@@ -0,0 +1,60 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+
+import { formatAmount, MAX_U64, parseAmount, splitAmount } from '../src/lib/amount.js'
+
+test('splitAmount splits plain and grouped amounts into digits', () => {
+  assert.deepEqual(splitAmount('1000.5'), { text: '1000.5', whole: '1000', fraction: '5' })
+  assert.deepEqual(splitAmount('1,000,000'), { text: '1,000,000', whole: '1000000', fraction: '' })
+  assert.deepEqual(splitAmount('1_000.25'), { text: '1_000.25', whole: '1000', fraction: '25' })
+  assert.deepEqual(splitAmount(' .5 '), { text: ' .5 ', whole: '0', fraction: '5' })
+  assert.deepEqual(splitAmount(250), { text: '250', whole: '250', fraction: '' })
+  assert.deepEqual(splitAmount(10n), { text: '10', whole: '10', fraction: '' })
+})
+
+test('splitAmount rejects separators that are not thousands grouping', () => {
+  for (const value of ['1,5', '1,2.5', '12,34', '1,0000', '0,500', ',100', '1,000_000', '1.000,5', '1,000.5,0', '1__000']) {
+    assert.throws(() => splitAmount(value), /Invalid amount/, value)
+  }
+})
+
+test('splitAmount rejects malformed amounts', () => {
+  for (const value of ['', '.', '-1', '1e3', 'abc', '1.2.3']) {
+    assert.throws(() => splitAmount(value), /Invalid amount/, value)
+  }
+  assert.throws(() => splitAmount(1e21), /cannot be represented exactly/)
+  assert.throws(() => splitAmount(null), /must be a number or a string/)
+})
+
+test('parseAmount converts amounts to base units', () => {
+  assert.equal(parseAmount('1000.5', 9), 1000500000000n)
+  assert.equal(parseAmount('1,000', 2), 100000n)
+  assert.equal(parseAmount('0.000000001', 9), 1n)
+  assert.equal(parseAmount(42, 0), 42n)
+  assert.equal(parseAmount('0', 6), 0n)
+})
+
+test('parseAmount rejects decimal commas instead of scaling them up', () => {
+  assert.throws(() => parseAmount('1,5', 9), /Invalid amount/)
+  assert.throws(() => parseAmount('1,2.5', 9), /Invalid amount/)
+})
+
+test('parseAmount rejects too precise and too large amounts', () => {
+  assert.throws(() => parseAmount('1.005', 2), /more than 2 decimal places/)
+  assert.equal(parseAmount(MAX_U64.toString(), 0), MAX_U64)
+  assert.throws(() => parseAmount((MAX_U64 + 1n).toString(), 0), /larger than the maximum token supply/)
+})
+
+test('formatAmount formats base units without trailing zeros', () => {
+  assert.equal(formatAmount(1000500000000n, 9), '1,000.5')
+  assert.equal(formatAmount(1000500000000n, 9, { grouping: false }), '1000.5')
+  assert.equal(formatAmount(1n, 9), '0.000000001')
+  assert.equal(formatAmount(0n, 6), '0')
+  assert.equal(formatAmount('123456789', 0), '123,456,789')
+})
+
+test('formatted amounts parse back to the same base units', () => {
+  for (const units of [0n, 1n, 999n, 1000n, 1234567890123n, MAX_U64]) {
+    assert.equal(parseAmount(formatAmount(units, 6), 6), units)
+  }
+})
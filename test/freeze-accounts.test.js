@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import { findAssociatedTokenPda, getTokenAccountDataSerializer, mplToolbox, TokenState } from '@metaplex-foundation/mpl-toolbox'
+import { generateSigner, publicKey } from '@metaplex-foundation/umi'
+import { createUmi } from '@metaplex-foundation/umi-bundle-defaults'
+
+import { resolveTokenAccount } from '../src/lib/freeze-accounts.js'
+import { TOKEN_PROGRAM_ID } from '../src/lib/mint-account.js'
+
+const SYSTEM_PROGRAM_ID = '11111111111111111111111111111111'
+
+// Umi whose RPC serves `accounts` (address -> { owner, data }) from memory
+function mockUmi(accounts) {
+  const umi = createUmi('http://127.0.0.1:1').use(mplToolbox())
+  umi.rpc.getAccount = async (address) => {
+    const account = accounts[address.toString()]
+    return account
+      ? { exists: true, publicKey: address, owner: publicKey(account.owner), lamports: { basisPoints: 1n }, executable: false, data: account.data }
+      : { exists: false, publicKey: address }
+  }
+  return umi
+}
+
+// Serialized SPL token account of `mint` owned by `owner`
+function tokenAccountData(mint, owner) {
+  return getTokenAccountDataSerializer().serialize({
+    mint: publicKey(mint),
+    owner: publicKey(owner),
+    amount: 100n,
+    delegate: null,
+    state: TokenState.Initialized,
+    isNative: null,
+    delegatedAmount: 0n,
+    closeAuthority: null
+  })
+}
+
+const umi = createUmi('http://127.0.0.1:1').use(mplToolbox())
+const mint = generateSigner(umi).publicKey.toString()
+const wallet = generateSigner(umi).publicKey.toString()
+const [ata] = findAssociatedTokenPda(umi, { mint: publicKey(mint), owner: publicKey(wallet) })
+
+test('a funded wallet address resolves to its associated token account', async () => {
+  const accounts = {
+    [wallet]: { owner: SYSTEM_PROGRAM_ID, data: new Uint8Array(0) },
+    [ata.toString()]: { owner: TOKEN_PROGRAM_ID, data: tokenAccountData(mint, wallet) }
+  }
+
+  const account = await resolveTokenAccount(mockUmi(accounts), mint, wallet)
+  assert.equal(account.publicKey.toString(), ata.toString())
+  assert.equal(account.owner.toString(), wallet)
+})
+
+test('a token account address resolves to itself', async () => {
+  const tokenAccount = generateSigner(umi).publicKey.toString()
+  const accounts = {
+    [tokenAccount]: { owner: TOKEN_PROGRAM_ID, data: tokenAccountData(mint, wallet) }
+  }
+
+  const account = await resolveTokenAccount(mockUmi(accounts), mint, tokenAccount)
+  assert.equal(account.publicKey.toString(), tokenAccount)
+})
+
+test('a wallet without a token account of the mint is reported', async () => {
+  const accounts = {
+    [wallet]: { owner: SYSTEM_PROGRAM_ID, data: new Uint8Array(0) }
+  }
+
+  await assert.rejects(resolveTokenAccount(mockUmi(accounts), mint, wallet), /has no token account/)
+})